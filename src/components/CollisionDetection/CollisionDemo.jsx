@@ -2,6 +2,9 @@ import React, { useState, useEffect, useRef } from 'react';
 import './CollisionDemo.css';
 import { addNotification, subscribeToNotifications, markNotificationAsRead, deleteNotification, clearAllNotifications, notificationsRef as firebaseNotificationsRef } from '../../utils/notificationService';
 import { addTestNotification } from '../../utils/testFirebase';
+import { parseTLEFile } from '../../utils/tle';
+import CollisionDetectionService from '../../services/CollisionDetectionService';
+import { PREDICTION_SOURCES } from '../../services/MLPredictionService';
 
 const CollisionDemo = ({ showHeatmap, setShowHeatmap, timeHorizon, setTimeHorizon }) => {
     const [isVisible, setIsVisible] = useState(true);
@@ -10,7 +13,10 @@ const CollisionDemo = ({ showHeatmap, setShowHeatmap, timeHorizon, setTimeHorizo
     const [satelliteNames, setSatelliteNames] = useState([]);
     const [notifications, setNotifications] = useState([]);
     const [showNotifications, setShowNotifications] = useState(false);
+    const [predictionSource, setPredictionSource] = useState(PREDICTION_SOURCES.ENSEMBLE);
+    const [isAssessing, setIsAssessing] = useState(false);
     const notificationsRef = useRef([]);
+    const collisionServiceRef = useRef(null);
     
     // Subscribe to notifications from Firebase
     useEffect(() => {
@@ -39,29 +45,14 @@ const CollisionDemo = ({ showHeatmap, setShowHeatmap, timeHorizon, setTimeHorizo
         loadNeoNames();
     }, []);
 
-    // Load real satellite names
+    // Load real satellite names from the bundled element sets
     useEffect(() => {
         const loadSatelliteNames = async () => {
             try {
-                // Real satellite names
-                const realSatellites = [
-                    'International Space Station',
-                    'Hubble Space Telescope',
-                    'GPS IIF-10',
-                    'Landsat 9',
-                    'GOES-16',
-                    'Sentinel-2',
-                    'Terra',
-                    'Aqua',
-                    'NOAA-20',
-                    'Tiangong Space Station',
-                    'Starlink-1234',
-                    'OneWeb-0789',
-                    'Galileo FOC-23',
-                    'TDRS-M',
-                    'JPSS-2'
-                ];
-                setSatelliteNames(realSatellites);
+                const response = await fetch(`${import.meta.env.BASE_URL}assets/data/satellites.tle`);
+                if (!response.ok) throw new Error('Failed to load satellite data');
+                const elementSets = parseTLEFile(await response.text());
+                setSatelliteNames(elementSets.map(elements => elements.name));
             } catch (error) {
                 console.warn('Could not load satellite data:', error);
             }
@@ -154,6 +145,8 @@ const CollisionDemo = ({ showHeatmap, setShowHeatmap, timeHorizon, setTimeHorizo
 
     // Generate mock data with real NEO and satellite names
     useEffect(() => {
+        if (predictionSource === PREDICTION_SOURCES.B_PLANE) return;
+
         const generateMockData = () => {
             const assessments = [];
             const totalPairs = Math.floor(Math.random() * 50) + 10;
@@ -202,7 +195,58 @@ const CollisionDemo = ({ showHeatmap, setShowHeatmap, timeHorizon, setTimeHorizo
         generateMockData();
         const interval = setInterval(generateMockData, 5000); // Update every 5 seconds
         return () => clearInterval(interval);
-    }, [neoNames, satelliteNames]);
+    }, [neoNames, satelliteNames, predictionSource]);
+
+    // The b-plane source assesses the NASA feed NEOs against the tracked satellites with the collision
+    // detection service, reassessed every minute while it is selected
+    useEffect(() => {
+        if (predictionSource !== PREDICTION_SOURCES.B_PLANE) return;
+        if (!collisionServiceRef.current) {
+            collisionServiceRef.current = new CollisionDetectionService();
+        }
+        const service = collisionServiceRef.current;
+        let active = true;
+
+        const handleUpdate = (update) => {
+            if (!active || update.type !== 'risk_assessment') return;
+            const assessment = update.data;
+            const nameOf = (id) => service.findObjectById(id)?.name || id;
+            setMockData({
+                totalPairs: assessment.totalPairs,
+                high: assessment.highRiskPairs,
+                medium: assessment.mediumRiskPairs,
+                low: assessment.lowRiskPairs,
+                riskAssessments: assessment.predictions.map(({ object1, object2, prediction }) => ({
+                    object1: nameOf(object1),
+                    object2: nameOf(object2),
+                    prediction
+                }))
+            });
+        };
+
+        service.addCallback(handleUpdate);
+        service.mlService.setPredictionSource(PREDICTION_SOURCES.B_PLANE);
+        setIsAssessing(true);
+        (service.mlService.isInitialized ? service.performRiskAssessment() : service.initialize())
+            .then(() => {
+                if (!active) return;
+                setIsAssessing(false);
+                service.startRealTimeDetection();
+            });
+
+        return () => {
+            active = false;
+            service.removeCallback(handleUpdate);
+            service.stopRealTimeDetection();
+        };
+    }, [predictionSource]);
+
+    useEffect(() => () => collisionServiceRef.current?.dispose(), []);
+
+    // Impact probabilities are mostly tiny, so the b-plane list shows the highest ones of any category
+    const listedRisks = predictionSource === PREDICTION_SOURCES.B_PLANE
+        ? [...mockData.riskAssessments].sort((a, b) => b.prediction.collisionProbability - a.prediction.collisionProbability)
+        : mockData.riskAssessments.filter(r => r.prediction.riskCategory !== 'Low');
 
     const getRiskColor = (category) => {
         switch (category) {
@@ -253,11 +297,24 @@ const CollisionDemo = ({ showHeatmap, setShowHeatmap, timeHorizon, setTimeHorizo
                             </div>
                         </div>
 
+                        {/* Prediction Source */}
+                        <div className="source-controls">
+                            <label htmlFor="prediction-source">Probability source:</label>
+                            <select
+                                id="prediction-source"
+                                value={predictionSource}
+                                onChange={(e) => setPredictionSource(e.target.value)}
+                            >
+                                <option value={PREDICTION_SOURCES.ENSEMBLE}>ML ensemble</option>
+                                <option value={PREDICTION_SOURCES.B_PLANE}>b-plane (Öpik)</option>
+                            </select>
+                        </div>
+                        {isAssessing && <div className="source-status">Computing impact probabilities…</div>}
+
                         {/* Risk List */}
                         {showPredictions && (
                         <div className="risk-list">
-                            {mockData.riskAssessments
-                                .filter(r => r.prediction.riskCategory !== 'Low')
+                            {listedRisks
                                 .slice(0, 10)
                                 .map((risk, index) => (
                                 <div 
@@ -284,7 +341,7 @@ const CollisionDemo = ({ showHeatmap, setShowHeatmap, timeHorizon, setTimeHorizo
                                         </div>
                                         <div className="risk-metrics">
                                             <span>Confidence: {(risk.prediction.confidence * 100).toFixed(1)}%</span>
-                                            <span>Min Distance: {risk.prediction.minimumDistance?.toFixed(0)} km</span>
+                                            <span>Min Distance: {risk.prediction.minimumDistance != null ? `${risk.prediction.minimumDistance.toFixed(0)} km` : 'no encounter'}</span>
                                         </div>
                                     </div>
                                 </div>
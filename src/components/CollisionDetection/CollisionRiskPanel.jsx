@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { PREDICTION_SOURCES } from '../../services/MLPredictionService.js';
 import './CollisionRiskPanel.css';
 
 const CollisionRiskPanel = ({ collisionService, onObjectSelect }) => {
@@ -6,6 +7,7 @@ const CollisionRiskPanel = ({ collisionService, onObjectSelect }) => {
     const [selectedRisk, setSelectedRisk] = useState(null);
     const [isExpanded, setIsExpanded] = useState(false);
     const [filter, setFilter] = useState('all'); // all, high, medium, low
+    const [predictionSource, setPredictionSource] = useState(PREDICTION_SOURCES.ENSEMBLE);
 
     useEffect(() => {
         if (!collisionService) return;
@@ -39,6 +41,13 @@ const CollisionRiskPanel = ({ collisionService, onObjectSelect }) => {
         }
     };
 
+    const handleSourceChange = async (source) => {
+        setPredictionSource(source);
+        if (collisionService) {
+            await collisionService.setPredictionSource(source);
+        }
+    };
+
     const getRiskColor = (category) => {
         switch (category) {
             case 'High': return '#ff4444';
@@ -90,6 +99,19 @@ const CollisionRiskPanel = ({ collisionService, onObjectSelect }) => {
                         </div>
                     </div>
 
+                    {/* Prediction Source */}
+                    <div className="source-controls">
+                        <label htmlFor="prediction-source">Probability source:</label>
+                        <select
+                            id="prediction-source"
+                            value={predictionSource}
+                            onChange={(e) => handleSourceChange(e.target.value)}
+                        >
+                            <option value={PREDICTION_SOURCES.ENSEMBLE}>ML ensemble</option>
+                            <option value={PREDICTION_SOURCES.B_PLANE}>b-plane (Öpik)</option>
+                        </select>
+                    </div>
+
                     {/* Filter Controls */}
                     <div className="filter-controls">
                         <button 
@@ -147,6 +169,7 @@ const CollisionRiskPanel = ({ collisionService, onObjectSelect }) => {
                                     <div className="risk-metrics">
                                         <span>Confidence: {(risk.prediction.confidence * 100).toFixed(1)}%</span>
                                         <span>Min Distance: {risk.prediction.minimumDistance?.toFixed(0)} km</span>
+                                        {risk.prediction.source && <span>Source: {risk.prediction.source}</span>}
                                     </div>
                                 </div>
                             </div>
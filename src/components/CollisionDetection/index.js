@@ -8,8 +8,9 @@ export { default as CollisionDetectionProvider, useCollisionDetection } from './
 // Services Export
 export { default as CollisionDetectionService } from '../../services/CollisionDetectionService.js';
 export { default as DataService } from '../../services/DataService.js';
-export { default as MLPredictionService } from '../../services/MLPredictionService.js';
+export { default as MLPredictionService, PREDICTION_SOURCES } from '../../services/MLPredictionService.js';
 export { default as BackendService } from '../../services/BackendService.js';
+export { default as CloseApproachService } from '../../services/CloseApproachService.js';
 
 // Models Export
 export * from '../../models/CollisionModels.js';
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { EARTH_RADIUS_KM } from '../../utils/bplane.js';
+import { asteroidMass, DEFAULT_BETA, kineticImpactorDeltaV, simulateDeflection } from '../../utils/deflection.js';
+import { DEFAULT_DENSITY } from '../../utils/riskScales.js';
+import { formatISO8601, JDToMJD, MJDToJD, parseISO8601, TDBToUTC, UTCToTDB } from '../../utils/TimeUtils.js';
+import './DeflectionPanel.css';
+
+const MM_PER_S_TO_KM_S = 1e-6;
+const AU_PER_LUNAR_DISTANCE = 0.00256955529;
+const DEFAULT_SEARCH_YEARS = 10; // encounter search span when the target has no known encounter date
+const ENCOUNTER_MARGIN = 60; // days searched past a known encounter date
+
+// DART-like impactor
+const DEFAULT_IMPACTOR = { impactorMass: '570', impactSpeed: '6.1', beta: String(DEFAULT_BETA) };
+
+const JDToDateString = (JD) => formatISO8601(TDBToUTC(JDToMJD(JD))).slice(0, 10);
+const dateStringToJD = (dateString) => MJDToJD(UTCToTDB(parseISO8601(dateString)));
+
+const formatDistance = (km) => `${Math.round(km).toLocaleString()} km (${(km / EARTH_RADIUS_KM).toFixed(2)} R⊕)`;
+const formatMOID = (moid) => (moid === null ? 'N/A' : `${moid.toFixed(5)} AU (${(moid / AU_PER_LUNAR_DISTANCE).toFixed(2)} LD)`);
+
+const formatShift = (days) => {
+    const minutes = days * 1440;
+    if (Math.abs(minutes) < 120) return `${minutes >= 0 ? '+' : ''}${minutes.toFixed(1)} min`;
+    return `${days >= 0 ? '+' : ''}${(days * 24).toFixed(1)} h`;
+};
+
+const outcome = (encounter) => {
+    if (!encounter.bPlane) return 'N/A';
+    return encounter.bPlane.b < encounter.bPlane.captureRadius ? 'Impact' : 'Miss';
+};
+
+const DeflectionPanel = ({ target, startJD, onResult, onClose }) => {
+    const [deflectionDate, setDeflectionDate] = useState(() => JDToDateString(startJD));
+    const [searchEndDate, setSearchEndDate] = useState(() => JDToDateString(target.encounterJD
+        ? target.encounterJD + ENCOUNTER_MARGIN
+        : startJD + DEFAULT_SEARCH_YEARS * 365.25));
+    const [mode, setMode] = useState('impactor');
+    const [impactor, setImpactor] = useState(DEFAULT_IMPACTOR);
+    const [direction, setDirection] = useState(1);
+    const [deltaV, setDeltaV] = useState({ alongTrack: '1', radial: '0', normal: '0' });
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    const targetMass = target.diameter ? asteroidMass(target.diameter) : null;
+
+    // Velocity change in km/s in the orbit frame, or null when the inputs do not describe one
+    const getDeltaV = () => {
+        if (mode === 'impactor') {
+            const values = Object.fromEntries(Object.entries(impactor).map(([key, value]) => [key, parseFloat(value)]));
+            if (!targetMass || Object.values(values).some(value => !isFinite(value) || value < 0)) return null;
+            return { alongTrack: direction * kineticImpactorDeltaV({ ...values, targetMass }), radial: 0, normal: 0 };
+        }
+        const values = Object.fromEntries(Object.entries(deltaV).map(([key, value]) => [key, parseFloat(value) * MM_PER_S_TO_KM_S]));
+        return Object.values(values).every(isFinite) ? values : null;
+    };
+
+    const handleSimulate = () => {
+        const deflectionJD = dateStringToJD(deflectionDate);
+        const searchEndJD = dateStringToJD(searchEndDate);
+        const dv = getDeltaV();
+
+        if (!isFinite(deflectionJD) || !isFinite(searchEndJD) || searchEndJD <= deflectionJD) {
+            setError('The encounter search must end after the deflection date.');
+            return;
+        }
+        if (!dv) {
+            setError(mode === 'impactor' && !targetMass ? 'The target\'s diameter is unknown.' : 'Invalid velocity change.');
+            return;
+        }
+
+        try {
+            const simulation = simulateDeflection(target.orbitParams, { deflectionJD, deltaV: dv, searchEndJD });
+            setResult(simulation);
+            setError(null);
+            onResult(simulation);
+        } catch (e) {
+            console.error(`Error simulating deflection of ${target.name}:`, e);
+            setError('The simulation failed for these inputs.');
+        }
+    };
+
+    const updateImpactor = (key) => (e) => setImpactor({ ...impactor, [key]: e.target.value });
+    const updateDeltaV = (key) => (e) => setDeltaV({ ...deltaV, [key]: e.target.value });
+
+    return (
+        <div className="deflection-panel">
+            <div className="deflection-panel-header">
+                <h3>Deflect {target.name}</h3>
+                <button className="deflection-close" onClick={onClose} title="Close">×</button>
+            </div>
+
+            <div className="deflection-inputs">
+                <label>
+                    Deflection date (UTC)
+                    <input type="date" value={deflectionDate} onChange={(e) => setDeflectionDate(e.target.value)} />
+                </label>
+                <label>
+                    Search encounter until
+                    <input type="date" value={searchEndDate} onChange={(e) => setSearchEndDate(e.target.value)} />
+                </label>
+            </div>
+
+            <div className="deflection-modes">
+                <label>
+                    <input type="radio" checked={mode === 'impactor'} onChange={() => setMode('impactor')} />
+                    Kinetic impactor
+                </label>
+                <label>
+                    <input type="radio" checked={mode === 'deltaV'} onChange={() => setMode('deltaV')} />
+                    Δv vector
+                </label>
+            </div>
+
+            {mode === 'impactor' ? (
+                <div className="deflection-inputs">
+                    <label>
+                        Mass (kg)
+                        <input type="number" min="0" value={impactor.impactorMass} onChange={updateImpactor('impactorMass')} />
+                    </label>
+                    <label>
+                        Speed (km/s)
+                        <input type="number" min="0" step="0.1" value={impactor.impactSpeed} onChange={updateImpactor('impactSpeed')} />
+                    </label>
+                    <label>
+                        β
+                        <input type="number" min="0" step="0.1" value={impactor.beta} onChange={updateImpactor('beta')} />
+                    </label>
+                    <label>
+                        Push
+                        <select value={direction} onChange={(e) => setDirection(Number(e.target.value))}>
+                            <option value={1}>Along track</option>
+                            <option value={-1}>Against track</option>
+                        </select>
+                    </label>
+                </div>
+            ) : (
+                <div className="deflection-inputs">
+                    <label>
+                        Along track (mm/s)
+                        <input type="number" step="0.1" value={deltaV.alongTrack} onChange={updateDeltaV('alongTrack')} />
+                    </label>
+                    <label>
+                        Radial (mm/s)
+                        <input type="number" step="0.1" value={deltaV.radial} onChange={updateDeltaV('radial')} />
+                    </label>
+                    <label>
+                        Normal (mm/s)
+                        <input type="number" step="0.1" value={deltaV.normal} onChange={updateDeltaV('normal')} />
+                    </label>
+                </div>
+            )}
+            {mode === 'impactor' && (
+                <p className="deflection-note">
+                    Target mass: {targetMass ? `${targetMass.toExponential(2)} kg (${target.diameter} m, ${DEFAULT_DENSITY} kg/m³)` : 'unknown'}
+                </p>
+            )}
+
+            <button className="deflection-run" onClick={handleSimulate}>Simulate</button>
+            {error && <p className="deflection-error">{error}</p>}
+
+            {result && (
+                <table className="deflection-results">
+                    <thead>
+                        <tr><th /><th>Before</th><th>After</th></tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>Closest approach</td>
+                            <td>{result.before.approach ? formatISO8601(TDBToUTC(JDToMJD(result.before.approach.JD))) : 'N/A'}</td>
+                            <td>{result.after.approach ? formatISO8601(TDBToUTC(JDToMJD(result.after.approach.JD))) : 'N/A'}</td>
+                        </tr>
+                        <tr>
+                            <td>Miss distance</td>
+                            <td>{result.before.approach ? formatDistance(result.before.approach.distanceKm) : 'N/A'}</td>
+                            <td>{result.after.approach ? formatDistance(result.after.approach.distanceKm) : 'N/A'}</td>
+                        </tr>
+                        <tr>
+                            <td>b-plane distance</td>
+                            <td>{result.before.bPlane ? formatDistance(result.before.bPlane.b) : 'N/A'}</td>
+                            <td>{result.after.bPlane ? formatDistance(result.after.bPlane.b) : 'N/A'}</td>
+                        </tr>
+                        <tr>
+                            <td>Outcome</td>
+                            <td>{outcome(result.before)}</td>
+                            <td>{outcome(result.after)}</td>
+                        </tr>
+                        <tr>
+                            <td>Earth MOID</td>
+                            <td>{formatMOID(result.before.moid)}</td>
+                            <td>{formatMOID(result.after.moid)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            )}
+            {result && (
+                <p className="deflection-note">
+                    Δv {(result.deltaV / MM_PER_S_TO_KM_S).toFixed(3)} mm/s
+                    {result.encounterShift !== null && ` · encounter ${formatShift(result.encounterShift)}`}
+                    {result.distanceChange !== null && ` · miss distance ${result.distanceChange >= 0 ? '+' : '−'}${Math.round(Math.abs(result.distanceChange)).toLocaleString()} km`}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default React.memo(DeflectionPanel);
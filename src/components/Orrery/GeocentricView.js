@@ -0,0 +1,178 @@
+import * as THREE from 'three';
+import { EARTH_RADIUS_KM } from '../../utils/bplane.js';
+import { eclipticToScene, equatorialToEcliptic, greenwichMeanSiderealTime, OBLIQUITY_J2000 } from '../../utils/frames.js';
+import { FLYBY_WINDOW, getGeocentrePosition, getMoonPosition, GEO_RADIUS_KM, LUNAR_DISTANCE_KM, LUNAR_RADIUS_KM } from '../../utils/geocentric.js';
+import { AU_KM } from '../../utils/stateVectors.js';
+
+// The Earth-Moon scene: Earth at the origin, the Moon on its orbit, reference rings and NEO flyby paths,
+// all in the scene axes of the Orrery but measured in lunar distances (1 scene unit = 1 LD).
+// Flyby paths come from findFlybys in AU (geocentric, scene axes) and are rescaled here.
+
+const AU_TO_LD = AU_KM / LUNAR_DISTANCE_KM;
+const SIDEREAL_MONTH = 27.321661; // days
+const MOON_ORBIT_POINTS = 256;
+const MOON_ORBIT_REFRESH = 1; // days of simulated time before the Moon's orbit is redrawn
+const RING_POINTS = 256;
+
+const EARTH_TEXTURE = 'assets/body_textures/8k_earth_daymap.jpg';
+const MOON_COLOR = 0xBDBDBD;
+const MOON_ORBIT_COLOR = 0x9E9E9E;
+const GEO_RING_COLOR = 0xFFB74D;
+const LUNAR_DISTANCE_RING_COLOR = 0x64B5F6;
+const FLYBY_PATH_COLOR = 0xFF5252;
+const FLYBY_MARKER_COLOR = 0xFFFFFF;
+const FLYBY_MARKER_SIZE = 5; // pixels
+
+// Circle of the given radius (LD) in the ecliptic plane, or in the equatorial plane when equatorial is set
+const createRing = (radius, color, equatorial = false) => {
+    const points = [];
+    for (let i = 0; i <= RING_POINTS; i++) {
+        const angle = i / RING_POINTS * 2 * Math.PI;
+        const point = { x: radius * Math.cos(angle), y: radius * Math.sin(angle), z: 0 };
+        points.push(eclipticToScene(equatorial ? equatorialToEcliptic(point) : point, new THREE.Vector3()));
+    }
+    const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6 });
+    return new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material);
+};
+
+export default class GeocentricView {
+    /**
+     * @param {Object} options - { background } scene background shared with the heliocentric scene
+     */
+    constructor({ background = null } = {}) {
+        this.scene = new THREE.Scene();
+        this.scene.background = background;
+        this.geocentre = new THREE.Vector3();
+        this.moonOrbitJD = null;
+        this.flybys = [];
+        this.flybyCentreJD = null;
+
+        const earthTexture = new THREE.TextureLoader().load(`${import.meta.env.BASE_URL}${EARTH_TEXTURE}`);
+        this.earth = new THREE.Mesh(
+            new THREE.SphereGeometry(EARTH_RADIUS_KM / LUNAR_DISTANCE_KM, 64, 64),
+            new THREE.MeshBasicMaterial({ map: earthTexture })
+        );
+        this.scene.add(this.earth);
+
+        this.moon = new THREE.Mesh(
+            new THREE.SphereGeometry(LUNAR_RADIUS_KM / LUNAR_DISTANCE_KM, 32, 32),
+            new THREE.MeshBasicMaterial({ color: MOON_COLOR })
+        );
+        this.scene.add(this.moon);
+
+        this.moonOrbit = new THREE.Line(
+            new THREE.BufferGeometry().setAttribute('position', new THREE.BufferAttribute(new Float32Array((MOON_ORBIT_POINTS + 1) * 3), 3)),
+            new THREE.LineBasicMaterial({ color: MOON_ORBIT_COLOR })
+        );
+        this.moonOrbit.frustumCulled = false;
+        this.scene.add(this.moonOrbit);
+
+        this.geoRing = createRing(GEO_RADIUS_KM / LUNAR_DISTANCE_KM, GEO_RING_COLOR, true);
+        this.lunarDistanceRing = createRing(1, LUNAR_DISTANCE_RING_COLOR);
+        this.scene.add(this.geoRing);
+        this.scene.add(this.lunarDistanceRing);
+
+        this.flybyPaths = new THREE.LineSegments(
+            new THREE.BufferGeometry(),
+            new THREE.LineBasicMaterial({ color: FLYBY_PATH_COLOR, transparent: true, opacity: 0.8 })
+        );
+        this.flybyPaths.frustumCulled = false;
+        this.flybyMarkers = new THREE.Points(
+            new THREE.BufferGeometry(),
+            new THREE.PointsMaterial({ color: FLYBY_MARKER_COLOR, size: FLYBY_MARKER_SIZE, sizeAttenuation: false })
+        );
+        this.flybyMarkers.frustumCulled = false;
+        this.scene.add(this.flybyPaths);
+        this.scene.add(this.flybyMarkers);
+    }
+
+    // Whether the flybys drawn are missing or were searched too far from JD to cover it
+    needsFlybySearch(JD) {
+        return this.flybyCentreJD === null || Math.abs(JD - this.flybyCentreJD) > FLYBY_WINDOW / 2;
+    }
+
+    invalidateFlybys() {
+        this.flybyCentreJD = null;
+    }
+
+    /**
+     * Replace the flyby paths drawn
+     * @param {Object[]} flybys - Flybys from findFlybys, with index the NEO's index in the population
+     * @param {number} centreJD - Date the flybys were searched around
+     */
+    setFlybys(flybys, centreJD) {
+        this.flybys = flybys;
+        this.flybyCentreJD = centreJD;
+
+        const vertexCount = flybys.reduce((sum, flyby) => sum + flyby.points.length / 3, 0);
+        const positions = new Float32Array(vertexCount * 3);
+        const indices = [];
+        let offset = 0;
+        flybys.forEach(({ points }) => {
+            const count = points.length / 3;
+            for (let k = 0; k < count; k++) {
+                positions[(offset + k) * 3] = points[k * 3] * AU_TO_LD;
+                positions[(offset + k) * 3 + 1] = points[k * 3 + 1] * AU_TO_LD;
+                positions[(offset + k) * 3 + 2] = points[k * 3 + 2] * AU_TO_LD;
+                if (k > 0) indices.push(offset + k - 1, offset + k);
+            }
+            offset += count;
+        });
+
+        this.flybyPaths.geometry.dispose();
+        this.flybyPaths.geometry = new THREE.BufferGeometry();
+        this.flybyPaths.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.flybyPaths.geometry.setIndex(indices);
+
+        this.flybyMarkers.geometry.dispose();
+        this.flybyMarkers.geometry = new THREE.BufferGeometry();
+        this.flybyMarkers.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(flybys.length * 3), 3));
+    }
+
+    /**
+     * Move everything to the current time
+     * @param {Object} time - { JD_TDB, JD } with JD the UTC clock (used for Earth's rotation)
+     * @param {Function} positionAt - (index, target) => heliocentric scene position (AU) of a flyby's object
+     */
+    update({ JD_TDB, JD }, positionAt) {
+        this.earth.rotation.set(OBLIQUITY_J2000, greenwichMeanSiderealTime(JD), 0);
+
+        eclipticToScene(getMoonPosition(JD_TDB), this.moon.position).multiplyScalar(AU_TO_LD);
+        if (this.moonOrbitJD === null || Math.abs(JD_TDB - this.moonOrbitJD) > MOON_ORBIT_REFRESH) {
+            this.updateMoonOrbit(JD_TDB);
+        }
+
+        if (this.flybys.length === 0) return;
+        eclipticToScene(getGeocentrePosition(JD_TDB), this.geocentre);
+        const attribute = this.flybyMarkers.geometry.attributes.position;
+        const position = new THREE.Vector3();
+        this.flybys.forEach((flyby, i) => {
+            positionAt(flyby.index, position).sub(this.geocentre).multiplyScalar(AU_TO_LD);
+            attribute.setXYZ(i, position.x, position.y, position.z);
+        });
+        attribute.needsUpdate = true;
+    }
+
+    // One sidereal month of the Moon's path centred on JD
+    updateMoonOrbit(JD) {
+        const attribute = this.moonOrbit.geometry.attributes.position;
+        const point = new THREE.Vector3();
+        for (let i = 0; i <= MOON_ORBIT_POINTS; i++) {
+            const sampleJD = JD + (i / MOON_ORBIT_POINTS - 0.5) * SIDEREAL_MONTH;
+            eclipticToScene(getMoonPosition(sampleJD), point).multiplyScalar(AU_TO_LD);
+            attribute.setXYZ(i, point.x, point.y, point.z);
+        }
+        attribute.needsUpdate = true;
+        this.moonOrbitJD = JD;
+    }
+
+    dispose() {
+        this.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) {
+                if (object.material.map) object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+    }
+}
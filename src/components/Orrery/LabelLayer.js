@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+
+// On-screen name labels drawn as HTML elements over the canvas. Every frame each label is projected to
+// the screen, faded with its distance from the camera and placed unless it would overlap a label of
+// higher priority; labels of a group can also be capped to the first few shown. Elements are created
+// the first time their label is placed, so large catalogs cost nothing while they stay hidden.
+
+const LABEL_OFFSET = 8; // pixels between a body and its label
+const MIN_OPACITY = 0.05; // labels fainter than this are hidden
+
+const smoothstep = (x, edge0, edge1) => {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+};
+
+export default class LabelLayer {
+    /**
+     * @param {HTMLElement} container - Element covering the canvas that holds the labels
+     * @param {Object} options - { onSelect(body) } called when a label is clicked
+     */
+    constructor(container, { onSelect }) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.labels = [];
+        this.groupLimits = {};
+        this.selectedBody = null;
+        this.visible = true;
+        this.position = new THREE.Vector3();
+    }
+
+    /**
+     * Replace the labels drawn
+     * @param {Object[]} labels - { text, body, kind, group, priority, fade: [near, far], getPosition(target) }
+     *   with fade the camera distances over which the label fades out and getPosition returning the
+     *   scene position, or null while the body is hidden
+     */
+    setLabels(labels) {
+        this.labels.forEach(label => label.element?.remove());
+        this.labels = labels.map(label => ({ ...label, element: null, width: 0, height: 0 }));
+        this.sortLabels();
+    }
+
+    // Show at most limit labels of a group, in priority order
+    setGroupLimit(group, limit) {
+        this.groupLimits[group] = limit;
+    }
+
+    // The selected body's label comes first and is never capped
+    setSelected(body) {
+        this.selectedBody = body;
+        this.sortLabels();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.container.style.display = visible ? '' : 'none';
+    }
+
+    sortLabels() {
+        const rank = (label) => (label.body === this.selectedBody ? Infinity : label.priority);
+        this.labels.sort((a, b) => rank(b) - rank(a));
+    }
+
+    createElement(label) {
+        const element = document.createElement('div');
+        element.className = `orrery-label orrery-label-${label.kind}`;
+        element.textContent = label.text;
+        element.addEventListener('click', () => this.onSelect(label.body));
+        this.container.appendChild(element);
+        label.element = element;
+        label.width = element.offsetWidth;
+        label.height = element.offsetHeight;
+    }
+
+    /**
+     * Place the labels for the current camera
+     * @param {THREE.Camera} camera
+     */
+    update(camera) {
+        if (!this.visible) return;
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const placed = [];
+        const groupCounts = {};
+
+        for (const label of this.labels) {
+            const position = label.getPosition(this.position);
+            let opacity = 0;
+            let left = 0, top = 0;
+
+            if (position) {
+                const selected = label.body === this.selectedBody;
+                const limit = this.groupLimits[label.group];
+                const count = groupCounts[label.group] || 0;
+                if (label.group && !selected) groupCounts[label.group] = count + 1;
+
+                if (selected || limit === undefined || count < limit) {
+                    opacity = selected ? 1 : 1 - smoothstep(position.distanceTo(camera.position), label.fade[0], label.fade[1]);
+                    position.project(camera);
+                    if (position.z < -1 || position.z > 1 || Math.abs(position.x) > 1 || Math.abs(position.y) > 1) opacity = 0;
+                }
+
+                if (opacity > MIN_OPACITY) {
+                    if (!label.element) this.createElement(label);
+                    left = (position.x + 1) / 2 * width + LABEL_OFFSET;
+                    top = (1 - position.y) / 2 * height - label.height / 2;
+                    const overlaps = placed.some(rect => left < rect.right && left + label.width > rect.left
+                        && top < rect.bottom && top + label.height > rect.top);
+                    if (overlaps) {
+                        opacity = 0;
+                    } else {
+                        placed.push({ left, top, right: left + label.width, bottom: top + label.height });
+                    }
+                }
+            }
+
+            const element = label.element;
+            if (!element) continue;
+            if (opacity > MIN_OPACITY) {
+                element.style.display = '';
+                element.style.opacity = opacity.toFixed(2);
+                element.style.transform = `translate(${Math.round(left)}px, ${Math.round(top)}px)`;
+            } else if (element.style.display !== 'none') {
+                element.style.display = 'none';
+            }
+        }
+    }
+
+    dispose() {
+        this.labels.forEach(label => label.element?.remove());
+        this.labels = [];
+    }
+}
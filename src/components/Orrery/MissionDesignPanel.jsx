@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from 'react';
+import { CartesianGrid, Customized, ResponsiveContainer, Scatter, ScatterChart, XAxis, YAxis } from 'recharts';
+import { computeContours, computePorkchop } from '../../utils/lambert.js';
+import { formatISO8601, JDToMJD, TDBToUTC } from '../../utils/TimeUtils.js';
+import './MissionDesignPanel.css';
+
+const GRID_SIZE = 40; // departure and arrival dates per axis
+const MIN_TIME_OF_FLIGHT = 30; // days
+const DEFAULT_DEPARTURE_WINDOW = 730; // days
+const DEFAULT_MAX_TIME_OF_FLIGHT = 540; // days
+const MAX_DISPLAYED_C3 = 100; // km^2/s^2; costlier departures are left blank
+const C3_CONTOURS = [10, 20, 40, 80]; // km^2/s^2
+
+const formatDate = (JD) => formatISO8601(TDBToUTC(JDToMJD(JD))).slice(0, 10);
+
+// Blue (cheap) to red (expensive) on a logarithmic C3 scale
+const c3Color = (c3, minC3) => {
+    const t = Math.min(1, Math.max(0, Math.log(c3 / minC3) / Math.log(MAX_DISPLAYED_C3 / minC3)));
+    return `hsl(${Math.round(240 * (1 - t))}, 80%, 50%)`;
+};
+
+// Heat map cells, C3 contours and the selected transfer, drawn with the chart's own axis scales
+const PorkchopLayer = ({ xAxisMap, yAxisMap, porkchop, selected, onSelect }) => {
+    const xScale = Object.values(xAxisMap || {})[0]?.scale;
+    const yScale = Object.values(yAxisMap || {})[0]?.scale;
+    if (!xScale || !yScale) return null;
+
+    const { departureJDs, arrivalJDs, grid, contours, minC3 } = porkchop;
+    const halfWidth = (departureJDs[1] - departureJDs[0]) / 2;
+    const halfHeight = (arrivalJDs[1] - arrivalJDs[0]) / 2;
+    // Fractional grid indices -> date coordinates, for the contour segments
+    const toX = (i) => departureJDs[0] + i * 2 * halfWidth;
+    const toY = (j) => arrivalJDs[0] + j * 2 * halfHeight;
+
+    return (
+        <g>
+            {grid.map((row, i) => row.map((transfer, j) => {
+                if (!transfer || transfer.c3 > MAX_DISPLAYED_C3) return null;
+                const x = xScale(departureJDs[i] - halfWidth);
+                const y = yScale(arrivalJDs[j] + halfHeight);
+                return (
+                    <rect
+                        key={`${i}-${j}`}
+                        x={x}
+                        y={y}
+                        width={xScale(departureJDs[i] + halfWidth) - x}
+                        height={yScale(arrivalJDs[j] - halfHeight) - y}
+                        fill={c3Color(transfer.c3, minC3)}
+                        className="porkchop-cell"
+                        onClick={() => onSelect(transfer)}
+                    />
+                );
+            }))}
+            {contours.map(({ level, segments }) => segments.map(([[i1, j1], [i2, j2]], k) => (
+                <line
+                    key={`${level}-${k}`}
+                    x1={xScale(toX(i1))}
+                    y1={yScale(toY(j1))}
+                    x2={xScale(toX(i2))}
+                    y2={yScale(toY(j2))}
+                    className="porkchop-contour"
+                />
+            )))}
+            {selected && (
+                <circle cx={xScale(selected.departureJD)} cy={yScale(selected.arrivalJD)} r={5} className="porkchop-selected" />
+            )}
+        </g>
+    );
+};
+
+const MissionDesignPanel = ({ targetName, targetStateAt, startJD, onSelectTransfer, onClose }) => {
+    const [departureWindow, setDepartureWindow] = useState(DEFAULT_DEPARTURE_WINDOW);
+    const [maxTimeOfFlight, setMaxTimeOfFlight] = useState(DEFAULT_MAX_TIME_OF_FLIGHT);
+    // Text typed in the window inputs, applied on blur or Enter so intermediate values are not rejected
+    const [windowText, setWindowText] = useState({
+        departureWindow: String(DEFAULT_DEPARTURE_WINDOW),
+        maxTimeOfFlight: String(DEFAULT_MAX_TIME_OF_FLIGHT)
+    });
+    const [selected, setSelected] = useState(null);
+
+    const porkchop = useMemo(() => {
+        const departureJDs = Array.from({ length: GRID_SIZE }, (_, i) => startJD + departureWindow * i / (GRID_SIZE - 1));
+        const arrivalSpan = departureWindow + maxTimeOfFlight - MIN_TIME_OF_FLIGHT;
+        const arrivalJDs = Array.from({ length: GRID_SIZE }, (_, j) => startJD + MIN_TIME_OF_FLIGHT + arrivalSpan * j / (GRID_SIZE - 1));
+
+        let grid;
+        try {
+            grid = computePorkchop(targetStateAt, departureJDs, arrivalJDs, { minTimeOfFlight: MIN_TIME_OF_FLIGHT })
+                .map(row => row.map(transfer => (transfer && transfer.timeOfFlight <= maxTimeOfFlight ? transfer : null)));
+        } catch (error) {
+            console.error(`Error computing porkchop plot for ${targetName}:`, error);
+            return null;
+        }
+
+        let best = null;
+        grid.forEach(row => row.forEach(transfer => {
+            if (transfer && (!best || transfer.c3 < best.c3)) best = transfer;
+        }));
+        const contours = computeContours(grid.map(row => row.map(transfer => (transfer ? transfer.c3 : null))), C3_CONTOURS);
+        return { departureJDs, arrivalJDs, grid, contours, best, minC3: best ? Math.max(best.c3, 1) : 1 };
+    }, [targetName, targetStateAt, startJD, departureWindow, maxTimeOfFlight]);
+
+    const selectTransfer = (transfer) => {
+        setSelected(transfer);
+        onSelectTransfer(transfer);
+    };
+
+    const handleWindowTextChange = (key) => (e) => setWindowText({ ...windowText, [key]: e.target.value });
+
+    // Values shorter than the minimum flight time (or not numbers) restore the value in use
+    const applyWindow = (key, current, setter) => () => {
+        const value = parseFloat(windowText[key]);
+        if (!(value >= MIN_TIME_OF_FLIGHT)) {
+            setWindowText({ ...windowText, [key]: String(current) });
+            return;
+        }
+        if (value !== current) {
+            setter(value);
+            setSelected(null);
+            onSelectTransfer(null);
+        }
+    };
+
+    const windowInputProps = (key, current, setter) => {
+        const apply = applyWindow(key, current, setter);
+        return {
+            type: 'number',
+            min: MIN_TIME_OF_FLIGHT,
+            step: '30',
+            value: windowText[key],
+            onChange: handleWindowTextChange(key),
+            onBlur: apply,
+            onKeyDown: (e) => e.key === 'Enter' && apply()
+        };
+    };
+
+    const shown = selected || porkchop?.best;
+    const xDomain = porkchop ? [porkchop.departureJDs[0], porkchop.departureJDs[GRID_SIZE - 1]] : [0, 1];
+    const yDomain = porkchop ? [porkchop.arrivalJDs[0], porkchop.arrivalJDs[GRID_SIZE - 1]] : [0, 1];
+
+    return (
+        <div className="mission-panel">
+            <div className="mission-panel-header">
+                <h3>Mission to {targetName}</h3>
+                <button className="mission-close" onClick={onClose} title="Close">×</button>
+            </div>
+
+            <div className="mission-inputs">
+                <label>
+                    Departure window (days)
+                    <input {...windowInputProps('departureWindow', departureWindow, setDepartureWindow)} />
+                </label>
+                <label>
+                    Max flight time (days)
+                    <input {...windowInputProps('maxTimeOfFlight', maxTimeOfFlight, setMaxTimeOfFlight)} />
+                </label>
+            </div>
+
+            {porkchop && (
+                <ResponsiveContainer width="100%" height={320}>
+                    <ScatterChart margin={{ top: 10, right: 10, bottom: 30, left: 10 }}>
+                        <CartesianGrid stroke="rgba(255, 255, 255, 0.1)" />
+                        <XAxis
+                            type="number"
+                            dataKey="departureJD"
+                            domain={xDomain}
+                            tickFormatter={formatDate}
+                            tick={{ fill: '#ffffff', fontSize: 10 }}
+                            label={{ value: 'Departure (UTC)', position: 'insideBottom', offset: -20, fill: '#64b5f6', fontSize: 12 }}
+                        />
+                        <YAxis
+                            type="number"
+                            dataKey="arrivalJD"
+                            domain={yDomain}
+                            tickFormatter={formatDate}
+                            tick={{ fill: '#ffffff', fontSize: 10 }}
+                            width={80}
+                            label={{ value: 'Arrival (UTC)', angle: -90, position: 'insideLeft', fill: '#64b5f6', fontSize: 12 }}
+                        />
+                        {/* The heat map is drawn by the layer below; the scatter only sets up the axes */}
+                        <Scatter data={porkchop.best ? [porkchop.best] : []} shape={() => null} isAnimationActive={false} />
+                        <Customized component={<PorkchopLayer porkchop={porkchop} selected={selected} onSelect={selectTransfer} />} />
+                    </ScatterChart>
+                </ResponsiveContainer>
+            )}
+            <p className="mission-legend">
+                Colour: departure C3 up to {MAX_DISPLAYED_C3} km²/s². Contours at {C3_CONTOURS.join(', ')} km²/s².
+                Click a cell to draw its transfer.
+            </p>
+
+            {shown ? (
+                <div className="mission-summary">
+                    <p><span>{selected ? 'Selected transfer' : 'Lowest C3'}:</span> {formatDate(shown.departureJD)} → {formatDate(shown.arrivalJD)} ({Math.round(shown.timeOfFlight)} days)</p>
+                    <p><span>Departure C3:</span> {shown.c3.toFixed(1)} km²/s² (v∞ {shown.departureVInfinity.toFixed(2)} km/s)</p>
+                    <p><span>Arrival v∞:</span> {shown.arrivalVInfinity.toFixed(2)} km/s</p>
+                </div>
+            ) : (
+                <p className="mission-legend">No transfer found in this window.</p>
+            )}
+        </div>
+    );
+};
+
+export default React.memo(MissionDesignPanel);
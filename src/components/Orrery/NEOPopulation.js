@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+
+// The NEO population drawn in two draw calls: every body is an instance of one InstancedMesh and every
+// orbit is a run of segments in one merged LineSegments buffer. Per-object colour and visibility live
+// in attributes, so filtering and risk colouring only rewrite a few numbers instead of rebuilding or
+// re-adding meshes. Hidden objects are discarded in the fragment shader and skipped when picking.
+
+const SPHERE_SEGMENTS = 16;
+
+// Discard fragments of objects whose visibility attribute is 0
+const discardHidden = (shader) => {
+    shader.vertexShader = 'attribute float visibility;\nvarying float vVisibility;\n'
+        + shader.vertexShader.replace('#include <begin_vertex>', '#include <begin_vertex>\n\tvVisibility = visibility;');
+    shader.fragmentShader = 'varying float vVisibility;\n'
+        + shader.fragmentShader.replace('void main() {', 'void main() {\n\tif ( vVisibility < 0.5 ) discard;');
+};
+
+export default class NEOPopulation {
+    /**
+     * @param {THREE.Vector3[][]} orbitPoints - Scene-space points of each orbit, as from getOrbitPoints
+     * @param {Object} options - { radius, bodyColor, orbitColor }
+     */
+    constructor(orbitPoints, { radius, bodyColor, orbitColor }) {
+        this.count = orbitPoints.length;
+
+        // Bodies: one sphere instanced count times, positioned through the instance matrices
+        const sphere = new THREE.SphereGeometry(radius, SPHERE_SEGMENTS, SPHERE_SEGMENTS);
+        this.bodyVisibility = new THREE.InstancedBufferAttribute(new Float32Array(this.count).fill(1), 1);
+        sphere.setAttribute('visibility', this.bodyVisibility);
+        const bodyMaterial = new THREE.MeshBasicMaterial({ color: 0xFFFFFF });
+        bodyMaterial.onBeforeCompile = discardHidden;
+        this.bodies = new THREE.InstancedMesh(sphere, bodyMaterial, this.count);
+        this.bodies.frustumCulled = false; // the instances move every frame
+        const color = new THREE.Color(bodyColor);
+        for (let i = 0; i < this.count; i++) this.bodies.setColorAt(i, color);
+
+        // Orbits: all polylines in one vertex buffer, joined into segments by the index
+        this.orbitOffsets = new Uint32Array(this.count + 1);
+        orbitPoints.forEach((points, i) => { this.orbitOffsets[i + 1] = this.orbitOffsets[i] + points.length; });
+        const vertexCount = this.orbitOffsets[this.count];
+
+        const positions = new Float32Array(vertexCount * 3);
+        const indices = [];
+        orbitPoints.forEach((points, i) => {
+            const offset = this.orbitOffsets[i];
+            points.forEach((point, k) => {
+                positions[(offset + k) * 3] = point.x;
+                positions[(offset + k) * 3 + 1] = point.y;
+                positions[(offset + k) * 3 + 2] = point.z;
+                if (k > 0) indices.push(offset + k - 1, offset + k);
+            });
+        });
+
+        const lines = new THREE.BufferGeometry();
+        lines.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        lines.setAttribute('color', new THREE.BufferAttribute(new Float32Array(vertexCount * 3), 3));
+        this.orbitVisibility = new THREE.BufferAttribute(new Float32Array(vertexCount).fill(1), 1);
+        lines.setAttribute('visibility', this.orbitVisibility);
+        lines.setIndex(vertexCount > 65535 ? new THREE.Uint32BufferAttribute(indices, 1) : new THREE.Uint16BufferAttribute(indices, 1));
+        const lineMaterial = new THREE.LineBasicMaterial({ vertexColors: true });
+        lineMaterial.onBeforeCompile = discardHidden;
+        this.orbits = new THREE.LineSegments(lines, lineMaterial);
+        for (let i = 0; i < this.count; i++) this.setOrbitColor(i, orbitColor);
+    }
+
+    addTo(scene) {
+        scene.add(this.bodies);
+        scene.add(this.orbits);
+    }
+
+    removeFrom(scene) {
+        scene.remove(this.bodies);
+        scene.remove(this.orbits);
+    }
+
+    isVisible(index) {
+        return this.bodyVisibility.array[index] > 0.5;
+    }
+
+    setVisible(index, visible) {
+        const value = visible ? 1 : 0;
+        this.bodyVisibility.array[index] = value;
+        this.orbitVisibility.array.fill(value, this.orbitOffsets[index], this.orbitOffsets[index + 1]);
+        this.bodyVisibility.needsUpdate = true;
+        this.orbitVisibility.needsUpdate = true;
+    }
+
+    setBodyColor(index, color) {
+        this.bodies.setColorAt(index, new THREE.Color(color));
+        this.bodies.instanceColor.needsUpdate = true;
+    }
+
+    setOrbitColor(index, color) {
+        const { r, g, b } = new THREE.Color(color);
+        const attribute = this.orbits.geometry.attributes.color;
+        for (let k = this.orbitOffsets[index]; k < this.orbitOffsets[index + 1]; k++) {
+            attribute.array[k * 3] = r;
+            attribute.array[k * 3 + 1] = g;
+            attribute.array[k * 3 + 2] = b;
+        }
+        attribute.needsUpdate = true;
+    }
+
+    /**
+     * Move every body to the scene-space positions from propagateBatch (x, y, z per object)
+     */
+    updatePositions(positions) {
+        const matrices = this.bodies.instanceMatrix.array;
+        for (let i = 0; i < this.count; i++) {
+            const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+            if (!isFinite(x) || !isFinite(y) || !isFinite(z)) continue;
+            matrices[i * 16 + 12] = x;
+            matrices[i * 16 + 13] = y;
+            matrices[i * 16 + 14] = z;
+        }
+        this.bodies.instanceMatrix.needsUpdate = true;
+        this.bodies.boundingSphere = null; // recomputed on the next raycast
+    }
+
+    getPosition(index, target = new THREE.Vector3()) {
+        const matrices = this.bodies.instanceMatrix.array;
+        return target.set(matrices[index * 16 + 12], matrices[index * 16 + 13], matrices[index * 16 + 14]);
+    }
+
+    dispose() {
+        this.bodies.geometry.dispose();
+        this.bodies.material.dispose();
+        this.bodies.dispose();
+        this.orbits.geometry.dispose();
+        this.orbits.material.dispose();
+    }
+}
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { determineOrbit } from '../../utils/orbitDetermination.js';
+import { formatISO8601, parseISO8601 } from '../../utils/TimeUtils.js';
+import './OrbitDeterminationPanel.css';
+
+const DEFAULT_SIGMA = '1'; // arcsec
+const DEFAULT_NAME = 'New object';
+const OBSERVATIONS_PLACEHOLDER = '# UTC time, RA and Dec (degrees, J2000), optional V magnitude\n2024-10-12T03:15:00 123.4567 -12.3456 20.1';
+
+// Observations of the textarea, one per line: ISO-8601 UTC time, RA and Dec in degrees, optional
+// magnitude. Blank lines and lines starting with '#' are skipped. Throws on the first malformed line.
+const parseObservations = (text, observer, sigma) => text.split('\n').map((line, i) => [line.trim(), i + 1])
+    .filter(([line]) => line && !line.startsWith('#'))
+    .map(([line, lineNumber]) => {
+        const [time, ra, dec, magnitude, ...rest] = line.split(/\s+/);
+        const observation = { MJD: parseISO8601(time), ra: parseFloat(ra), dec: parseFloat(dec), observer, sigma };
+        if (magnitude !== undefined) observation.magnitude = parseFloat(magnitude);
+        if (rest.length > 0 || ![observation.MJD, observation.ra, observation.dec].every(isFinite)
+            || (magnitude !== undefined && !isFinite(observation.magnitude))) {
+            throw new Error(`Line ${lineNumber} is not "time RA Dec [magnitude]".`);
+        }
+        return observation;
+    });
+
+const OrbitDeterminationPanel = ({ onAdd, onClose }) => {
+    const [name, setName] = useState(DEFAULT_NAME);
+    const [text, setText] = useState('');
+    const [geocentric, setGeocentric] = useState(true);
+    const [site, setSite] = useState({ latitude: '', longitude: '', height: '0' });
+    const [sigma, setSigma] = useState(DEFAULT_SIGMA);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleDetermine = () => {
+        setResult(null);
+        const observer = geocentric ? null : Object.fromEntries(Object.entries(site).map(([key, value]) => [key, parseFloat(value)]));
+        if (observer && !Object.values(observer).every(isFinite)) {
+            setError('Invalid observer location.');
+            return;
+        }
+        const sigmaValue = parseFloat(sigma);
+        if (!(sigmaValue > 0)) {
+            setError('Invalid astrometric error.');
+            return;
+        }
+
+        try {
+            setResult(determineOrbit(parseObservations(text, observer, sigmaValue)));
+            setError(null);
+        } catch (e) {
+            console.error('Error determining orbit:', e);
+            setError(e.message);
+        }
+    };
+
+    const handleAdd = () => {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            setError('The object needs a name.');
+            return;
+        }
+        const added = onAdd(trimmed, result);
+        if (added) {
+            setError(null);
+            onClose();
+        } else {
+            setError(`${trimmed} could not be added; is the name already in use?`);
+        }
+    };
+
+    const updateSite = (key) => (e) => setSite({ ...site, [key]: e.target.value });
+    const orbitParams = result?.orbitParams;
+    const extraParams = result?.extraParams;
+
+    return (
+        <div className="orbit-determination-panel">
+            <div className="orbit-determination-panel-header">
+                <h3>Orbit from observations</h3>
+                <button className="orbit-determination-close" onClick={onClose} title="Close">×</button>
+            </div>
+
+            <textarea
+                className="orbit-determination-observations"
+                rows={7}
+                value={text}
+                placeholder={OBSERVATIONS_PLACEHOLDER}
+                onChange={(e) => setText(e.target.value)}
+            />
+
+            <div className="orbit-determination-inputs">
+                <label className="orbit-determination-check">
+                    <input type="checkbox" checked={geocentric} onChange={(e) => setGeocentric(e.target.checked)} />
+                    Geocentric
+                </label>
+                <label>
+                    1σ error (″)
+                    <input type="number" min="0" step="0.1" value={sigma} onChange={(e) => setSigma(e.target.value)} />
+                </label>
+            </div>
+            {!geocentric && (
+                <div className="orbit-determination-inputs">
+                    <label>
+                        Latitude (°)
+                        <input type="number" step="0.0001" value={site.latitude} onChange={updateSite('latitude')} />
+                    </label>
+                    <label>
+                        Longitude (°E)
+                        <input type="number" step="0.0001" value={site.longitude} onChange={updateSite('longitude')} />
+                    </label>
+                    <label>
+                        Height (km)
+                        <input type="number" step="0.001" value={site.height} onChange={updateSite('height')} />
+                    </label>
+                </div>
+            )}
+
+            <button className="orbit-determination-run" onClick={handleDetermine}>Determine orbit</button>
+            {error && <p className="orbit-determination-error">{error}</p>}
+
+            {result && (
+                <>
+                    <table className="orbit-determination-results">
+                        <tbody>
+                            <tr><td>Epoch (TDB)</td><td>{formatISO8601(orbitParams.epoch).slice(0, 19)}</td></tr>
+                            <tr><td>a</td><td>{orbitParams.a.toFixed(4)} AU</td></tr>
+                            <tr><td>e</td><td>{orbitParams.e.toFixed(4)}</td></tr>
+                            <tr><td>i</td><td>{orbitParams.inc.toFixed(3)}°</td></tr>
+                            <tr><td>Group</td><td>{extraParams.class || 'Not a NEO'}</td></tr>
+                            <tr><td>H</td><td>{extraParams.H !== null ? `${extraParams.H.toFixed(1)} (about ${extraParams.diameter.toLocaleString()} m)` : 'Unknown'}</td></tr>
+                            <tr><td>Residuals</td><td>{result.rms.toFixed(2)}″ rms ({result.method})</td></tr>
+                        </tbody>
+                    </table>
+                    {result.alternatives.length > 0 && (
+                        <p className="orbit-determination-note">
+                            {result.alternatives.length} other orbit{result.alternatives.length > 1 ? 's fit' : ' fits'} as well; more observations will tell them apart.
+                        </p>
+                    )}
+                    <div className="orbit-determination-inputs">
+                        <label>
+                            Name
+                            <input type="text" value={name} onChange={(e) => setName(e.target.value)} />
+                        </label>
+                    </div>
+                    <button className="orbit-determination-run" onClick={handleAdd}>Add to the NEOs</button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default React.memo(OrbitDeterminationPanel);
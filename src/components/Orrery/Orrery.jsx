@@ -1,9 +1,28 @@
 
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { createOrbit, getOrbitPosition, JulianDateToTrueAnomaly } from '../../utils/orbits.js';
-import { JDToMJD, MJDToDatetime, MJDToJD } from '../../utils/TimeUtils.js';
+import { computeMOID, createElementBatch, createOrbit, getOrbitPoints, getOrbitPosition, isParabolic, JulianDateToTrueAnomaly, propagateBatch } from '../../utils/orbits.js';
+import { getEphemerisAccuracy, getPlanetOrbitParams, getPlanetState, hasEphemeris } from '../../utils/ephemerides.js';
+import { computeRADec, eclipticToScene, formatDec, formatRA } from '../../utils/frames.js';
+import { AU_KM, elementsToStateVector } from '../../utils/stateVectors.js';
+import { EARTH_RADIUS_KM } from '../../utils/bplane.js';
+import { FLYBY_RADIUS, FLYBY_WINDOW, GEO_RADIUS_KM, LUNAR_DISTANCE_KM } from '../../utils/geocentric.js';
+import { sampleTransfer } from '../../utils/lambert.js';
+import { absoluteMagnitudeFromDiameter, assessObservability, computePhotometry, DEFAULT_ALBEDO, DEFAULT_SLOPE } from '../../utils/photometry.js';
+import { getActiveShowers, isShowerActive, nextSolarLongitudeDate, parseShowerActivity, radiantAt, showerActivity, solarLongitude } from '../../utils/meteorShowers.js';
+import { NEO } from '../../models/CollisionModels.js';
+import PropagationService from '../../services/PropagationService.js';
+import TaskService from '../../services/TaskService.js';
+import { computeSpread, getElementUncertainty, sampleVirtualAsteroids } from '../../utils/uncertainty.js';
+import { formatISO8601, JDToMJD, MJDToDatetime, MJDToJD, parseSentryDate, TDBToUTC, unixTimeToMJD, UTCToTDB } from '../../utils/TimeUtils.js';
+import DeflectionPanel from './DeflectionPanel.jsx';
+import GeocentricView from './GeocentricView.js';
+import LabelLayer from './LabelLayer.js';
+import MissionDesignPanel from './MissionDesignPanel.jsx';
+import NEOPopulation from './NEOPopulation.js';
+import OrbitDeterminationPanel from './OrbitDeterminationPanel.jsx';
+import TimelinePanel from './TimelinePanel.jsx';
 import './Orrery.css';
 
 // Constants
@@ -17,16 +36,78 @@ const PARENT_ORBIT_COLOR = 0x0200b9;
 const NEO_ORBIT_COLOR = 0xcd0000;
 const NEO_COLOR = 0xFFFFFF;
 
+const UNCERTAINTY_CLOUD_COLOR = 0xFFAA00;
+const TRANSFER_ARC_COLOR = 0x00E676;
+const DEFLECTED_ORBIT_COLOR = 0x00E5FF;
+
 const NEO_RADIUS = 0.01;
-const MAX_VISIBLE_NEOS = 999;
+const VIRTUAL_ASTEROID_COUNT = 500;
 const MAX_VISIBLE_SHOWERS = 999;
 
+// Propagation catalogs owned by the worker
+const NEO_CATALOG = 'neos';
+const UNCERTAINTY_CLOUD_CATALOG = 'uncertaintyCloud';
+
+// Minimum interval (ms) between updates of the time and speed display
+const HUD_UPDATE_INTERVAL = 250;
+
+// Delay (ms) after the last keystroke in the MOID filter before it is applied
+const MOID_FILTER_DEBOUNCE = 300;
+
 const MOUSE_MIN_MOVE_CLICK = 0.005;
+const SHOWER_ORBIT_PICK_THRESHOLD = 0.01; // AU
+
+// Camera focus and follow
+const HOME_CAMERA_POSITION = new THREE.Vector3(2, 2, 2);
+const FOCUS_TRANSITION_MS = 1200;
+const FOCUS_DISTANCE_RADII = 8; // camera distance from a focused body, in body radii
+const MIN_FOCUS_DISTANCE = 0.05; // scene units (AU)
+
+// Scenes sharing the one clock: the heliocentric Solar System (scene unit AU) and the geocentric
+// Earth-Moon system (scene unit LD). Each keeps its own camera.
+const VIEW_MODES = { HELIOCENTRIC: 'heliocentric', GEOCENTRIC: 'geocentric' };
+const VIEW_CAMERAS = {
+    [VIEW_MODES.HELIOCENTRIC]: { position: HOME_CAMERA_POSITION, near: 0.01, minDistance: 0 },
+    [VIEW_MODES.GEOCENTRIC]: { position: new THREE.Vector3(1, 1, 1), near: 0.0005, minDistance: 0.03 }
+};
+const FLYBY_SEARCH_INTERVAL = 1000; // ms, minimum wall-clock time between flyby searches
+const LISTED_FLYBYS = 5;
+
+// On-screen labels: priority when labels overlap and the camera distances (AU) over which they fade out
+const LABEL_STYLES = {
+    planet: { kind: 'planet', priority: 400, fade: [40, 120] },
+    dwarfPlanet: { kind: 'dwarf-planet', priority: 300, fade: [10, 40] },
+    neo: { kind: 'neo', priority: 200, fade: [2, 8] },
+    showerParent: { kind: 'shower-parent', priority: 100, fade: [1.5, 6] }
+};
+const NEO_LABEL_GROUP = 'neo';
+const DEFAULT_NEO_LABEL_COUNT = 10;
+const MAX_NEO_LABEL_COUNT = 50;
+
+const AU_PER_LUNAR_DISTANCE = 0.00256955529;
+
+// Planet orbit lines are redrawn from the ephemeris once the simulated time has moved this far (days)
+const PLANET_ORBIT_REFRESH_DAYS = 365.25;
 
 const SUNOBLIQUITY = 7.25; // degrees
 const SUNROTPER = 25.05;  // days
 
 const TIMESPEEDS = [-365, -30, -7, -1, -3600 / 86400, -60 / 86400, -1 / 86400, 1 / 86400, 60 / 86400, 3600 / 86400, 1, 7, 30, 365];
+const DEFAULT_TIME_SPEED = TIMESPEEDS[10]; // days per second
+const REAL_TIME_SPEED = TIMESPEEDS[7];
+
+// Default timeline range around the start date (days)
+const TIMELINE_PAST_DAYS = 365;
+const TIMELINE_FUTURE_DAYS = 10 * 365.25;
+const TIMELINE_DEBOUNCE = 300; // ms after the last range edit before the events are listed again
+
+// Time rate shown in the HUD, in days of simulated time per second
+const formatTimeRate = (rate, paused) => {
+    if (paused) return 'Speed: Paused';
+    if (rate === 1) return 'Speed: 1 day/second';
+    if (rate === REAL_TIME_SPEED) return 'Speed: Real-time';
+    return `Speed: ${rate.toPrecision(3)} days/second`;
+};
 
 // Label text parameters
 const LABEL_SIZE = 0.1;
@@ -41,7 +122,7 @@ const validateOrbitParams = (orbitParams) => {
     const sanitized = { ...orbitParams };
     
     // Check for NaN or invalid values
-    const requiredFields = ['a', 'e', 'inc', 'node', 'peri'];
+    const requiredFields = ['e', 'inc', 'node', 'peri'];
     for (const field of requiredFields) {
         if (typeof sanitized[field] !== 'number' || 
             isNaN(sanitized[field]) || 
@@ -52,17 +133,23 @@ const validateOrbitParams = (orbitParams) => {
     }
     
     // Validate orbital parameter ranges
-    if (sanitized.a <= 0) {
-        console.warn('Semi-major axis must be positive:', sanitized.a);
+    if (sanitized.e < 0) {
+        console.warn('Eccentricity must not be negative:', sanitized.e);
         return null;
     }
     
-    if (sanitized.e < 0 || sanitized.e >= 1) {
-        console.warn('Eccentricity must be between 0 and 1:', sanitized.e);
-        // For parabolic/hyperbolic orbits, clamp to slightly less than 1
-        if (sanitized.e >= 1) {
-            sanitized.e = 0.999;
+    if (isParabolic(sanitized.e)) {
+        // Parabolic orbits have no finite semi-major axis and are described by the perihelion distance
+        if (typeof sanitized.q !== 'number' || !isFinite(sanitized.q) || sanitized.q <= 0) {
+            console.warn('Parabolic orbits need a positive perihelion distance q:', sanitized.q);
+            return null;
         }
+    } else if (typeof sanitized.a !== 'number' || isNaN(sanitized.a) || !isFinite(sanitized.a)) {
+        console.warn('Invalid a value:', sanitized.a);
+        return null;
+    } else if (sanitized.e < 1 && sanitized.a <= 0) {
+        console.warn('Semi-major axis of an elliptical orbit must be positive:', sanitized.a);
+        return null;
     }
     
     return sanitized;
@@ -138,11 +225,13 @@ const createOrbitSafe = (orbitParams, color, points) => {
 };
 
 // Safe wrapper for getOrbitPosition function
-const getOrbitPositionSafe = (a, e, trueAnomaly, transformMatrix) => {
+// q (perihelion distance) is only required for parabolic orbits
+const getOrbitPositionSafe = (a, e, trueAnomaly, transformMatrix, q) => {
     // Validate inputs
-    if (isNaN(a) || isNaN(e) || isNaN(trueAnomaly) ||
-        !isFinite(a) || !isFinite(e) || !isFinite(trueAnomaly)) {
-        console.warn('Invalid orbit position parameters:', { a, e, trueAnomaly });
+    const shapeValid = isParabolic(e) ? (isFinite(q) && q > 0) : (!isNaN(a) && isFinite(a));
+    if (!shapeValid || isNaN(e) || isNaN(trueAnomaly) ||
+        !isFinite(e) || !isFinite(trueAnomaly)) {
+        console.warn('Invalid orbit position parameters:', { a, e, trueAnomaly, q });
         return { x: 0, y: 0, z: 0 }; // Return origin as fallback
     }
     
@@ -153,7 +242,7 @@ const getOrbitPositionSafe = (a, e, trueAnomaly, transformMatrix) => {
     }
     
     try {
-        const pos = getOrbitPosition(a, e, trueAnomaly, transformMatrix);
+        const pos = getOrbitPosition(a, e, trueAnomaly, transformMatrix, q);
         const validPos = validatePosition(pos);
         return validPos || { x: 0, y: 0, z: 0 };
     } catch (error) {
@@ -168,10 +257,11 @@ class FilterConditions {
         this.riskRange = [-99, 99];
         this.sizeRange = [0, 9999];
         this.aRange = [0, 100];
-        this.eRange = [0, 1];
+        this.eRange = [0, Infinity]; // includes parabolic and hyperbolic orbits
         this.shownTypes = {'Planet': true, 'Dwarf planet': true, 'NEO': true, 'Shower': true, 'Sporadic': false};
         this.collisionDetectionActive = false;
         this.riskThreshold = -2.0; // Palermo Scale threshold for high risk
+        this.moidRange = [0, Infinity]; // Earth MOID in AU, only applied once MOIDs are computed
         
         // Bind the method to ensure 'this' context is preserved
         this.checkPassesFilters = this.checkPassesFilters.bind(this);
@@ -192,10 +282,12 @@ class FilterConditions {
                 return false;
             if ((object.data.extraParams.diameter < this.sizeRange[0]) || (object.data.extraParams.diameter > this.sizeRange[1]))
                 return false;
-            if ((object.data.orbitParams.a < this.aRange[0]) || (object.data.orbitParams.a > this.aRange[1]))
+            if ((Math.abs(object.data.orbitParams.a) < this.aRange[0]) || (Math.abs(object.data.orbitParams.a) > this.aRange[1]))
                 return false;
             if ((object.data.orbitParams.e < this.eRange[0]) || (object.data.orbitParams.e > this.eRange[1]))
                 return false;
+            if ((object.data.earthMOID !== undefined) && ((object.data.earthMOID < this.moidRange[0]) || (object.data.earthMOID > this.moidRange[1])))
+                return false;
         }
         
         return this.shownTypes['NEO'];
@@ -227,6 +319,27 @@ class Body {
             this.bodyMesh.position.set(validPos.x, validPos.y, validPos.z);
         }
     }
+
+    // Scene position of the body, or null for bodies without a mesh (e.g. shower orbits)
+    getPosition(target = new THREE.Vector3()) {
+        return this.bodyMesh ? target.copy(this.bodyMesh.position) : null;
+    }
+}
+
+// NEO drawn as instance index of the shared NEOPopulation meshes
+class InstancedBody extends Body {
+    constructor(name, data, population, index) {
+        super(name, data, null, null);
+        this.population = population;
+        this.index = index;
+    }
+
+    // Positions are written for the whole population at once, see NEOPopulation.updatePositions
+    setPosition() {}
+
+    getPosition(target = new THREE.Vector3()) {
+        return this.population.getPosition(this.index, target);
+    }
 }
 
 // Shower class
@@ -280,32 +393,73 @@ const Orrery = () => {
     const mouseMoveRef = useRef(0);
     const predictionGroupRef = useRef(null);
     const heatmapGroupRef = useRef(null);
+    const uncertaintyCloudRef = useRef(null);
+    const propagationRef = useRef(null);
+    const taskServiceRef = useRef(null);
+    const focusRef = useRef(null);
+    const viewModeRef = useRef(VIEW_MODES.HELIOCENTRIC);
+    const geocentricViewRef = useRef(null);
+    const flybySearchRef = useRef(null); // flyby search running in the task worker
+    const savedCamerasRef = useRef({});
+    const labelContainerRef = useRef(null);
+    const labelLayerRef = useRef(null);
+    const transferArcRef = useRef(null);
+    const filterConditionsRef = useRef(null);
+    const moidFilterTimerRef = useRef(null);
+    const deflectionOrbitsRef = useRef(null);
     
     // State
     const [currentTime, setCurrentTime] = useState('');
-    const [timeSpeed, setTimeSpeed] = useState('Real-time');
+    const [timeSpeed, setTimeSpeed] = useState(formatTimeRate(DEFAULT_TIME_SPEED, false));
+    const [clockJD, setClockJD] = useState(null);
+    const [timeRate, setTimeRate] = useState(DEFAULT_TIME_SPEED);
+    const [paused, setPaused] = useState(false);
+    const [showTimeline, setShowTimeline] = useState(false);
+    const [timelineRange, setTimelineRange] = useState(() => {
+        const JD = MJDToJD(unixTimeToMJD(Date.now()));
+        return { startJD: JD - TIMELINE_PAST_DAYS, endJD: JD + TIMELINE_FUTURE_DAYS };
+    });
+    const [timelineEvents, setTimelineEvents] = useState([]);
     const [selectedObject, setSelectedObject] = useState(null);
     const [selectedObjectName, setSelectedObjectName] = useState('');
     const [filterConditions, setFilterConditions] = useState(new FilterConditions());
+    const [moidFilterText, setMoidFilterText] = useState('');
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [missionDesign, setMissionDesign] = useState(null);
+    const [deflection, setDeflection] = useState(null);
+    const [showOrbitDetermination, setShowOrbitDetermination] = useState(false);
+    const [focusedBodyName, setFocusedBodyName] = useState(null);
+    const [viewMode, setViewMode] = useState(VIEW_MODES.HELIOCENTRIC);
+    const [flybyList, setFlybyList] = useState([]);
+    const [neoLabelCount, setNeoLabelCount] = useState(DEFAULT_NEO_LABEL_COUNT);
     
-    // Time variables
+    // Time variables. JD/MJD are the UTC clock shown to the user; JD_TDB/MJD_TDB drive orbit propagation.
     const timeRef = useRef({
-        JD: (Date.now() / 86400000) + 2440587.5,
+        JD: MJDToJD(unixTimeToMJD(Date.now())),
         MJD: 0,
-        timeSpeedIndex: 10
+        JD_TDB: 0,
+        MJD_TDB: 0,
+        rate: DEFAULT_TIME_SPEED, // days per second, negative runs the clock backwards
+        paused: false
     });
     
     // Data arrays
     const dataRef = useRef({
         planets: [],
         neos: [],
+        neoPopulation: null,
         showers: [],
+        showerActivities: [],
         sunMesh: null
     });
 
     // Helper functions
+    const syncDynamicalTime = useCallback(() => {
+        timeRef.current.MJD_TDB = UTCToTDB(timeRef.current.MJD);
+        timeRef.current.JD_TDB = MJDToJD(timeRef.current.MJD_TDB);
+    }, []);
+
     const normalizeAnomaly = (anomaly) => {
         return anomaly < 0 ? anomaly + 360 : anomaly;
     };
@@ -321,23 +475,6 @@ const Orrery = () => {
         return earthAnomaly >= streamAnomalyBegin && earthAnomaly <= streamAnomalyEnd;
     };
 
-    const createTextTexture = (message) => {
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        const fontSize = 36;
-
-        canvas.width = 256;
-        canvas.height = 256;
-
-        context.font = `${fontSize}px Verdana`;
-        context.fillStyle = 'white';
-        context.fillText(message, 10, fontSize);
-
-        const texture = new THREE.Texture(canvas);
-        texture.needsUpdate = true;
-        return texture;
-    };
-
     const readJSON = async (filePath) => {
         try {
             const response = await fetch(filePath);
@@ -369,80 +506,96 @@ const Orrery = () => {
         mouseMoveRef.current += mouseDownRef.current.distanceTo(currentMouse);
     };
 
-    const handleMouseUp = (event) => {
-        if (mouseMoveRef.current < MOUSE_MIN_MOVE_CLICK) {
-            // This is a click, not a drag
-            mouseRef.current.x = (event.clientX / window.innerWidth) * 2 - 1;
-            mouseRef.current.y = -(event.clientY / window.innerHeight) * 2 + 1;
-            
-            // Raycast to find intersected objects
-            raycasterRef.current.setFromCamera(mouseRef.current, cameraRef.current);
-            
-            // Get all clickable objects (planets, neos, showers)
-            const clickableObjects = [];
-            
-            // Add planet meshes
-            dataRef.current.planets.forEach(planet => {
-                if (planet.bodyMesh && planet.bodyMesh.visible) {
-                    clickableObjects.push(planet.bodyMesh);
-                }
-            });
-            
-            // Add NEO meshes
-            dataRef.current.neos.forEach(neo => {
-                if (neo.bodyMesh && neo.bodyMesh.visible) {
-                    clickableObjects.push(neo.bodyMesh);
-                }
-            });
-            
-            // Add shower parent body meshes
-            dataRef.current.showers.forEach(shower => {
-                if (shower.parentBodyMesh && shower.parentBodyMesh.visible) {
-                    clickableObjects.push(shower.parentBodyMesh);
-                }
-            });
-            
-            // Add sun
-            if (dataRef.current.sunMesh) {
-                clickableObjects.push(dataRef.current.sunMesh);
+    // Body under the given screen point (planets, NEOs, shower parent bodies, shower orbits with activity
+    // data or the Sun), null for empty space
+    const pickObject = (clientX, clientY) => {
+        mouseRef.current.x = (clientX / window.innerWidth) * 2 - 1;
+        mouseRef.current.y = -(clientY / window.innerHeight) * 2 + 1;
+        
+        // Raycast to find intersected objects
+        raycasterRef.current.setFromCamera(mouseRef.current, cameraRef.current);
+        
+        // Get all clickable objects (planets, neos, showers)
+        const clickableObjects = [];
+        
+        // Add planet meshes
+        dataRef.current.planets.forEach(planet => {
+            if (planet.bodyMesh && planet.bodyMesh.visible) {
+                clickableObjects.push(planet.bodyMesh);
             }
-            
-            const intersects = raycasterRef.current.intersectObjects(clickableObjects);
-            
-            if (intersects.length > 0) {
-                const clickedObject = intersects[0].object;
-                let objectData = null;
-                
-                // Find the corresponding data object
-                if (clickedObject.userData && clickedObject.userData.parent) {
-                    objectData = clickedObject.userData.parent;
-                } else if (clickedObject === dataRef.current.sunMesh) {
-                    // Handle Sun click
-                    objectData = {
-                        name: 'Sun',
-                        data: {
-                            extraParams: {
-                                diameter: 1391000, // km
-                                mass: '1.989 × 10³⁰ kg',
-                                temperature: '5778 K',
-                                type: 'Star'
-                            },
-                            orbitParams: {
-                                a: 0,
-                                e: 0,
-                                inc: 0,
-                                node: 0,
-                                peri: 0,
-                                ma: 0
-                            }
-                        }
-                    };
+        });
+        
+        // Add the instanced NEO bodies
+        const neoPopulation = dataRef.current.neoPopulation;
+        if (neoPopulation && neoPopulation.bodies.visible) {
+            clickableObjects.push(neoPopulation.bodies);
+        }
+        
+        // Add shower parent body meshes and the orbits of showers with activity data
+        dataRef.current.showers.forEach(shower => {
+            if (shower.parentBodyMesh && shower.parentBodyMesh.visible) {
+                clickableObjects.push(shower.parentBodyMesh);
+            }
+            shower.orbitMeshes.forEach(mesh => {
+                if (mesh.visible && mesh.userData.parent?.data.activity) {
+                    clickableObjects.push(mesh);
                 }
-                
-                if (objectData) {
-                    setSelectedObject(objectData);
-                    setSelectedObjectName(objectData.name);
+            });
+        });
+        
+        // Add sun
+        if (dataRef.current.sunMesh) {
+            clickableObjects.push(dataRef.current.sunMesh);
+        }
+        
+        raycasterRef.current.params.Line.threshold = SHOWER_ORBIT_PICK_THRESHOLD;
+        // Filtered-out NEOs are still instances of the mesh, so drop their hits
+        const intersects = raycasterRef.current.intersectObjects(clickableObjects)
+            .filter(intersect => intersect.object !== neoPopulation?.bodies || neoPopulation.isVisible(intersect.instanceId));
+        if (intersects.length === 0) return null;
+        
+        // Bodies take precedence over orbit lines passing near them
+        const clickedIntersect = intersects.find(intersect => !intersect.object.isLine) || intersects[0];
+        const clickedObject = clickedIntersect.object;
+        
+        // Find the corresponding data object
+        if (clickedObject === neoPopulation?.bodies) {
+            return dataRef.current.neos[clickedIntersect.instanceId];
+        } else if (clickedObject.userData && clickedObject.userData.parent) {
+            return clickedObject.userData.parent;
+        } else if (clickedObject === dataRef.current.sunMesh) {
+            // Handle Sun click
+            return {
+                name: 'Sun',
+                data: {
+                    extraParams: {
+                        diameter_km: 1391000,
+                        mass: '1.989 × 10³⁰ kg',
+                        temperature: '5778 K',
+                        type: 'Star'
+                    },
+                    orbitParams: {
+                        a: 0,
+                        e: 0,
+                        inc: 0,
+                        node: 0,
+                        peri: 0,
+                        ma: 0
+                    }
                 }
+            };
+        }
+        return null;
+    };
+
+    // Picking only applies to the Solar System scene
+    const handleMouseUp = (event) => {
+        if (mouseMoveRef.current < MOUSE_MIN_MOVE_CLICK && viewModeRef.current === VIEW_MODES.HELIOCENTRIC) {
+            // This is a click, not a drag
+            const objectData = pickObject(event.clientX, event.clientY);
+            if (objectData) {
+                setSelectedObject(objectData);
+                setSelectedObjectName(objectData.name);
             } else {
                 // Clicked on empty space, deselect
                 setSelectedObject(null);
@@ -451,6 +604,377 @@ const Orrery = () => {
         }
     };
 
+    // Double-clicking a body focuses the camera on it
+    const handleDoubleClick = (event) => {
+        if (viewModeRef.current !== VIEW_MODES.HELIOCENTRIC) return;
+        const objectData = pickObject(event.clientX, event.clientY);
+        if (objectData) {
+            focusOn(objectData);
+        }
+    };
+
+    // Whether the camera can follow a body: anything drawn in the Solar System scene other than the Sun
+    const canFocus = (body) => Boolean(viewModeRef.current === VIEW_MODES.HELIOCENTRIC && body && body.name !== 'Sun' && typeof body.getPosition === 'function' && body.getPosition());
+
+    // Smoothly move the camera to a body and follow it from then on; anything that cannot be
+    // followed (null, the Sun) brings back the Sun-centred view
+    const focusOn = (body) => {
+        const controls = controlsRef.current;
+        const camera = cameraRef.current;
+        if (!controls || !camera) return;
+
+        const followed = canFocus(body) ? body : null;
+        let offset = HOME_CAMERA_POSITION.clone();
+        if (followed) {
+            const radius = followed.data.renderParams?.radius || NEO_RADIUS;
+            const direction = camera.position.clone().sub(controls.target).normalize();
+            offset = direction.multiplyScalar(Math.max(radius * FOCUS_DISTANCE_RADII, MIN_FOCUS_DISTANCE));
+        }
+
+        focusRef.current = {
+            body: followed,
+            offset,
+            fromTarget: controls.target.clone(),
+            fromCamera: camera.position.clone(),
+            startTime: null
+        };
+        setFocusedBodyName(followed ? followed.name : null);
+    };
+
+    // Called every frame: ease the camera towards the focused body, then carry the camera along with it
+    // so the user can still orbit and zoom around it
+    const updateCameraFocus = (time) => {
+        const focus = focusRef.current;
+        const controls = controlsRef.current;
+        const camera = cameraRef.current;
+        if (!focus || !controls || !camera) return;
+
+        const destination = focus.body ? focus.body.getPosition() : new THREE.Vector3(0, 0, 0);
+        if (!destination || !validatePosition(destination)) return;
+
+        if (focus.startTime === null) focus.startTime = time;
+        const progress = Math.min(1, (time - focus.startTime) / FOCUS_TRANSITION_MS);
+        if (progress < 1) {
+            const eased = progress * progress * (3 - 2 * progress);
+            controls.target.lerpVectors(focus.fromTarget, destination, eased);
+            camera.position.lerpVectors(focus.fromCamera, destination.clone().add(focus.offset), eased);
+        } else if (focus.body) {
+            const delta = destination.sub(controls.target);
+            controls.target.add(delta);
+            camera.position.add(delta);
+        } else {
+            // Back at the Sun-centred view
+            controls.target.copy(destination);
+            camera.position.copy(focus.offset);
+            focusRef.current = null;
+        }
+    };
+
+    // Switch between the Solar System and Earth-Moon scenes, restoring the camera each had
+    const switchViewMode = (mode) => {
+        const controls = controlsRef.current;
+        const camera = cameraRef.current;
+        if (!controls || !camera || mode === viewModeRef.current) return;
+
+        savedCamerasRef.current[viewModeRef.current] = { position: camera.position.clone(), target: controls.target.clone() };
+        const saved = savedCamerasRef.current[mode];
+        const settings = VIEW_CAMERAS[mode];
+        camera.position.copy(saved ? saved.position : settings.position);
+        controls.target.copy(saved ? saved.target : new THREE.Vector3(0, 0, 0));
+        camera.near = settings.near;
+        camera.updateProjectionMatrix();
+        controls.minDistance = settings.minDistance;
+
+        focusRef.current = null;
+        setFocusedBodyName(null);
+        labelLayerRef.current?.setVisible(mode === VIEW_MODES.HELIOCENTRIC);
+        viewModeRef.current = mode;
+        setViewMode(mode);
+    };
+
+    // Search the NEOs passing the filters for Earth flybys around the current date, in the task
+    // worker. A search whose filters changed while it ran is dropped; the next frame starts another.
+    // A failed search leaves the window empty, so it is only tried again once the clock has moved on.
+    const refreshFlybys = () => {
+        const population = dataRef.current.neoPopulation;
+        if (!geocentricViewRef.current || !population || !taskServiceRef.current || flybySearchRef.current) return;
+
+        const JD = timeRef.current.JD_TDB;
+        const neos = dataRef.current.neos.filter(neo => population.isVisible(neo.index));
+        const search = {};
+        flybySearchRef.current = search;
+        taskServiceRef.current.runTask('findFlybys', neos.map(neo => neo.data.orbitParams), JD, { usesMJD: true })
+            .then(results => {
+                const view = geocentricViewRef.current;
+                if (flybySearchRef.current !== search || !view) return;
+                const flybys = results.map(flyby => ({ ...flyby, index: neos[flyby.index].index, name: neos[flyby.index].name }));
+                view.setFlybys(flybys, JD);
+                setFlybyList([...flybys]
+                    .sort((a, b) => a.closest.distance - b.closest.distance)
+                    .slice(0, LISTED_FLYBYS)
+                    .map(({ index, name, closest }) => ({ index, name, ...closest })));
+            })
+            .catch(error => {
+                console.error('Error searching for flybys:', error);
+                if (flybySearchRef.current !== search || !geocentricViewRef.current) return;
+                geocentricViewRef.current.setFlybys([], JD);
+                setFlybyList([]);
+            })
+            .finally(() => {
+                if (flybySearchRef.current === search) flybySearchRef.current = null;
+            });
+    };
+
+    // Virtual-asteroid cloud for the selected body when its elements come with uncertainties
+    const updateUncertaintyCloud = (body) => {
+        const previous = uncertaintyCloudRef.current;
+        if (previous) {
+            sceneRef.current?.remove(previous.points);
+            previous.points.geometry.dispose();
+            previous.points.material.dispose();
+            propagationRef.current?.removeCatalog(UNCERTAINTY_CLOUD_CATALOG);
+            uncertaintyCloudRef.current = null;
+        }
+
+        const uncertainty = getElementUncertainty(body?.data?.extraParams);
+        if (!sceneRef.current || !uncertainty || !validateOrbitParams(body.data.orbitParams)) return;
+
+        try {
+            const samples = sampleVirtualAsteroids(body.data.orbitParams, uncertainty, VIRTUAL_ASTEROID_COUNT);
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(samples.length * 3), 3));
+            const material = new THREE.PointsMaterial({ color: UNCERTAINTY_CLOUD_COLOR, size: 0.01, transparent: true, opacity: 0.6 });
+            const points = new THREE.Points(geometry, material);
+            points.frustumCulled = false;
+            sceneRef.current.add(points);
+
+            const batch = createElementBatch(samples);
+            const usesMJD = body.data.orbitParams.epoch < 2400000.5; // NEO epochs are MJD, everything else JD
+            propagationRef.current?.setCatalog(UNCERTAINTY_CLOUD_CATALOG, batch, { usesMJD });
+
+            uncertaintyCloudRef.current = {
+                body,
+                points,
+                batch,
+                positions: new Float64Array(samples.length * 3)
+            };
+        } catch (error) {
+            console.error(`Error sampling virtual asteroids for ${body.name}:`, error);
+        }
+    };
+
+    // Refresh a planet's elements from the ephemeris, redrawing its orbit line when they have drifted
+    const updatePlanetEphemeris = (planet, JD) => {
+        const orbitParams = getPlanetOrbitParams(planet.data.ephemerisName, JD);
+        planet.data.orbitParams = orbitParams;
+
+        if (Math.abs(JD - planet.data.orbitEpochJD) >= PLANET_ORBIT_REFRESH_DAYS) {
+            const orbit = createOrbitSafe(orbitParams, planet.data.renderParams.color, ORBIT_MESH_POINTS);
+            if (orbit) {
+                planet.orbitMesh.geometry.dispose();
+                planet.orbitMesh.geometry = orbit.geometry;
+                orbit.material.dispose();
+                planet.data.orbitEpochJD = JD;
+            }
+        }
+        return orbitParams;
+    };
+
+    // Earth MOIDs of the NEOs, computed in the task worker after loading. The MOID filter applies
+    // to each NEO once its MOID is known, so it is re-applied when they arrive.
+    const computeNEOMOIDs = () => {
+        const earth = dataRef.current.planets.find(p => p.name === 'Earth');
+        const neos = dataRef.current.neos.filter(neo => neo.data.earthMOID === undefined);
+        if (!earth || !taskServiceRef.current || neos.length === 0) return;
+
+        taskServiceRef.current.runTask('computeMOIDs', neos.map(neo => neo.data.orbitParams), earth.data.orbitParams)
+            .then(distances => {
+                neos.forEach((neo, i) => {
+                    if (neo.data.earthMOID === undefined) neo.data.earthMOID = isFinite(distances[i]) ? distances[i] : null;
+                });
+                if (filterConditionsRef.current && isFinite(filterConditionsRef.current.moidRange[1])) {
+                    updateOrbits(filterConditionsRef.current);
+                }
+            })
+            .catch(error => console.error('Error computing Earth MOIDs:', error));
+    };
+
+    // Earth MOID (AU) of a body, computed on first use and cached on its data
+    const getEarthMOID = (body) => {
+        if (!body || !body.data || body.name === 'Earth' || body.name === 'Sun') return null;
+        if (body.data.earthMOID !== undefined) return body.data.earthMOID;
+
+        const earth = dataRef.current.planets.find(p => p.name === 'Earth');
+        if (!earth || !validateOrbitParams(body.data.orbitParams)) return null;
+
+        try {
+            const moid = computeMOID(body.data.orbitParams, earth.data.orbitParams);
+            body.data.earthMOID = moid ? moid.distance : null;
+        } catch (error) {
+            console.error(`Error computing Earth MOID for ${body.name}:`, error);
+            body.data.earthMOID = null;
+        }
+        return body.data.earthMOID;
+    };
+
+    // Heliocentric ecliptic state { position, velocity } of a body as a function of the TDB Julian date, or null
+    const getStateFunction = (body) => {
+        if (body.name === 'Sun') {
+            return () => ({ position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 0 } });
+        }
+        if (body.data.ephemerisName) {
+            return (JD) => getPlanetState(body.data.ephemerisName, JD);
+        }
+        const orbitParams = body.data.orbitParams;
+        if (!validateOrbitParams(orbitParams) || !isFinite(orbitParams.ma)) return null;
+        // NEO epochs are MJD, everything else JD
+        const usesMJD = orbitParams.epoch < 2400000.5;
+        return (JD) => elementsToStateVector(orbitParams, usesMJD ? JDToMJD(JD) : JD);
+    };
+
+    // Heliocentric ecliptic position of a body as a function of the TDB Julian date, or null
+    const getPositionFunction = (body) => {
+        const stateAt = getStateFunction(body);
+        return stateAt ? (JD) => stateAt(JD).position : null;
+    };
+
+    // Geocentric RA/Dec (light-time corrected) and distance of a body at the current time
+    const getSkyPosition = (body) => {
+        if (!body || !body.data || body.name === 'Earth') return null;
+
+        const positionAt = getPositionFunction(body);
+        if (!positionAt) return null;
+
+        try {
+            const JD = timeRef.current.JD_TDB;
+            const sky = computeRADec(positionAt, JD, getPlanetState('Earth', JD).position, { lightTime: true });
+            return isFinite(sky.ra) && isFinite(sky.dec) ? sky : null;
+        } catch (error) {
+            console.error(`Error computing sky position for ${body.name}:`, error);
+            return null;
+        }
+    };
+
+    // A risk-list NEO as a collision model: diameter in m, vel = entry speed, Sentry impact date and probability
+    const createNEOModel = (body) => {
+        const extraParams = body.data.extraParams || {};
+        return new NEO({
+            name: body.name,
+            diameter: extraParams.diameter,
+            impactProbability: extraParams['IP max'],
+            impactDate: extraParams.impact ? parseSentryDate(extraParams.impact) : null,
+            impactVelocity: extraParams.vel
+        });
+    };
+
+    // Palermo and Torino ratings of a NEO's potential impact, from the Sentry impact data as of today
+    const getRiskScales = (body) => {
+        const extraParams = body?.data?.extraParams;
+        if (!extraParams || !extraParams.impact || extraParams['IP max'] === undefined) return null;
+        // The risk data are as of today, not the simulated date: the Palermo scale depends on the time left
+        return createNEOModel(body).getRiskScales(unixTimeToMJD(Date.now()));
+    };
+
+    // Palermo rating used to rank NEOs: from the current Sentry data, else the catalogued PS max
+    const getPalermoRating = (neo) => {
+        const palermo = getRiskScales(neo)?.palermo;
+        return (palermo !== null && palermo !== undefined) ? palermo : (neo.data.extraParams['PS max'] || -99);
+    };
+
+    const formatKm = (km) => km < 1 ? `${Math.round(km * 1000)} m` : `${km.toLocaleString(undefined, { maximumFractionDigits: 1 })} km`;
+
+    // Brightness and viewing geometry of a NEO at the current time, seen from the geocentre.
+    // Without an H in the data, H follows from the diameter (m) and the albedo Sentry assumes.
+    const getPhotometry = (body, sky) => {
+        const extraParams = body.data.extraParams || {};
+        const positionAt = getPositionFunction(body);
+        if (!positionAt || !sky) return null;
+
+        const hasH = typeof extraParams.H === 'number' && isFinite(extraParams.H);
+        const H = hasH ? extraParams.H : absoluteMagnitudeFromDiameter(extraParams.diameter / 1000, extraParams.albedo || DEFAULT_ALBEDO);
+        const G = typeof extraParams.G === 'number' && isFinite(extraParams.G) ? extraParams.G : DEFAULT_SLOPE;
+
+        try {
+            const JD = timeRef.current.JD_TDB;
+            const photometry = computePhotometry(positionAt(JD - sky.lightTimeDays), getPlanetState('Earth', JD).position, H, G);
+            return { ...photometry, H, estimatedH: !hasH };
+        } catch (error) {
+            console.error(`Error computing photometry for ${body.name}:`, error);
+            return null;
+        }
+    };
+
+    const formatPhotometry = (photometry) => {
+        if (!photometry) return null;
+        const observability = assessObservability(photometry);
+        let visibility;
+        if (observability.observable) {
+            visibility = `Yes, ${observability.instrument.toLowerCase()}`;
+        } else if (observability.instrument) {
+            visibility = `No, ${observability.reason.toLowerCase()} (${observability.instrument.toLowerCase()} otherwise)`;
+        } else {
+            visibility = `No, ${observability.reason.toLowerCase()}`;
+        }
+
+        return {
+            magnitude: photometry.magnitude !== null
+                ? `${photometry.magnitude.toFixed(1)} (H = ${photometry.H.toFixed(1)}${photometry.estimatedH ? ', from diameter' : ''})`
+                : 'Unknown',
+            heliocentricDistance: `${photometry.heliocentricDistance.toFixed(4)} AU`,
+            phaseAngle: `${photometry.phaseAngle.toFixed(1)}°`,
+            elongation: `${photometry.elongation.toFixed(1)}°`,
+            visibility
+        };
+    };
+
+    // "If it hit" summary for a NEO on land at the most probable impact angle
+    const formatImpactEffects = (body) => {
+        const effects = createNEOModel(body).getImpactEffects();
+        if (!effects) return null;
+
+        return {
+            energy: `${effects.energyMt.toPrecision(3)} Mt TNT`,
+            entry: effects.airburst
+                ? `Airburst at ${formatKm(effects.airburstAltitude)} (breakup from ${formatKm(effects.breakupAltitude)})`
+                : `Reaches the ground at ${effects.groundVelocity.toFixed(1)} km/s${effects.breakup ? ` (fragments from ${formatKm(effects.breakupAltitude)})` : ''}`,
+            crater: effects.crater ? `${formatKm(effects.crater.finalDiameter)} (${effects.crater.type})` : null,
+            severeBlast: effects.blastRadii.severe > 0 ? formatKm(effects.blastRadii.severe) : null,
+            moderateBlast: effects.blastRadii.moderate > 0 ? formatKm(effects.blastRadii.moderate) : null,
+            lightBlast: effects.blastRadii.light > 0 ? formatKm(effects.blastRadii.light) : null,
+            burns: effects.thermalRadii && effects.thermalRadii.thirdDegreeBurns > 0 ? formatKm(effects.thermalRadii.thirdDegreeBurns) : null
+        };
+    };
+
+    // Activity of a meteor shower at the current Orrery time; the radiant is given for today while the
+    // shower is active and for its peak otherwise
+    const formatShowerInfo = (shower) => {
+        const JD_TDB = timeRef.current.JD_TDB;
+        const sunLongitude = solarLongitude(JD_TDB);
+        const activity = showerActivity(shower, sunLongitude);
+        const radiant = radiantAt(shower, activity > 0 ? sunLongitude : shower.peak);
+        const nextPeakMJD = TDBToUTC(JDToMJD(nextSolarLongitudeDate(shower.peak, JD_TDB)));
+
+        return {
+            designation: `${shower.designation} (${shower.code})`,
+            window: `${shower.activityStart && shower.activityEnd ? `${shower.activityStart} – ${shower.activityEnd}, ` : ''}λ☉ ${shower.begin.toFixed(1)}° – ${shower.end.toFixed(1)}°`,
+            nextPeak: `${formatISO8601(nextPeakMJD).slice(0, 10)} (λ☉ ${shower.peak.toFixed(1)}°)`,
+            activity: activity > 0 ? `${Math.round(activity * 100)}% of peak` : 'Inactive',
+            radiant: `${formatRA(radiant.ra * DEG_TO_RAD)}, ${formatDec(radiant.dec * DEG_TO_RAD)}${activity > 0 ? '' : ' (at peak)'}`,
+            velocity: shower.geocentricVelocity !== null ? `${shower.geocentricVelocity.toFixed(1)} km/s` : 'Unknown'
+        };
+    };
+
+    // Select the orbit of an active shower from the list, preferring the solution that is listed as active
+    const selectShower = ({ shower }) => {
+        const entry = dataRef.current.showers.find(candidate => candidate.code === shower.code);
+        const mesh = entry?.orbitMeshes.find(orbit => orbit.userData.parent?.data.activity === shower)
+            || entry?.orbitMeshes.find(orbit => orbit.userData.parent?.data.activity);
+        if (mesh) {
+            setSelectedObject(mesh.userData.parent);
+            setSelectedObjectName(mesh.userData.parent.name);
+        }
+    };
+
     // Format object info for display
     const formatObjectInfo = (obj) => {
         if (!obj || !obj.data) return null;
@@ -469,14 +993,24 @@ const Orrery = () => {
             objectType = 'Planet';
         } else if (extraParams['PS max'] !== undefined) {
             objectType = 'Near-Earth Object';
+        } else if (data.activity) {
+            objectType = 'Meteor Shower';
         } else {
             objectType = 'Celestial Body';
         }
         
+        const earthMOID = getEarthMOID(obj);
+        const impactMJD = extraParams.impact ? parseSentryDate(extraParams.impact) : NaN;
+        const sky = getSkyPosition(obj);
+        const riskScales = getRiskScales(obj);
+        const cloud = uncertaintyCloudRef.current && uncertaintyCloudRef.current.body === obj ? uncertaintyCloudRef.current : null;
+        const spread = cloud ? computeSpread(cloud.positions) : null;
+        const accuracy = data.ephemerisName ? getEphemerisAccuracy(data.ephemerisName, timeRef.current.JD_TDB) : null;
+        
         const info = {
             name: obj.name,
             type: objectType,
-            diameter: extraParams.diameter_km ? `${extraParams.diameter_km.toLocaleString()} km` : (extraParams.diameter ? `${extraParams.diameter.toLocaleString()} km` : 'Unknown'),
+            diameter: extraParams.diameter_km ? `${extraParams.diameter_km.toLocaleString()} km` : (extraParams.diameter ? formatKm(extraParams.diameter / 1000) : 'Unknown'), // NEO diameters are in m
             mass: extraParams.mass || 'Unknown',
             temperature: extraParams.temperature ? `${extraParams.temperature}°C` : extraParams.surface_temp ? `${extraParams.surface_temp}°C` : 'Unknown',
             gravity: extraParams.gravity ? `${extraParams.gravity} m/s²` : 'Unknown',
@@ -489,9 +1023,32 @@ const Orrery = () => {
                 longitudeOfNode: orbitParams.node ? `${(orbitParams.node * 180 / Math.PI).toFixed(3)}°` : '0.000°',
                 argumentOfPerihelion: orbitParams.peri ? `${(orbitParams.peri * 180 / Math.PI).toFixed(3)}°` : '0.000°',
                 meanAnomaly: orbitParams.ma ? `${(orbitParams.ma * 180 / Math.PI).toFixed(3)}°` : '0.000°',
-                epoch: extraParams.epoch || (timeRef.current.MJD ? `${Math.round(timeRef.current.MJD)} (MJD)` : 'Unknown')
+                epoch: extraParams.epoch || (timeRef.current.MJD ? `${Math.round(timeRef.current.MJD)} (MJD)` : 'Unknown'),
+                earthMOID: earthMOID !== null ? `${earthMOID.toFixed(4)} AU (${(earthMOID / AU_PER_LUNAR_DISTANCE).toFixed(1)} LD)` : 'N/A',
+                ephemerisAccuracy: accuracy
+                    ? `~${accuracy.longitude}″ in longitude, ~${accuracy.distance.toLocaleString()} km in distance${accuracy.withinValidity ? '' : ' (outside 3000 BC – 3000 AD, unreliable)'}`
+                    : 'N/A'
             },
-            riskLevel: extraParams['PS max'] !== undefined ? extraParams['PS max'] : 'N/A'
+            skyPosition: sky ? {
+                rightAscension: formatRA(sky.ra),
+                declination: formatDec(sky.dec),
+                geocentricDistance: `${sky.distance.toFixed(4)} AU (${Math.round(sky.distance * AU_KM).toLocaleString()} km)`
+            } : null,
+            positionUncertainty: spread && isFinite(spread.total)
+                ? `${spread.total.toExponential(2)} AU (${Math.round(spread.total * AU_KM).toLocaleString()} km), ${cloud.batch.count} virtual asteroids`
+                : 'N/A',
+            photometry: objectType === 'Near-Earth Object' ? formatPhotometry(getPhotometry(obj, sky)) : null,
+            impactEffects: objectType === 'Near-Earth Object' ? formatImpactEffects(obj) : null,
+            shower: data.activity ? formatShowerInfo(data.activity) : null,
+            riskLevel: riskScales && riskScales.palermo !== null
+                ? riskScales.palermo.toFixed(2)
+                : (extraParams['PS max'] !== undefined ? extraParams['PS max'] : 'N/A'),
+            torino: riskScales ? {
+                value: riskScales.torino,
+                color: riskScales.torinoColor,
+                description: riskScales.torinoDescription
+            } : null,
+            potentialImpact: isFinite(impactMJD) ? formatISO8601(impactMJD) : 'N/A'
         };
         
         return info;
@@ -548,12 +1105,21 @@ const Orrery = () => {
                 continue;
             }
             
-            // Create a copy to avoid mutating original data
-            const processedOrbitParams = { ...orbitParams };
-            processedOrbitParams.inc *= DEG_TO_RAD;
-            processedOrbitParams.node *= DEG_TO_RAD;
-            processedOrbitParams.peri *= DEG_TO_RAD;
-            processedOrbitParams.ma *= DEG_TO_RAD;
+            // Major planets (and Saturn's rings) follow the time-varying ephemeris, the rest keep their J2000 elements
+            const ephemerisName = planetName === 'rings' ? 'Saturn' : planetName;
+            let processedOrbitParams;
+            if (hasEphemeris(ephemerisName)) {
+                processedOrbitParams = getPlanetOrbitParams(ephemerisName, timeRef.current.JD_TDB);
+                planetData.ephemerisName = ephemerisName;
+                planetData.orbitEpochJD = timeRef.current.JD_TDB;
+            } else {
+                // Create a copy to avoid mutating original data
+                processedOrbitParams = { ...orbitParams };
+                processedOrbitParams.inc *= DEG_TO_RAD;
+                processedOrbitParams.node *= DEG_TO_RAD;
+                processedOrbitParams.peri *= DEG_TO_RAD;
+                processedOrbitParams.ma *= DEG_TO_RAD;
+            }
             
             const planetTextureName = planetData.renderParams.texture;
             const planetTextureLoader = new THREE.TextureLoader();
@@ -593,7 +1159,7 @@ const Orrery = () => {
                 continue;
             }
             
-            const pos = getOrbitPositionSafe(processedOrbitParams.a, processedOrbitParams.e, 0, processedOrbitParams.transformMatrix);
+            const pos = getOrbitPositionSafe(processedOrbitParams.a, processedOrbitParams.e, 0, processedOrbitParams.transformMatrix, processedOrbitParams.q);
             mesh.position.set(pos.x, pos.y, pos.z);
             
             if (planetName === 'rings') {
@@ -619,54 +1185,82 @@ const Orrery = () => {
         }
     };
 
+    // Converts an entry of risk_list_neo_data.json (degrees) to radians in place and samples its orbit.
+    // Returns { neoName, neoData, orbitPoints }, or null for orbits that cannot be drawn.
+    const prepareNeo = (neoName, neoData) => {
+        const orbitParams = neoData.orbitParams;
+
+        // Validate orbit parameters before processing
+        if (!validateOrbitParams(orbitParams)) {
+            console.warn(`Skipping NEO ${neoName} due to invalid orbit parameters:`, orbitParams);
+            return null;
+        }
+
+        // Create a copy to avoid mutating original data
+        const processedOrbitParams = { ...orbitParams };
+        processedOrbitParams.inc *= DEG_TO_RAD;
+        processedOrbitParams.node *= DEG_TO_RAD;
+        processedOrbitParams.peri *= DEG_TO_RAD;
+        processedOrbitParams.ma *= DEG_TO_RAD;
+
+        const orbitPoints = getOrbitPoints(processedOrbitParams, ORBIT_MESH_POINTS);
+        if (orbitPoints.some(point => !isFinite(point.x) || !isFinite(point.y) || !isFinite(point.z))) {
+            console.warn(`Failed to create orbit for NEO ${neoName}, skipping`);
+            return null;
+        }
+
+        // Update the orbit parameters in the data to the processed version
+        neoData.orbitParams = processedOrbitParams;
+        return { neoName, neoData, orbitPoints };
+    };
+
+    // All NEOs share one instanced body mesh and one merged orbit buffer
+    const createNeoPopulation = (entries) => {
+        const population = new NEOPopulation(entries.map(entry => entry.orbitPoints), {
+            radius: NEO_RADIUS,
+            bodyColor: NEO_COLOR,
+            orbitColor: NEO_ORBIT_COLOR
+        });
+        dataRef.current.neoPopulation = population;
+        dataRef.current.neos = entries.map(({ neoName, neoData }, index) => new InstancedBody(neoName, neoData, population, index));
+
+        // The propagation worker moves every NEO in one call per frame (NEO epochs are MJD)
+        propagationRef.current?.setCatalog(NEO_CATALOG, createElementBatch(dataRef.current.neos.map(neo => neo.data.orbitParams)), { usesMJD: true });
+    };
+
     const initializeNeos = async () => {
         const neos_json = await readJSON(`${import.meta.env.BASE_URL}assets/data/risk_list_neo_data.json`);
         if (!neos_json) {
             console.error('Failed to load NEO data');
             return;
         }
-        
-        let i = 0;
-        for (const [neoName, neoData] of Object.entries(neos_json)) {
-            const orbitParams = neoData.orbitParams;
-            
-            // Validate orbit parameters before processing
-            if (!validateOrbitParams(orbitParams)) {
-                console.warn(`Skipping NEO ${neoName} due to invalid orbit parameters:`, orbitParams);
-                continue;
-            }
-            
-            // Create a copy to avoid mutating original data
-            const processedOrbitParams = { ...orbitParams };
-            processedOrbitParams.inc *= DEG_TO_RAD;
-            processedOrbitParams.node *= DEG_TO_RAD;
-            processedOrbitParams.peri *= DEG_TO_RAD;
-            processedOrbitParams.ma *= DEG_TO_RAD;
-
-            const geometry = new THREE.SphereGeometry(NEO_RADIUS, DEFAULT_MESH_N / 2, DEFAULT_MESH_N / 2);
-            const material = new THREE.MeshBasicMaterial({ color: NEO_COLOR });
-            const neoMesh = new THREE.Mesh(geometry, material);
-
-            const orbit = createOrbitSafe(processedOrbitParams, NEO_ORBIT_COLOR, ORBIT_MESH_POINTS);
-            if (!orbit) {
-                console.warn(`Failed to create orbit for NEO ${neoName}, skipping`);
-                continue;
-            }
-            
-            const pos = getOrbitPositionSafe(processedOrbitParams.a, processedOrbitParams.e, 0, processedOrbitParams.transformMatrix);
-            neoMesh.position.set(pos.x, pos.y, pos.z);
-
-            // Update the orbit parameters in the data to the processed version
-            neoData.orbitParams = processedOrbitParams;
 
-            const body = new Body(neoName, neoData, orbit, neoMesh);
-            orbit.userData.parent = body;
-            neoMesh.userData.parent = body;
-            dataRef.current.neos.push(body);
+        createNeoPopulation(Object.entries(neos_json).map(([neoName, neoData]) => prepareNeo(neoName, neoData)).filter(Boolean));
+    };
 
-            i += 1;
-            if (i == MAX_VISIBLE_NEOS) { break; }
-        }
+    // Appends a NEO (an entry in the shape of risk_list_neo_data.json, e.g. a determined orbit) to the
+    // catalog. The shared meshes are rebuilt with it, so the NEO bodies are replaced as well.
+    // Returns the new body, or null when the name is taken or the orbit cannot be drawn.
+    const addNeo = (neoName, neoData) => {
+        const population = dataRef.current.neoPopulation;
+        if (!population || dataRef.current.neos.some(neo => neo.name === neoName)) return null;
+        const entry = prepareNeo(neoName, neoData);
+        if (!entry) return null;
+
+        const entries = dataRef.current.neos.map(neo => ({
+            neoName: neo.name,
+            neoData: neo.data,
+            orbitPoints: getOrbitPoints(neo.data.orbitParams, ORBIT_MESH_POINTS)
+        }));
+        population.removeFrom(sceneRef.current);
+        population.dispose();
+        createNeoPopulation([...entries, entry]);
+
+        updateOrbits(filterConditionsRef.current);
+        updateNEORiskColors(filterConditionsRef.current.collisionDetectionActive);
+        updateLabels();
+        computeNEOMOIDs();
+        return dataRef.current.neos[dataRef.current.neos.length - 1];
     };
 
     const initializeShowers = async () => {
@@ -689,6 +1283,11 @@ const Orrery = () => {
             const extraParams = showerData.extraParams;
             const code = extraParams.Code;
 
+            const activity = parseShowerActivity(showerName, extraParams);
+            if (activity) {
+                dataRef.current.showerActivities.push(activity);
+            }
+
             // Validate orbit parameters before processing
             if (!validateOrbitParams(orbitParams)) {
                 console.warn(`Skipping shower ${showerName} due to invalid orbit parameters:`, orbitParams);
@@ -709,6 +1308,7 @@ const Orrery = () => {
             
             // Update the orbit parameters in the data to the processed version
             showerData.orbitParams = processedOrbitParams;
+            showerData.activity = activity;
             
             const body = new Body(showerName, showerData, orbitMesh, null);
             orbitMesh.userData.parent = body;
@@ -748,8 +1348,9 @@ const Orrery = () => {
                         
                         const body = new Body(parentBodyName, parentBodyData, parentOrbit, parentMesh);
                         parentOrbit.userData.parent = body;
+                        parentMesh.userData.parent = body;
 
-                        const pos = getOrbitPositionSafe(processedParentOrbitParams.a, processedParentOrbitParams.e, 0, processedParentOrbitParams.transformMatrix);
+                        const pos = getOrbitPositionSafe(processedParentOrbitParams.a, processedParentOrbitParams.e, 0, processedParentOrbitParams.transformMatrix, processedParentOrbitParams.q);
                         parentMesh.position.set(pos.x, pos.y, pos.z);
 
                         currentShower.parentBodyMesh = parentMesh;
@@ -768,11 +1369,6 @@ const Orrery = () => {
             sceneRef.current.remove(sceneRef.current.getObjectByProperty('uuid', planet.bodyMesh.uuid));
         });
         
-        dataRef.current.neos.forEach(neo => {
-            sceneRef.current.remove(sceneRef.current.getObjectByProperty('uuid', neo.orbitMesh.uuid));
-            sceneRef.current.remove(sceneRef.current.getObjectByProperty('uuid', neo.bodyMesh.uuid));
-        });
-        
         dataRef.current.showers.forEach(shower => {
             if (shower.parentBodyMesh != null)
                 sceneRef.current.remove(sceneRef.current.getObjectByProperty('uuid', shower.parentBodyMesh.uuid));
@@ -790,12 +1386,21 @@ const Orrery = () => {
             }
         });
 
-        dataRef.current.neos.forEach(neo => {
-            if (filterConditions.checkPassesFilters(neo)) {
-                sceneRef.current.add(neo.orbitMesh);
-                sceneRef.current.add(neo.bodyMesh);
-            }
-        });
+        // NEOs stay in the scene; filtering only toggles their visibility attributes
+        const neoPopulation = dataRef.current.neoPopulation;
+        if (neoPopulation) {
+            let anyVisible = false;
+            dataRef.current.neos.forEach(neo => {
+                const visible = filterConditions.checkPassesFilters(neo);
+                neoPopulation.setVisible(neo.index, visible);
+                anyVisible = anyVisible || visible;
+            });
+            neoPopulation.bodies.visible = anyVisible;
+            neoPopulation.orbits.visible = anyVisible;
+            neoPopulation.addTo(sceneRef.current);
+            geocentricViewRef.current?.invalidateFlybys();
+            flybySearchRef.current = null;
+        }
 
         dataRef.current.showers.forEach(shower => {
             if ((filterConditions.shownTypes['Shower']) && (shower.parentBodyMesh != null) && (shower.parentBodyMesh != undefined))
@@ -808,12 +1413,62 @@ const Orrery = () => {
         });
     };
 
+    // Labels for the planets, dwarf planets, shower parent bodies and NEOs; NEO labels are ranked by
+    // risk so the label limit keeps the riskiest NEOs passing the filters
+    const updateLabels = () => {
+        const layer = labelLayerRef.current;
+        if (!layer) return;
+        const labels = [];
+
+        dataRef.current.planets.forEach(planet => {
+            if (planet.name === 'rings') return;
+            labels.push({
+                ...(planet.data.renderParams.is_dwarf ? LABEL_STYLES.dwarfPlanet : LABEL_STYLES.planet),
+                text: planet.name,
+                body: planet,
+                getPosition: (target) => (planet.bodyMesh.parent ? planet.getPosition(target) : null)
+            });
+        });
+
+        const parentNames = new Set();
+        dataRef.current.showers.forEach(shower => {
+            const parentBody = shower.parentBodyMesh?.userData.parent;
+            if (!parentBody || parentNames.has(parentBody.name)) return;
+            parentNames.add(parentBody.name);
+            labels.push({
+                ...LABEL_STYLES.showerParent,
+                text: parentBody.name,
+                body: parentBody,
+                getPosition: (target) => (shower.parentBodyMesh.parent && shower.parentBodyMesh.visible ? parentBody.getPosition(target) : null)
+            });
+        });
+
+        const population = dataRef.current.neoPopulation;
+        if (population) {
+            const risk = new Map(dataRef.current.neos.map(neo => [neo, [getPalermoRating(neo), neo.data.extraParams['IP max'] || 0]]));
+            const ranked = [...dataRef.current.neos].sort((a, b) => risk.get(b)[0] - risk.get(a)[0] || risk.get(b)[1] - risk.get(a)[1]);
+            ranked.forEach((neo, rank) => {
+                labels.push({
+                    ...LABEL_STYLES.neo,
+                    group: NEO_LABEL_GROUP,
+                    priority: LABEL_STYLES.neo.priority - rank / ranked.length,
+                    text: neo.name,
+                    body: neo,
+                    getPosition: (target) => (population.bodies.visible && population.isVisible(neo.index) ? neo.getPosition(target) : null)
+                });
+            });
+        }
+
+        layer.setLabels(labels);
+    };
+
     const updateNEORiskColors = (collisionDetectionActive) => {
+        const neoPopulation = dataRef.current.neoPopulation;
         dataRef.current.neos.forEach(neo => {
-            if (neo.bodyMesh && neo.orbitMesh) {
+            if (neoPopulation) {
                 if (collisionDetectionActive) {
                     // Apply risk-based coloring
-                    const psMax = neo.data.extraParams['PS max'] || -99;
+                    const psMax = getPalermoRating(neo);
                     const ipMax = neo.data.extraParams['IP max'] || 0;
                     
                     // Determine risk level and color for orbit only
@@ -831,12 +1486,12 @@ const Orrery = () => {
                     }
                     
                     // Always keep body white, only change orbit color
-                    neo.bodyMesh.material.color.setHex(NEO_COLOR);
-                    neo.orbitMesh.material.color.setHex(orbitColor);
+                    neoPopulation.setBodyColor(neo.index, NEO_COLOR);
+                    neoPopulation.setOrbitColor(neo.index, orbitColor);
                 } else {
                     // Reset to default colors
-                    neo.bodyMesh.material.color.setHex(NEO_COLOR);
-                    neo.orbitMesh.material.color.setHex(NEO_ORBIT_COLOR);
+                    neoPopulation.setBodyColor(neo.index, NEO_COLOR);
+                    neoPopulation.setOrbitColor(neo.index, NEO_ORBIT_COLOR);
                 }
             }
         });
@@ -853,18 +1508,21 @@ const Orrery = () => {
         console.log('Creating Three.js scene...');
         // Scene setup
         const scene = new THREE.Scene();
-        const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.01, 1000);
+        const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, VIEW_CAMERAS[VIEW_MODES.HELIOCENTRIC].near, 1000);
         const renderer = new THREE.WebGLRenderer({ antialias: true, canvas: mountRef.current });
         
         renderer.setSize(window.innerWidth, window.innerHeight);
         sceneRef.current = scene;
         cameraRef.current = camera;
         rendererRef.current = renderer;
+        propagationRef.current = new PropagationService();
+        taskServiceRef.current = new TaskService();
 
         // Add mouse event listeners
         renderer.domElement.addEventListener('mousedown', handleMouseDown);
         renderer.domElement.addEventListener('mousemove', handleMouseMove);
         renderer.domElement.addEventListener('mouseup', handleMouseUp);
+        renderer.domElement.addEventListener('dblclick', handleDoubleClick);
 
         // Load skybox texture
         try {
@@ -885,6 +1543,9 @@ const Orrery = () => {
         const light = new THREE.AmbientLight(0x404040, 0.5);
         scene.add(light);
 
+        // Earth-Moon scene, drawn instead of the Solar System in the geocentric view mode
+        geocentricViewRef.current = new GeocentricView({ background: scene.background });
+
         // Create a group to hold collision prediction visuals
         predictionGroupRef.current = new THREE.Group();
         predictionGroupRef.current.visible = true;
@@ -897,13 +1558,23 @@ const Orrery = () => {
 
         // Setup controls
         const controls = new OrbitControls(camera, renderer.domElement);
-        controls.object.position.set(2, 2, 2);
+        controls.object.position.copy(HOME_CAMERA_POSITION);
         controls.target = new THREE.Vector3(0, 0, 0);
         controls.enableDamping = true;
         controlsRef.current = controls;
 
+        // Clicking a label selects its body
+        labelLayerRef.current = new LabelLayer(labelContainerRef.current, {
+            onSelect: (body) => {
+                setSelectedObject(body);
+                setSelectedObjectName(body.name);
+            }
+        });
+        labelLayerRef.current.setGroupLimit(NEO_LABEL_GROUP, DEFAULT_NEO_LABEL_COUNT);
+
         // Initialize time
         timeRef.current.MJD = JDToMJD(timeRef.current.JD);
+        syncDynamicalTime();
 
         // Initialize objects
         const initScene = async () => {
@@ -931,6 +1602,9 @@ const Orrery = () => {
                 console.log('Updating orbits...');
                 updateOrbits(filterConditions);
                 console.log('Orbits updated');
+
+                updateLabels();
+                computeNEOMOIDs();
                 
                 console.log('Scene initialization completed successfully');
                 setIsLoading(false);
@@ -968,6 +1642,7 @@ const Orrery = () => {
             newFilterConditions.shownTypes = { ...filterConditions.shownTypes };
             newFilterConditions.collisionDetectionActive = filterConditions.collisionDetectionActive;
             newFilterConditions.setRiskThreshold(threshold);
+            newFilterConditions.moidRange = [...filterConditions.moidRange];
             setFilterConditions(newFilterConditions);
             updateOrbits(newFilterConditions);
             updateNEORiskColors(filterConditions.collisionDetectionActive);
@@ -989,6 +1664,18 @@ const Orrery = () => {
                 const centerRadius = 1.0; // Earth's orbital radius
                 const gridExtent = 0.3; // ±0.3 AU around Earth's orbit
 
+                // Propagate the sampled NEOs once instead of once per grid point
+                const sampledNeos = Object.values(neoData).slice(0, 100)
+                    .filter(neo => neo.orbitParams && neo.orbitParams.a && neo.orbitParams.e);
+                const sampledOrbits = sampledNeos.map(neo => ({
+                    ...neo.orbitParams,
+                    inc: neo.orbitParams.inc * DEG_TO_RAD,
+                    node: neo.orbitParams.node * DEG_TO_RAD,
+                    peri: neo.orbitParams.peri * DEG_TO_RAD,
+                    ma: neo.orbitParams.ma * DEG_TO_RAD
+                }));
+                const sampledPositions = propagateBatch(createElementBatch(sampledOrbits), timeRef.current.MJD_TDB);
+
                 const riskGrid = new Array(gridSize).fill(null).map(() => 
                     new Array(gridSize).fill(null).map(() => new Array(gridSize).fill(0))
                 );
@@ -1006,7 +1693,7 @@ const Orrery = () => {
                             
                             // Only calculate risk for points near Earth's orbital plane
                             if (Math.abs(worldZ) < 0.05 && radius > 0.7 && radius < 1.3) {
-                                riskGrid[x][y][z] = calculateRiskDensity(radius, theta, neoData);
+                                riskGrid[x][y][z] = calculateRiskDensity(radius, theta, sampledNeos, sampledPositions);
                             }
                         }
                     }
@@ -1032,42 +1719,35 @@ const Orrery = () => {
             }
         };
 
-        const calculateRiskDensity = (radius, theta, neoData) => {
+        const calculateRiskDensity = (radius, theta, sampledNeos, sampledPositions) => {
             let totalRisk = 0;
             let count = 0;
 
-            // Sample NEOs and calculate proximity-based risk
-            Object.entries(neoData).slice(0, 100).forEach(([name, neo]) => {
-                try {
-                    const orbitParams = neo.orbitParams;
-                    if (!orbitParams || !orbitParams.a || !orbitParams.e) return;
-
-                    // Calculate NEO position at current time
-                    const trueAnomaly = JulianDateToTrueAnomaly(orbitParams, timeRef.current.JD);
-                    const transformMatrix = ensureTransformMatrix(orbitParams);
-                    if (!transformMatrix) return;
-
-                    const neoPos = getOrbitPositionSafe(orbitParams.a, orbitParams.e, trueAnomaly, transformMatrix);
-                    if (!neoPos) return;
+            // Calculate proximity-based risk from the pre-propagated NEO sample
+            sampledNeos.forEach((neo, index) => {
+                const neoPos = validatePosition({
+                    x: sampledPositions[index * 3],
+                    y: sampledPositions[index * 3 + 1],
+                    z: sampledPositions[index * 3 + 2]
+                });
+                if (!neoPos) return;
 
-                    // Calculate distance from grid point to NEO
-                    const dx = neoPos.x - radius * Math.cos(theta);
-                    const dy = neoPos.y - radius * Math.sin(theta);
-                    const dz = neoPos.z;
-                    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+                // Calculate distance from grid point (in the ecliptic plane) to NEO, both in scene axes
+                const gridPoint = eclipticToScene({ x: radius * Math.cos(theta), y: radius * Math.sin(theta), z: 0 });
+                const dx = neoPos.x - gridPoint.x;
+                const dy = neoPos.y - gridPoint.y;
+                const dz = neoPos.z - gridPoint.z;
+                const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
 
-                    // Risk decreases with distance (inverse square law)
-                    const proximityRisk = 1 / (1 + distance * 10);
-                    
-                    // Weight by NEO risk factors
-                    const riskWeight = neo.extraParams?.['IP max'] || 0.001;
-                    const sizeWeight = Math.log10(neo.extraParams?.diameter || 1) / 3;
-                    
-                    totalRisk += proximityRisk * riskWeight * (1 + sizeWeight);
-                    count++;
-                } catch (error) {
-                    // Skip invalid NEOs
-                }
+                // Risk decreases with distance (inverse square law)
+                const proximityRisk = 1 / (1 + distance * 10);
+                
+                // Weight by NEO risk factors
+                const riskWeight = neo.extraParams?.['IP max'] || 0.001;
+                const sizeWeight = Math.log10(neo.extraParams?.diameter || 1) / 3;
+                
+                totalRisk += proximityRisk * riskWeight * (1 + sizeWeight);
+                count++;
             });
 
             return count > 0 ? totalRisk / count : 0;
@@ -1098,7 +1778,8 @@ const Orrery = () => {
                             const worldY = (y - gridSize/2) * gridSpacing;
                             const worldZ = (z - gridSize/2) * gridSpacing;
                             
-                            points.push(worldX, worldZ, worldY);
+                            const scenePoint = eclipticToScene({ x: worldX, y: worldY, z: worldZ });
+                            points.push(scenePoint.x, scenePoint.y, scenePoint.z);
                             
                             // Color based on risk level
                             const normalizedRisk = risk / maxRisk;
@@ -1146,7 +1827,8 @@ const Orrery = () => {
                 const z = (Math.random() - 0.5) * 0.1;
                 const x = r * Math.cos(theta);
                 const y = r * Math.sin(theta);
-                points.push(x, z, y);
+                const scenePoint = eclipticToScene({ x, y, z });
+                points.push(scenePoint.x, scenePoint.y, scenePoint.z);
 
                 const proximity = 1 - Math.abs(r - 1) / (outerR - innerR);
                 const rCol = 1.0;
@@ -1186,7 +1868,8 @@ const Orrery = () => {
                 console.log('Animation running, time:', time, 'renderer:', rendererRef.current);
             }
 
-            let deltaJulian = deltaTime * TIMESPEEDS[timeRef.current.timeSpeedIndex] / 1000;
+            const timeRate = timeRef.current.paused ? 0 : timeRef.current.rate;
+            let deltaJulian = deltaTime * timeRate / 1000;
             
             // Validate time delta
             if (!isFinite(deltaJulian) || isNaN(deltaJulian)) {
@@ -1196,11 +1879,12 @@ const Orrery = () => {
             
             timeRef.current.JD += deltaJulian;
             timeRef.current.MJD += deltaJulian;
+            syncDynamicalTime();
 
             // Update Sun rotation
             if (dataRef.current.sunMesh) {
                 const sunRotationAxis = new THREE.Vector3(0, 1, 0).normalize();
-                const rotationDelta = (2 * Math.PI/(60 * SUNROTPER)) * 1 * TIMESPEEDS[timeRef.current.timeSpeedIndex];
+                const rotationDelta = (2 * Math.PI/(60 * SUNROTPER)) * 1 * timeRate;
                 if (isFinite(rotationDelta) && !isNaN(rotationDelta)) {
                     dataRef.current.sunMesh.rotateOnAxis(sunRotationAxis, rotationDelta);
                 }
@@ -1209,16 +1893,16 @@ const Orrery = () => {
             // Update planet positions and rotation
             dataRef.current.planets.forEach(planet => {
                 try {
-                    const orbitParams = planet.data.orbitParams;
                     const extraParams = planet.data.extraParams;
                     
                     // Validate time input for true anomaly calculation
-                    if (!isFinite(timeRef.current.JD) || isNaN(timeRef.current.JD)) {
+                    if (!isFinite(timeRef.current.JD_TDB) || isNaN(timeRef.current.JD_TDB)) {
                         console.warn('Invalid Julian Date, skipping planet update');
                         return;
                     }
                     
-                    const trueAnomaly = JulianDateToTrueAnomaly(orbitParams, timeRef.current.JD);
+                    const orbitParams = planet.data.ephemerisName ? updatePlanetEphemeris(planet, timeRef.current.JD_TDB) : planet.data.orbitParams;
+                    const trueAnomaly = JulianDateToTrueAnomaly(orbitParams, timeRef.current.JD_TDB);
                     
                     // Validate true anomaly result
                     if (!isFinite(trueAnomaly) || isNaN(trueAnomaly)) {
@@ -1233,14 +1917,14 @@ const Orrery = () => {
                         return;
                     }
                     
-                    const pos = getOrbitPositionSafe(orbitParams.a, orbitParams.e, trueAnomaly, transformMatrix);
+                    const pos = getOrbitPositionSafe(orbitParams.a, orbitParams.e, trueAnomaly, transformMatrix, orbitParams.q);
                     planet.setPosition(pos);
                     
                     // Update rotation for non-ring objects
                     if (planet.name !== 'rings' && extraParams.rotation_period && 
                         isFinite(extraParams.rotation_period) && extraParams.rotation_period > 0) {
                         const rotationAxis = new THREE.Vector3(0, 1, 0).normalize();
-                        const planetRotationDelta = (2 * Math.PI/(60 * extraParams.rotation_period)) * 1 * TIMESPEEDS[timeRef.current.timeSpeedIndex];
+                        const planetRotationDelta = (2 * Math.PI/(60 * extraParams.rotation_period)) * 1 * timeRate;
                         if (isFinite(planetRotationDelta) && !isNaN(planetRotationDelta)) {
                             planet.bodyMesh.rotateOnAxis(rotationAxis, planetRotationDelta);
                         }
@@ -1250,45 +1934,44 @@ const Orrery = () => {
                 }
             });
 
-            // Update NEO positions
-            dataRef.current.neos.forEach(neo => {
+            // Propagate the NEOs and the virtual-asteroid cloud in the worker, and copy in the latest
+            // positions it returned (one frame behind, or this frame when running without a worker)
+            const propagation = propagationRef.current;
+            if (propagation) {
                 try {
-                    const orbitParams = neo.data.orbitParams;
-                    
                     // Validate time input
-                    if (!isFinite(timeRef.current.MJD) || isNaN(timeRef.current.MJD)) {
+                    if (!isFinite(timeRef.current.MJD_TDB) || isNaN(timeRef.current.MJD_TDB)) {
                         console.warn('Invalid MJD, skipping NEO update');
-                        return;
+                    } else {
+                        propagation.requestPositions(timeRef.current);
                     }
-                    
-                    const trueAnomaly = JulianDateToTrueAnomaly(orbitParams, timeRef.current.MJD);
-                    
-                    // Validate true anomaly result
-                    if (!isFinite(trueAnomaly) || isNaN(trueAnomaly)) {
-                        console.warn(`Invalid true anomaly for NEO ${neo.name}:`, trueAnomaly);
-                        return;
+
+                    const neoPositions = propagation.takePositions(NEO_CATALOG);
+                    if (neoPositions && dataRef.current.neoPopulation) {
+                        dataRef.current.neoPopulation.updatePositions(neoPositions);
                     }
-                    
-                    // Ensure transformMatrix exists
-                    const transformMatrix = ensureTransformMatrix(orbitParams);
-                    if (!transformMatrix) {
-                        console.warn(`Failed to create transformMatrix for NEO ${neo.name}, skipping position update`);
-                        return;
+
+                    const cloud = uncertaintyCloudRef.current;
+                    const cloudPositions = propagation.takePositions(UNCERTAINTY_CLOUD_CATALOG);
+                    if (cloud && cloudPositions && cloudPositions.length === cloud.positions.length) {
+                        cloud.positions.set(cloudPositions);
+                        const attribute = cloud.points.geometry.attributes.position;
+                        attribute.array.set(cloudPositions);
+                        attribute.needsUpdate = true;
                     }
-                    
-                    const pos = getOrbitPositionSafe(orbitParams.a, orbitParams.e, trueAnomaly, transformMatrix);
-                    neo.setPosition(pos);
                 } catch (error) {
-                    console.error(`Error updating NEO ${neo.name}:`, error);
+                    console.error('Error updating NEO positions:', error);
                 }
-            });
+            }
 
             // Update shower visibility
             const earthPlanet = dataRef.current.planets.find(p => p.name === 'Earth');
             if (earthPlanet) {
                 try {
                     const earthOrbitParams = earthPlanet.data.orbitParams;
-                    const earthTrueAnomaly = JulianDateToTrueAnomaly(earthOrbitParams, timeRef.current.JD);
+                    const earthTrueAnomaly = JulianDateToTrueAnomaly(earthOrbitParams, timeRef.current.JD_TDB);
+
+                    const sunLongitude = solarLongitude(timeRef.current.JD_TDB);
 
                     if (isFinite(earthTrueAnomaly) && !isNaN(earthTrueAnomaly)) {
                         dataRef.current.showers.forEach(shower => {
@@ -1297,12 +1980,12 @@ const Orrery = () => {
                                     if (shower.parentBodyMesh && shower.orbitMeshes[0]) {
                                         const parentOrbitParams = shower.orbitMeshes[0].userData.parent.data.orbitParams;
                                         if (parentOrbitParams) {
-                                            const parentTrueAnomaly = JulianDateToTrueAnomaly(parentOrbitParams, timeRef.current.JD);
+                                            const parentTrueAnomaly = JulianDateToTrueAnomaly(parentOrbitParams, timeRef.current.JD_TDB);
                                             if (isFinite(parentTrueAnomaly) && !isNaN(parentTrueAnomaly)) {
                                                 // Ensure transformMatrix exists
                                                 const parentTransformMatrix = ensureTransformMatrix(parentOrbitParams);
                                                 if (parentTransformMatrix) {
-                                                    const parentPos = getOrbitPositionSafe(parentOrbitParams.a, parentOrbitParams.e, parentTrueAnomaly, parentTransformMatrix);
+                                                    const parentPos = getOrbitPositionSafe(parentOrbitParams.a, parentOrbitParams.e, parentTrueAnomaly, parentTransformMatrix, parentOrbitParams.q);
                                                     shower.setPosition(parentPos);
                                                 } else {
                                                     console.warn(`Failed to create transformMatrix for shower parent body, skipping position update`);
@@ -1313,19 +1996,23 @@ const Orrery = () => {
 
                                     shower.orbitMeshes.forEach(orbMesh => {
                                         try {
-                                            const extraParams = orbMesh.userData.parent.data.extraParams;
+                                            const { extraParams, activity } = orbMesh.userData.parent.data;
                                             const streamAnomalyBegin = extraParams.true_anomaly_begin;
                                             const streamAnomalyEnd = extraParams.true_anomaly_end;
 
-                                            // Validate stream anomaly values
-                                            if (isFinite(streamAnomalyBegin) && isFinite(streamAnomalyEnd) && 
-                                                !isNaN(streamAnomalyBegin) && !isNaN(streamAnomalyEnd)) {
-                                                
-                                                if (isEarthInStreamRange(earthTrueAnomaly * 180 / Math.PI, streamAnomalyBegin, streamAnomalyEnd)) {
+                                            // Lit while the shower is active: from its solar-longitude window when known,
+                                            // otherwise from where Earth is along the stream
+                                            if (activity || (isFinite(streamAnomalyBegin) && isFinite(streamAnomalyEnd) && 
+                                                !isNaN(streamAnomalyBegin) && !isNaN(streamAnomalyEnd))) {
+                                                const active = activity
+                                                    ? isShowerActive(activity, sunLongitude)
+                                                    : isEarthInStreamRange(earthTrueAnomaly * 180 / Math.PI, streamAnomalyBegin, streamAnomalyEnd);
+
+                                                if (active) {
                                                     orbMesh.material.color.set(SHOWER_ORBIT_COLOR);
                                                     orbMesh.material.transparent = false;
                                                     orbMesh.material.opacity = 1;
-                                                    orbMesh.raycast = THREE.Mesh.prototype.raycast;
+                                                    orbMesh.raycast = THREE.Line.prototype.raycast;
                                                 } else if (orbMesh.material.color.getHex() === SHOWER_ORBIT_COLOR) {
                                                     orbMesh.material.color.set(SHOWER_ORBIT_COLOR_NOTVIS);
                                                     orbMesh.material.transparent = true;
@@ -1348,29 +2035,45 @@ const Orrery = () => {
                 }
             }
 
-            // Update time display
-            try {
-                const timeString = MJDToDatetime(timeRef.current.MJD);
-                if (timeString && timeString !== 'Invalid Date') {
-                    setCurrentTime('Date: ' + timeString + ' UTC');
+            // Update time display, a few times per second rather than every frame
+            if (time - (timeRef.current.lastHudUpdate || 0) >= HUD_UPDATE_INTERVAL) {
+                timeRef.current.lastHudUpdate = time;
+                try {
+                    const timeString = MJDToDatetime(timeRef.current.MJD);
+                    if (timeString && timeString !== 'Invalid Date') {
+                        setCurrentTime('Date: ' + timeString + ' UTC');
+                    }
+                    setClockJD(timeRef.current.JD);
+                    setTimeRate(timeRef.current.rate);
+                    setTimeSpeed(formatTimeRate(timeRef.current.rate, timeRef.current.paused));
+                } catch (error) {
+                    console.error('Error updating time display:', error);
                 }
-                
-                if (timeRef.current.timeSpeedIndex == 10) {
-                    setTimeSpeed('Speed: 1 day/second');
-                } else if (timeRef.current.timeSpeedIndex == 7) {
-                    setTimeSpeed('Speed: Real-time');
-                } else {
-                    const speed = TIMESPEEDS[timeRef.current.timeSpeedIndex];
-                    if (isFinite(speed) && !isNaN(speed)) {
-                        setTimeSpeed(`Speed: ${speed.toPrecision(3)} days/second`);
+            }
+
+            // Earth-Moon scene: flyby paths are searched again (in the task worker, one search at a time)
+            // once the clock has moved half a window away from the dates they were searched around
+            const geocentricView = geocentricViewRef.current;
+            const geocentric = viewModeRef.current === VIEW_MODES.GEOCENTRIC && geocentricView !== null;
+            if (geocentric) {
+                try {
+                    if (geocentricView.needsFlybySearch(timeRef.current.JD_TDB)
+                        && time - (timeRef.current.lastFlybySearch || 0) >= FLYBY_SEARCH_INTERVAL) {
+                        timeRef.current.lastFlybySearch = time;
+                        refreshFlybys();
                     }
+                    geocentricView.update(timeRef.current, (index, target) => dataRef.current.neoPopulation.getPosition(index, target));
+                } catch (error) {
+                    console.error('Error updating Earth-Moon view:', error);
                 }
-            } catch (error) {
-                console.error('Error updating time display:', error);
             }
 
+            updateCameraFocus(time);
             controls.update();
-            renderer.render(scene, camera);
+            if (!geocentric) {
+                labelLayerRef.current?.update(camera);
+            }
+            renderer.render(geocentric ? geocentricView.scene : scene, camera);
         };
 
         animate(0);
@@ -1385,6 +2088,7 @@ const Orrery = () => {
         window.addEventListener('resize', handleResize);
 
         // Cleanup
+        const data = dataRef.current;
         return () => {
             window.removeEventListener('resize', handleResize);
             window.removeEventListener('collisionDemo:togglePredictions', handlePredictionToggle);
@@ -1394,58 +2098,255 @@ const Orrery = () => {
             renderer.domElement.removeEventListener('mousedown', handleMouseDown);
             renderer.domElement.removeEventListener('mousemove', handleMouseMove);
             renderer.domElement.removeEventListener('mouseup', handleMouseUp);
+            renderer.domElement.removeEventListener('dblclick', handleDoubleClick);
+            clearTimeout(moidFilterTimerRef.current);
             if (animationIdRef.current) {
                 cancelAnimationFrame(animationIdRef.current);
             }
             if (controlsRef.current) {
                 controlsRef.current.dispose();
             }
+            if (data.neoPopulation) {
+                data.neoPopulation.dispose();
+            }
+            if (propagationRef.current) {
+                propagationRef.current.dispose();
+            }
+            if (taskServiceRef.current) {
+                taskServiceRef.current.dispose();
+            }
+            if (geocentricViewRef.current) {
+                geocentricViewRef.current.dispose();
+            }
+            if (labelLayerRef.current) {
+                labelLayerRef.current.dispose();
+            }
             if (rendererRef.current) {
                 rendererRef.current.dispose();
             }
         };
     }, []);
 
+    useEffect(() => {
+        updateUncertaintyCloud(selectedObject);
+        labelLayerRef.current?.setSelected(selectedObject);
+    }, [selectedObject]);
+
+    useEffect(() => {
+        labelLayerRef.current?.setGroupLimit(NEO_LABEL_GROUP, neoLabelCount);
+    }, [neoLabelCount]);
+
+    useEffect(() => {
+        filterConditionsRef.current = filterConditions;
+    }, [filterConditions]);
+
+    // Timeline markers for the loaded NEOs and showers over the timeline range, listed in the task
+    // worker while the timeline is open, once the range has stopped changing. Results for a range that
+    // has since changed are dropped.
+    useEffect(() => {
+        if (isLoading || !showTimeline || !taskServiceRef.current) return;
+        let stale = false;
+        const timer = setTimeout(() => {
+            const neos = dataRef.current.neos.map(neo => ({ name: neo.name, orbitParams: neo.data.orbitParams, extraParams: neo.data.extraParams }));
+            taskServiceRef.current?.runTask('getTimelineEvents', { neos, showers: dataRef.current.showerActivities }, timelineRange.startJD, timelineRange.endJD)
+                .then(events => {
+                    if (!stale) setTimelineEvents(events);
+                })
+                .catch(error => {
+                    console.error('Error listing timeline events:', error);
+                    if (!stale) setTimelineEvents([]);
+                });
+        }, TIMELINE_DEBOUNCE);
+        return () => {
+            stale = true;
+            clearTimeout(timer);
+        };
+    }, [isLoading, showTimeline, timelineRange]);
+
+    // Mission design is offered for bodies on heliocentric orbits other than Earth itself
+    const canPlanMission = (body) =>
+        Boolean(body && body.data && body.name !== 'Sun' && body.name !== 'Earth' && !body.data.activity && getStateFunction(body));
+
+    // Draw the transfer picked in the porkchop plot, replacing any previous one (null clears it)
+    const handleSelectTransfer = useCallback((transfer) => {
+        const previous = transferArcRef.current;
+        if (previous) {
+            sceneRef.current?.remove(previous);
+            previous.geometry.dispose();
+            previous.material.dispose();
+            transferArcRef.current = null;
+        }
+        if (!transfer || !sceneRef.current) return;
+
+        try {
+            const points = sampleTransfer(transfer).map(position => eclipticToScene(position, new THREE.Vector3()));
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const material = new THREE.LineBasicMaterial({ color: TRANSFER_ARC_COLOR });
+            transferArcRef.current = new THREE.Line(geometry, material);
+            sceneRef.current.add(transferArcRef.current);
+        } catch (error) {
+            console.error('Error drawing transfer arc:', error);
+        }
+    }, []);
+
+    const handleCloseMission = useCallback(() => {
+        handleSelectTransfer(null);
+        setMissionDesign(null);
+    }, [handleSelectTransfer]);
+
+    // Draw the original and deflected orbits of a deflection simulation (null clears them)
+    const handleDeflectionResult = useCallback((result) => {
+        const previous = deflectionOrbitsRef.current;
+        if (previous) {
+            sceneRef.current?.remove(previous);
+            previous.children.forEach(orbit => {
+                orbit.geometry.dispose();
+                orbit.material.dispose();
+            });
+            deflectionOrbitsRef.current = null;
+        }
+        if (!result || !sceneRef.current) return;
+
+        const group = new THREE.Group();
+        [[result.before.orbitParams, NEO_ORBIT_COLOR], [result.after.orbitParams, DEFLECTED_ORBIT_COLOR]].forEach(([orbitParams, color]) => {
+            const orbit = createOrbitSafe(orbitParams, color, ORBIT_MESH_POINTS);
+            if (orbit) group.add(orbit);
+        });
+        deflectionOrbitsRef.current = group;
+        sceneRef.current.add(group);
+    }, []);
+
+    const handleCloseDeflection = useCallback(() => {
+        handleDeflectionResult(null);
+        setDeflection(null);
+    }, [handleDeflectionResult]);
+
+    const openMissionDesign = (body) => {
+        handleCloseDeflection();
+        handleSelectTransfer(null);
+        setMissionDesign({
+            name: body.name,
+            targetStateAt: getStateFunction(body),
+            startJD: Math.floor(timeRef.current.JD_TDB) + 0.5
+        });
+    };
+
+    const openDeflection = (neo) => {
+        handleCloseMission();
+        handleDeflectionResult(null);
+
+        const { orbitParams, extraParams = {} } = neo.data;
+        // NEO epochs are MJD, the deflection utilities work in JD; Sentry impact dates are UTC
+        const usesMJD = orbitParams.epoch < 2400000.5;
+        const impactMJD = extraParams.impact ? parseSentryDate(extraParams.impact) : NaN;
+        setDeflection({
+            target: {
+                name: neo.name,
+                orbitParams: { ...orbitParams, epoch: usesMJD ? MJDToJD(orbitParams.epoch) : orbitParams.epoch },
+                diameter: extraParams.diameter || null,
+                encounterJD: isFinite(impactMJD) ? MJDToJD(UTCToTDB(impactMJD)) : null
+            },
+            startJD: Math.floor(timeRef.current.JD_TDB) + 0.5
+        });
+    };
+
     const handleTimeControl = (action) => {
+        const rate = timeRef.current.rate;
         switch (action) {
             case 'fastbackward':
-                if (timeRef.current.timeSpeedIndex > 0) timeRef.current.timeSpeedIndex -= 1;
+                timeRef.current.rate = [...TIMESPEEDS].reverse().find(speed => speed < rate) ?? TIMESPEEDS[0];
                 break;
             case 'backward':
-                timeRef.current.timeSpeedIndex = 6;
+                timeRef.current.rate = TIMESPEEDS[6];
                 break;
             case 'now':
-                timeRef.current.timeSpeedIndex = 7;
-                const currentJD = (Date.now() / 86400000) + 2440587.5;
-                if (isFinite(currentJD) && !isNaN(currentJD)) {
-                    timeRef.current.JD = currentJD;
-                    timeRef.current.MJD = JDToMJD(currentJD);
-                }
+                timeRef.current.rate = REAL_TIME_SPEED;
+                handleJumpToDate(MJDToJD(unixTimeToMJD(Date.now())));
                 break;
             case 'forward':
-                timeRef.current.timeSpeedIndex = 7;
+                timeRef.current.rate = REAL_TIME_SPEED;
                 break;
             case 'fastforward':
-                if (timeRef.current.timeSpeedIndex < TIMESPEEDS.length - 1) timeRef.current.timeSpeedIndex += 1;
+                timeRef.current.rate = TIMESPEEDS.find(speed => speed > rate) ?? TIMESPEEDS[TIMESPEEDS.length - 1];
                 break;
         }
+        setTimePaused(false);
     };
 
+    // Move the clock to a UTC Julian date and refresh the HUD on the next frame
+    const handleJumpToDate = useCallback((JD) => {
+        if (!isFinite(JD)) return;
+        timeRef.current.JD = JD;
+        timeRef.current.MJD = JDToMJD(JD);
+        syncDynamicalTime();
+        timeRef.current.lastHudUpdate = 0;
+    }, [syncDynamicalTime]);
+
+    const setTimePaused = useCallback((value) => {
+        timeRef.current.paused = value;
+        timeRef.current.lastHudUpdate = 0;
+        setPaused(value);
+    }, []);
+
+    // Custom clock rate in days per second
+    const handleSetTimeRate = useCallback((rate) => {
+        if (!isFinite(rate)) return;
+        timeRef.current.rate = rate;
+        setTimePaused(false);
+    }, [setTimePaused]);
+
+    const handleTogglePause = useCallback(() => {
+        setTimePaused(!timeRef.current.paused);
+    }, [setTimePaused]);
+
+    const handleCloseTimeline = useCallback(() => setShowTimeline(false), []);
+
+    // Add an orbit determined from observations to the NEOs and select it
+    const handleAddDeterminedNeo = (name, { orbitParams, extraParams }) => {
+        const neo = addNeo(name, { orbitParams: { ...orbitParams }, extraParams: { ...extraParams } });
+        if (neo) {
+            setSelectedObject(neo);
+            setSelectedObjectName(neo.name);
+        }
+        return neo;
+    };
+
+    const handleCloseOrbitDetermination = useCallback(() => setShowOrbitDetermination(false), []);
+
     const handleFilterChange = (type, value) => {
         const newFilterConditions = new FilterConditions();
         newFilterConditions.shownTypes = { ...filterConditions.shownTypes };
         newFilterConditions.shownTypes[type] = value;
         newFilterConditions.collisionDetectionActive = filterConditions.collisionDetectionActive;
         newFilterConditions.riskThreshold = filterConditions.riskThreshold;
+        newFilterConditions.moidRange = [...filterConditions.moidRange];
         setFilterConditions(newFilterConditions);
         updateOrbits(newFilterConditions);
     };
 
+    // The MOID filter is applied once typing pauses; NEOs whose MOID is still being computed stay shown
+    const handleMoidFilterChange = (text) => {
+        setMoidFilterText(text);
+        clearTimeout(moidFilterTimerRef.current);
+        moidFilterTimerRef.current = setTimeout(() => {
+            const maxMoid = parseFloat(text);
+            const current = filterConditionsRef.current;
+            const newFilterConditions = new FilterConditions();
+            newFilterConditions.shownTypes = { ...current.shownTypes };
+            newFilterConditions.collisionDetectionActive = current.collisionDetectionActive;
+            newFilterConditions.riskThreshold = current.riskThreshold;
+            newFilterConditions.moidRange = [0, isNaN(maxMoid) ? Infinity : Math.max(0, maxMoid)];
+            setFilterConditions(newFilterConditions);
+            updateOrbits(newFilterConditions);
+        }, MOID_FILTER_DEBOUNCE);
+    };
+
     const handleCollisionDetectionToggle = (active) => {
         const newFilterConditions = new FilterConditions();
         newFilterConditions.shownTypes = { ...filterConditions.shownTypes };
         newFilterConditions.setCollisionDetectionMode(active);
         newFilterConditions.riskThreshold = filterConditions.riskThreshold;
+        newFilterConditions.moidRange = [...filterConditions.moidRange];
         setFilterConditions(newFilterConditions);
         updateOrbits(newFilterConditions);
         updateNEORiskColors(active);
@@ -1453,10 +2354,14 @@ const Orrery = () => {
 
     // Format the selected object data for display
     const objectInfo = selectedObject ? formatObjectInfo(selectedObject) : null;
+    const activeShowers = filterConditions.shownTypes['Shower'] && timeRef.current.JD_TDB
+        ? getActiveShowers(dataRef.current.showerActivities, solarLongitude(timeRef.current.JD_TDB))
+        : [];
 
     return (
         <div className="orrery-container">
             <canvas ref={mountRef} className="orrery-canvas" />
+            <div ref={labelContainerRef} className="label-layer" />
             
             {/* Selected Object Name Display */}
             {selectedObjectName && (
@@ -1464,6 +2369,59 @@ const Orrery = () => {
                     {selectedObjectName}
                 </div>
             )}
+
+            {/* Scene toggle, with the legend of the Earth-Moon scene */}
+            <div className="view-mode-panel">
+                <div className="view-mode-toggle">
+                    <button className={viewMode === VIEW_MODES.HELIOCENTRIC ? 'active' : ''} onClick={() => switchViewMode(VIEW_MODES.HELIOCENTRIC)}>
+                        Solar System
+                    </button>
+                    <button className={viewMode === VIEW_MODES.GEOCENTRIC ? 'active' : ''} onClick={() => switchViewMode(VIEW_MODES.GEOCENTRIC)}>
+                        Earth–Moon
+                    </button>
+                </div>
+                {viewMode === VIEW_MODES.GEOCENTRIC && (
+                    <div className="geocentric-legend">
+                        <p>1 LD = {LUNAR_DISTANCE_KM.toLocaleString()} km = {(LUNAR_DISTANCE_KM / EARTH_RADIUS_KM).toFixed(1)} R⊕</p>
+                        <p><span className="legend-swatch legend-geo" />Geostationary orbit ({(GEO_RADIUS_KM / EARTH_RADIUS_KM).toFixed(1)} R⊕)</p>
+                        <p><span className="legend-swatch legend-lunar-distance" />1 LD</p>
+                        <p><span className="legend-swatch legend-moon-orbit" />Moon's orbit</p>
+                        <p>
+                            <span className="legend-swatch legend-flyby" />
+                            NEO flybys within {Math.round(FLYBY_RADIUS * AU_KM / LUNAR_DISTANCE_KM)} LD, ±{FLYBY_WINDOW} days
+                        </p>
+                        <h4>Closest flybys</h4>
+                        {flybyList.length === 0 ? (
+                            <p className="geocentric-legend-empty">None</p>
+                        ) : (
+                            <ul>
+                                {flybyList.map((flyby) => (
+                                    <li key={flyby.name} onClick={() => {
+                                        setSelectedObject(dataRef.current.neos[flyby.index]);
+                                        setSelectedObjectName(flyby.name);
+                                    }}>
+                                        <span>{flyby.name}</span>
+                                        <span>
+                                            {(flyby.distance * AU_KM / LUNAR_DISTANCE_KM).toFixed(2)} LD
+                                            ({Math.round(flyby.distance * AU_KM / EARTH_RADIUS_KM)} R⊕)
+                                            · {formatISO8601(TDBToUTC(JDToMJD(flyby.JD))).slice(0, 16).replace('T', ' ')}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {/* Camera focus breadcrumb */}
+            {focusedBodyName && (
+                <div className="focus-breadcrumb">
+                    <button onClick={() => focusOn(null)}>Sun-centred view</button>
+                    <span className="focus-breadcrumb-separator">›</span>
+                    <span>{focusedBodyName}</span>
+                </div>
+            )}
             
             {/* Loading State */}
             {isLoading && (
@@ -1529,6 +2487,22 @@ const Orrery = () => {
                             <polygon points="2,19 11,12 2,5"/>
                         </svg>
                     </button>
+                    <button onClick={() => setShowTimeline(!showTimeline)} className="time-btn" title="Timeline">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <line x1="2" y1="12" x2="22" y2="12"/>
+                            <line x1="6" y1="8" x2="6" y2="16"/>
+                            <line x1="12" y1="6" x2="12" y2="18"/>
+                            <line x1="18" y1="8" x2="18" y2="16"/>
+                        </svg>
+                    </button>
+                    <button onClick={() => setShowOrbitDetermination(!showOrbitDetermination)} className="time-btn" title="Orbit from Observations">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <ellipse cx="12" cy="12" rx="10" ry="6"/>
+                            <circle cx="6" cy="9" r="1"/>
+                            <circle cx="12" cy="6" r="1"/>
+                            <circle cx="18" cy="9" r="1"/>
+                        </svg>
+                    </button>
                 </div>
             </div>
 
@@ -1575,6 +2549,55 @@ const Orrery = () => {
                     />
                     Sporadic meteoroids
                 </label>
+                <label className="filter-number">
+                    Max Earth MOID (AU)
+                    <input 
+                        type="number" 
+                        min="0"
+                        step="0.01"
+                        placeholder="Any"
+                        value={moidFilterText}
+                        onChange={(e) => handleMoidFilterChange(e.target.value)}
+                    />
+                </label>
+                <label className="filter-number">
+                    Labels of riskiest NEOs
+                    <input 
+                        type="number" 
+                        min="0"
+                        max={MAX_NEO_LABEL_COUNT}
+                        step="1"
+                        value={neoLabelCount}
+                        onChange={(e) => setNeoLabelCount(Math.min(MAX_NEO_LABEL_COUNT, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+                    />
+                </label>
+
+                {filterConditions.shownTypes['Shower'] && (
+                    <div className="active-showers">
+                        <h4>Showers active now</h4>
+                        {activeShowers.length === 0 ? (
+                            <p className="active-showers-empty">None</p>
+                        ) : (
+                            <ul>
+                                {activeShowers.map((active) => (
+                                    <li key={active.shower.code} onClick={() => selectShower(active)}>
+                                        <div className="active-shower-name">
+                                            <span>{active.shower.designation}</span>
+                                            <span>{Math.round(active.activity * 100)}%</span>
+                                        </div>
+                                        <div className="activity-bar">
+                                            <div style={{ width: `${active.activity * 100}%` }} />
+                                        </div>
+                                        <div className="active-shower-details">
+                                            Radiant {formatRA(active.radiant.ra * DEG_TO_RAD)} {formatDec(active.radiant.dec * DEG_TO_RAD)}
+                                            {active.shower.geocentricVelocity !== null && ` · ${active.shower.geocentricVelocity.toFixed(1)} km/s`}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                )}
             </div>
 
             {/* Info Panel - Enhanced with detailed information */}
@@ -1597,12 +2620,133 @@ const Orrery = () => {
                     <p><span>Argument of perihelion:</span> {objectInfo.orbitalParams.argumentOfPerihelion}</p>
                     <p><span>Mean anomaly:</span> {objectInfo.orbitalParams.meanAnomaly}</p>
                     <p><span>Epoch:</span> {objectInfo.orbitalParams.epoch}</p>
+                    {objectInfo.orbitalParams.earthMOID !== 'N/A' && (
+                        <p><span>Earth MOID:</span> {objectInfo.orbitalParams.earthMOID}</p>
+                    )}
+                    {objectInfo.orbitalParams.ephemerisAccuracy !== 'N/A' && (
+                        <p><span>Position accuracy:</span> {objectInfo.orbitalParams.ephemerisAccuracy}</p>
+                    )}
+                    
+                    {objectInfo.skyPosition && (
+                        <>
+                            <h3>Seen from Earth:</h3>
+                            <p><span>Right ascension:</span> {objectInfo.skyPosition.rightAscension}</p>
+                            <p><span>Declination:</span> {objectInfo.skyPosition.declination}</p>
+                            <p><span>Geocentric distance:</span> {objectInfo.skyPosition.geocentricDistance}</p>
+                        </>
+                    )}
+                    {objectInfo.photometry && (
+                        <>
+                            <p><span>Heliocentric distance:</span> {objectInfo.photometry.heliocentricDistance}</p>
+                            <p><span>Phase angle:</span> {objectInfo.photometry.phaseAngle}</p>
+                            <p><span>Solar elongation:</span> {objectInfo.photometry.elongation}</p>
+                            <p><span>Apparent magnitude (V):</span> {objectInfo.photometry.magnitude}</p>
+                            <p><span>Observable:</span> {objectInfo.photometry.visibility}</p>
+                        </>
+                    )}
+                    {objectInfo.positionUncertainty !== 'N/A' && (
+                        <p><span>Position uncertainty (1σ):</span> {objectInfo.positionUncertainty}</p>
+                    )}
                     
                     {objectInfo.riskLevel !== 'N/A' && (
-                        <p><span>Risk Level:</span> {objectInfo.riskLevel}</p>
+                        <p><span>Palermo scale:</span> {objectInfo.riskLevel}</p>
+                    )}
+                    {objectInfo.torino && (
+                        <p>
+                            <span>Torino scale:</span>{' '}
+                            <span className="torino-badge" style={{ backgroundColor: objectInfo.torino.color }}>{objectInfo.torino.value}</span>{' '}
+                            {objectInfo.torino.description}
+                        </p>
+                    )}
+                    {objectInfo.potentialImpact !== 'N/A' && (
+                        <p><span>Potential impact:</span> {objectInfo.potentialImpact}</p>
+                    )}
+
+                    {objectInfo.shower && (
+                        <>
+                            <h3>Meteor shower:</h3>
+                            <p><span>Shower:</span> {objectInfo.shower.designation}</p>
+                            <p><span>Activity window:</span> {objectInfo.shower.window}</p>
+                            <p><span>Next peak:</span> {objectInfo.shower.nextPeak}</p>
+                            <p><span>Current activity:</span> {objectInfo.shower.activity}</p>
+                            <p><span>Radiant:</span> {objectInfo.shower.radiant}</p>
+                            <p><span>Geocentric velocity:</span> {objectInfo.shower.velocity}</p>
+                        </>
+                    )}
+
+                    {objectInfo.impactEffects && (
+                        <>
+                            <h3>If it hit:</h3>
+                            <p><span>Impact energy:</span> {objectInfo.impactEffects.energy}</p>
+                            <p><span>Atmospheric entry:</span> {objectInfo.impactEffects.entry}</p>
+                            {objectInfo.impactEffects.crater && <p><span>Crater diameter:</span> {objectInfo.impactEffects.crater}</p>}
+                            {objectInfo.impactEffects.severeBlast && <p><span>Concrete buildings collapse within:</span> {objectInfo.impactEffects.severeBlast}</p>}
+                            {objectInfo.impactEffects.moderateBlast && <p><span>Houses collapse within:</span> {objectInfo.impactEffects.moderateBlast}</p>}
+                            {objectInfo.impactEffects.lightBlast && <p><span>Windows shatter within:</span> {objectInfo.impactEffects.lightBlast}</p>}
+                            {objectInfo.impactEffects.burns && <p><span>Third-degree burns within:</span> {objectInfo.impactEffects.burns}</p>}
+                        </>
+                    )}
+
+                    {canFocus(selectedObject) && (
+                        <button className="mission-btn" onClick={() => focusOn(selectedObject)} disabled={focusedBodyName === selectedObject.name}>
+                            {focusedBodyName === selectedObject.name ? 'Following' : 'Focus camera'}
+                        </button>
+                    )}
+                    {canPlanMission(selectedObject) && (
+                        <button className="mission-btn" onClick={() => openMissionDesign(selectedObject)}>
+                            Plan a mission
+                        </button>
+                    )}
+                    {dataRef.current.neos.includes(selectedObject) && (
+                        <button className="mission-btn" onClick={() => openDeflection(selectedObject)}>
+                            Simulate a deflection
+                        </button>
                     )}
                 </div>
             )}
+
+            {missionDesign && (
+                <MissionDesignPanel
+                    key={missionDesign.name}
+                    targetName={missionDesign.name}
+                    targetStateAt={missionDesign.targetStateAt}
+                    startJD={missionDesign.startJD}
+                    onSelectTransfer={handleSelectTransfer}
+                    onClose={handleCloseMission}
+                />
+            )}
+
+            {showTimeline && (
+                <TimelinePanel
+                    currentJD={clockJD}
+                    paused={paused}
+                    rate={timeRate}
+                    range={timelineRange}
+                    events={timelineEvents}
+                    onRangeChange={setTimelineRange}
+                    onJump={handleJumpToDate}
+                    onSetRate={handleSetTimeRate}
+                    onTogglePause={handleTogglePause}
+                    onClose={handleCloseTimeline}
+                />
+            )}
+
+            {showOrbitDetermination && (
+                <OrbitDeterminationPanel
+                    onAdd={handleAddDeterminedNeo}
+                    onClose={handleCloseOrbitDetermination}
+                />
+            )}
+
+            {deflection && (
+                <DeflectionPanel
+                    key={deflection.target.name}
+                    target={deflection.target}
+                    startJD={deflection.startJD}
+                    onResult={handleDeflectionResult}
+                    onClose={handleCloseDeflection}
+                />
+            )}
         </div>
     );
 };
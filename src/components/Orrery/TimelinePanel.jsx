@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import { EVENT_KINDS } from '../../utils/timeline.js';
+import { formatISO8601, JDToMJD, MJDToJD, parseISO8601 } from '../../utils/TimeUtils.js';
+import './TimelinePanel.css';
+
+const UPCOMING_EVENTS = 6; // events listed after the current date
+
+const DATE_FORMATS = {
+    UTC: 'utc',
+    JD: 'jd',
+    MJD: 'mjd'
+};
+
+const EVENT_TITLES = {
+    [EVENT_KINDS.APPROACH]: 'Close approach',
+    [EVENT_KINDS.IMPACT]: 'Potential impact',
+    [EVENT_KINDS.SHOWER]: 'Shower peak'
+};
+
+// All dates here are UTC Julian dates, like the Orrery clock
+const formatDate = (JD) => formatISO8601(JDToMJD(JD)).slice(0, 10);
+const formatDateTime = (JD) => formatISO8601(JDToMJD(JD)).slice(0, 16).replace('T', ' ');
+const dateStringToJD = (dateString) => MJDToJD(parseISO8601(dateString));
+
+// Julian date typed in one of the date formats, NaN when unparseable
+const parseDate = (text, format) => {
+    if (format === DATE_FORMATS.UTC) return dateStringToJD(text);
+    const value = text.trim() === '' ? NaN : Number(text);
+    return format === DATE_FORMATS.MJD ? MJDToJD(value) : value;
+};
+
+const TimelinePanel = ({ currentJD, paused, rate, range, events, onRangeChange, onJump, onSetRate, onTogglePause, onClose }) => {
+    const [dateText, setDateText] = useState('');
+    const [dateFormat, setDateFormat] = useState(DATE_FORMATS.UTC);
+    const [rateText, setRateText] = useState(() => String(rate));
+    const [error, setError] = useState(null);
+
+    // The rate also changes through the time controls outside the panel
+    useEffect(() => {
+        setRateText(String(rate));
+    }, [rate]);
+
+    const span = range.endJD - range.startJD;
+    const position = (JD) => `${((JD - range.startJD) / span) * 100}%`;
+    const scrubberJD = currentJD === null ? range.startJD : Math.min(range.endJD, Math.max(range.startJD, currentJD));
+    const upcoming = currentJD === null ? [] : events.filter(event => event.JD >= currentJD).slice(0, UPCOMING_EVENTS);
+
+    const handleJump = () => {
+        const JD = parseDate(dateText, dateFormat);
+        if (!isFinite(JD)) {
+            setError(dateFormat === DATE_FORMATS.UTC ? 'Enter an ISO-8601 date, e.g. 2034-11-08T17:09.' : 'Enter a number of days.');
+            return;
+        }
+        setError(null);
+        onJump(JD);
+    };
+
+    const handleSetRate = () => {
+        const value = parseFloat(rateText);
+        if (!isFinite(value)) {
+            setError('The rate must be a number of days per second.');
+            return;
+        }
+        setError(null);
+        onSetRate(value);
+    };
+
+    const handleRangeChange = (key) => (e) => {
+        const JD = dateStringToJD(e.target.value);
+        const next = { ...range, [key]: JD };
+        if (isFinite(JD) && next.endJD > next.startJD) onRangeChange(next);
+    };
+
+    return (
+        <div className="timeline-panel">
+            <div className="timeline-panel-header">
+                <h3>Timeline</h3>
+                <button className="timeline-close" onClick={onClose} title="Close">×</button>
+            </div>
+
+            <div className="timeline-row">
+                <input
+                    className="timeline-date-input"
+                    type="text"
+                    value={dateText}
+                    placeholder={dateFormat === DATE_FORMATS.UTC ? 'YYYY-MM-DDTHH:MM' : 'Days'}
+                    onChange={(e) => setDateText(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleJump()}
+                />
+                <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                    <option value={DATE_FORMATS.UTC}>UTC</option>
+                    <option value={DATE_FORMATS.JD}>JD</option>
+                    <option value={DATE_FORMATS.MJD}>MJD</option>
+                </select>
+                <button className="timeline-btn" onClick={handleJump}>Jump</button>
+            </div>
+            {currentJD !== null && (
+                <p className="timeline-note">
+                    JD {currentJD.toFixed(5)} · MJD {JDToMJD(currentJD).toFixed(5)} (UTC)
+                </p>
+            )}
+
+            <div className="timeline-scrubber">
+                <div className="timeline-markers">
+                    {events.map(event => (
+                        <button
+                            key={`${event.kind}-${event.name}-${event.JD}`}
+                            className={`timeline-marker timeline-marker-${event.kind}`}
+                            style={{ left: position(event.JD) }}
+                            title={`${formatDateTime(event.JD)} ${event.label}`}
+                            onClick={() => onJump(event.JD)}
+                        />
+                    ))}
+                </div>
+                <input
+                    type="range"
+                    min={range.startJD}
+                    max={range.endJD}
+                    step="any"
+                    value={scrubberJD}
+                    onChange={(e) => onJump(Number(e.target.value))}
+                />
+            </div>
+            <div className="timeline-row timeline-range">
+                <input type="date" value={formatDate(range.startJD)} onChange={handleRangeChange('startJD')} />
+                <input type="date" value={formatDate(range.endJD)} onChange={handleRangeChange('endJD')} />
+            </div>
+
+            <div className="timeline-row">
+                <label>
+                    Rate (days/s)
+                    <input
+                        className="timeline-rate-input"
+                        type="number"
+                        step="any"
+                        value={rateText}
+                        onChange={(e) => setRateText(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSetRate()}
+                    />
+                </label>
+                <button className="timeline-btn" onClick={handleSetRate}>Set</button>
+                <button className="timeline-btn" onClick={onTogglePause}>{paused ? 'Resume' : 'Pause'}</button>
+            </div>
+            {error && <p className="timeline-error">{error}</p>}
+
+            <h4>Upcoming events</h4>
+            {upcoming.length === 0 ? (
+                <p className="timeline-note">No events until {formatDate(range.endJD)}.</p>
+            ) : (
+                <ul className="timeline-events">
+                    {upcoming.map(event => (
+                        <li key={`${event.kind}-${event.name}-${event.JD}`} onClick={() => onJump(event.JD)} title={EVENT_TITLES[event.kind]}>
+                            <span className={`timeline-event-dot timeline-marker-${event.kind}`} />
+                            <span className="timeline-event-date">{formatDateTime(event.JD)}</span>
+                            {event.label}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default React.memo(TimelinePanel);
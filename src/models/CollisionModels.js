@@ -1,6 +1,12 @@
 /**
  * Data models and types for collision detection system
  */
+import { computeImpactEffects } from '../utils/impactEffects.js';
+import { assessImpactRisk, impactEnergyMegatons, impactVelocityFromEncounter, MEGATON_J } from '../utils/riskScales.js';
+import { createSatrec, EARTH_RADIUS_KM, propagateSatrec, SGP4_ERRORS } from '../utils/sgp4.js';
+import { orbitalDataToStateVector } from '../utils/stateVectors.js';
+import { parseTLE } from '../utils/tle.js';
+import { MJDToJD, unixTimeToMJD, UTCToTDB } from '../utils/TimeUtils.js';
 
 /**
  * Base object model for all space objects
@@ -17,6 +23,25 @@ export class SpaceObject {
         this.orbitalData = data.orbitalData || null;
         this.isHazardous = data.isHazardous || false;
         this.lastUpdated = data.lastUpdated || new Date().toISOString();
+
+        if (!data.position && this.orbitalData) {
+            this.updateStateFromOrbit();
+        }
+    }
+
+    /**
+     * Fill position (km) and velocity (km/s) from orbitalData, heliocentric ecliptic J2000
+     * @param {number} JD - Julian date (TDB) to evaluate the orbit at, defaults to now
+     * @returns {boolean} - Whether the orbital data was complete enough to propagate
+     */
+    updateStateFromOrbit(JD = MJDToJD(UTCToTDB(unixTimeToMJD(Date.now())))) {
+        const state = orbitalDataToStateVector(this.orbitalData, JD);
+        if (!state) {
+            return false;
+        }
+        this.position = state.position;
+        this.velocity = state.velocity;
+        return true;
     }
 
     /**
@@ -59,6 +84,33 @@ export class NEO extends SpaceObject {
         this.closeApproachData = data.closeApproachData || [];
         this.riskAssessment = data.riskAssessment || null;
         this.impactEnergy = data.impactEnergy || 0;
+        this.impactProbability = data.impactProbability || 0;
+        this.impactDate = data.impactDate || null; // UTC MJD of the potential impact
+        this.impactVelocity = data.impactVelocity || null; // atmospheric entry speed, km/s
+    }
+
+    /**
+     * Palermo and Torino ratings of the potential impact
+     * Objects without explicit impact data (e.g. from the NASA feed) are rated at their closest Earth
+     * approach with the probability of their risk assessment.
+     * @param {number} currentMJD - UTC MJD the time to impact is counted from, defaults to now
+     * @returns {Object|null} - energy (Mt), yearsToImpact, palermo, torino, torinoColor, torinoDescription
+     */
+    getRiskScales(currentMJD = unixTimeToMJD(Date.now())) {
+        const approach = this.getClosestApproachToEarth();
+        const impactMJD = this.impactDate !== null ? this.impactDate : approach?.mjd;
+        const velocity = this.getImpactVelocity();
+        if (impactMJD === null || impactMJD === undefined || !velocity) {
+            return null;
+        }
+
+        return assessImpactRisk({
+            probability: this.impactProbability || this.riskAssessment?.collisionProbability || 0,
+            diameter: this.diameter,
+            velocity,
+            impactMJD,
+            currentMJD
+        });
     }
 
     /**
@@ -75,17 +127,44 @@ export class NEO extends SpaceObject {
     }
 
     /**
-     * Calculate impact energy based on size and velocity
+     * Atmospheric entry speed (km/s): the stored value, else derived from the closest Earth approach
+     */
+    getImpactVelocity() {
+        if (this.impactVelocity) {
+            return this.impactVelocity;
+        }
+        const approach = this.getClosestApproachToEarth();
+        return approach ? impactVelocityFromEncounter(approach.velocity / 3600) : null;
+    }
+
+    /**
+     * Calculate impact energy (Mt TNT) from diameter (m), an assumed density and the entry speed
+     * @returns {number} - 0 when the size or entry speed is unknown
      */
     calculateImpactEnergy() {
-        const velocity = this.relativeVelocityTo({ velocity: { x: 0, y: 0, z: 0 } });
-        const mass = this.mass || (this.diameter * this.diameter * this.diameter * 0.001); // Rough mass estimate
-        return 0.5 * mass * velocity * velocity;
+        const velocity = this.getImpactVelocity();
+        if (!velocity || !this.diameter) {
+            return 0;
+        }
+        if (this.mass) {
+            return 0.5 * this.mass * Math.pow(velocity * 1000, 2) / MEGATON_J;
+        }
+        return impactEnergyMegatons(this.diameter, velocity);
+    }
+
+    /**
+     * Estimated consequences of an impact on land (see utils/impactEffects.js)
+     * @param {number} angle - Impact angle from horizontal in degrees
+     */
+    getImpactEffects(angle) {
+        return computeImpactEffects({ diameter: this.diameter, velocity: this.getImpactVelocity(), angle });
     }
 }
 
 /**
  * Satellite model
+ * With a two-line element set (data.tle = { line1, line2 }) the state is propagated with SGP4:
+ * position (km) and velocity (km/s) are then geocentric in the TEME frame, not heliocentric.
  */
 export class Satellite extends SpaceObject {
     constructor(data) {
@@ -97,6 +176,60 @@ export class Satellite extends SpaceObject {
         this.operator = data.operator || 'Unknown';
         this.launchDate = data.launchDate || null;
         this.status = data.status || 'Active';
+        this.tle = data.tle || null;
+        this.epoch = null; // UTC MJD of the element set
+        this.satrec = null;
+
+        if (this.tle) {
+            this.initializeFromTLE(!data.position);
+        }
+    }
+
+    /**
+     * Parse the element set and set up the SGP4 propagator
+     * @param {boolean} updateState - Also propagate the state to now
+     */
+    initializeFromTLE(updateState = true) {
+        try {
+            const elements = parseTLE(this.tle.line1, this.tle.line2, this.name);
+            this.satrec = createSatrec(elements);
+            this.epoch = elements.epochMJD;
+            this.inclination = elements.inclination;
+            this.period = elements.period;
+        } catch (error) {
+            console.warn(`Invalid TLE for satellite ${this.name}:`, error.message);
+            this.satrec = null;
+            return;
+        }
+
+        if (updateState) {
+            this.updateStateFromTLE();
+        }
+    }
+
+    /**
+     * Fill position (km) and velocity (km/s) from the element set, geocentric TEME
+     * @param {number} MJD - UTC MJD to propagate to, defaults to now
+     * @returns {boolean} - Whether SGP4 could propagate the elements to that date
+     */
+    updateStateFromTLE(MJD = unixTimeToMJD(Date.now())) {
+        if (!this.satrec) {
+            return false;
+        }
+
+        const state = propagateSatrec(this.satrec, MJD);
+        if (!state) {
+            console.warn(`Cannot propagate satellite ${this.name}: ${SGP4_ERRORS[this.satrec.error]}`);
+            if (this.satrec.error === 6) {
+                this.status = 'Decayed';
+            }
+            return false;
+        }
+
+        this.updateState(state.position, state.velocity);
+        const { x, y, z } = state.position;
+        this.altitude = Math.sqrt(x * x + y * y + z * z) - EARTH_RADIUS_KM;
+        return true;
     }
 
     /**
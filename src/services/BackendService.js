@@ -240,7 +240,6 @@ class BackendService {
     getMockTrajectoryPrediction(object, timeSteps) {
         const positions = [];
         const velocities = [];
-        const uncertainties = [];
 
         for (let i = 0; i < timeSteps; i++) {
             const t = i / timeSteps;
@@ -254,13 +253,12 @@ class BackendService {
                 y: Math.cos(t * Math.PI * 2) * 0.1,
                 z: Math.cos(t * Math.PI * 4) * 0.05
             });
-            uncertainties.push(Math.random() * 0.1);
         }
 
         return {
             positions,
             velocities,
-            uncertainties,
+            uncertainties: [], // the placeholder path has no orbit uncertainty to report
             timeSteps: Array.from({ length: timeSteps }, (_, i) => i),
             timestamp: new Date().toISOString()
         };
@@ -0,0 +1,136 @@
+/**
+ * Close Approach Service - finds planetary encounters of any orbit by scanning a time window
+ */
+import DataService from './DataService.js';
+import { elementsToStateVector, AU_KM, AU_PER_DAY_TO_KM_S } from '../utils/stateVectors.js';
+import { getPlanetState as getEphemerisState, hasEphemeris } from '../utils/ephemerides.js';
+import { findMinima } from '../utils/minimize.js';
+import { formatISO8601, MJDToJD, JDToMJD, TDBToUTC, UTCToTDB } from '../utils/TimeUtils.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+class CloseApproachService {
+    constructor(dataService = new DataService()) {
+        this.dataService = dataService;
+        this.planetOrbits = null;
+        this.defaultOptions = {
+            bodies: ['Earth'],
+            stepDays: 0.5, // scan resolution; encounters shorter than this can be sampled coarsely but not missed
+            maxDistance: 0.05, // AU, approaches further than this are not reported
+            refineTolerance: 1e-6 // days
+        };
+    }
+
+    /**
+     * Load planet orbits (radians, JD epochs) from the bundled planet data
+     */
+    async loadPlanetOrbits() {
+        if (this.planetOrbits) {
+            return this.planetOrbits;
+        }
+
+        const planetData = await this.dataService.fetchPlanetData();
+        if (!planetData) {
+            throw new Error('Planet data unavailable');
+        }
+
+        const orbits = {};
+        Object.entries(planetData).forEach(([name, planet]) => {
+            if (name === 'rings') return;
+            const orbitParams = planet.orbitParams;
+            orbits[name] = {
+                ...orbitParams,
+                inc: orbitParams.inc * DEG_TO_RAD,
+                node: orbitParams.node * DEG_TO_RAD,
+                peri: orbitParams.peri * DEG_TO_RAD,
+                ma: orbitParams.ma * DEG_TO_RAD
+            };
+        });
+        this.planetOrbits = orbits;
+        return orbits;
+    }
+
+    /**
+     * Heliocentric state of a planet at a TDB Julian date (AU, AU/day). Major planets use the
+     * time-varying ephemeris; other bodies fall back to their fixed planet_data elements.
+     */
+    getPlanetState(name, JD) {
+        if (hasEphemeris(name)) {
+            return getEphemerisState(name, JD);
+        }
+        return elementsToStateVector(this.planetOrbits[name], JD);
+    }
+
+    /**
+     * Find close approaches of an orbit to planets between two UTC MJDs
+     * @param {Object} orbitParams - Orrery-style elements in radians. Epochs below 2400000.5 are
+     *   taken as MJD (as in risk_list_neo_data.json), larger ones as JD, both in TDB
+     * @param {number} startMJD - Start of the window (UTC MJD)
+     * @param {number} endMJD - End of the window (UTC MJD)
+     * @param {Object} options - bodies, stepDays, maxDistance (AU), refineTolerance (days)
+     * @returns {Array} - Approaches in the closeApproachData shape of DataService.processNEOData
+     */
+    async findCloseApproaches(orbitParams, startMJD, endMJD, options = {}) {
+        const settings = { ...this.defaultOptions, ...options };
+        await this.loadPlanetOrbits();
+
+        const objectOrbit = orbitParams.epoch < 2400000.5 ? { ...orbitParams, epoch: MJDToJD(orbitParams.epoch) } : orbitParams;
+        const startJD = MJDToJD(UTCToTDB(startMJD));
+        const endJD = MJDToJD(UTCToTDB(endMJD));
+        const approaches = [];
+
+        settings.bodies.forEach(body => {
+            if (!this.planetOrbits[body]) {
+                console.warn(`Unknown body for close approach search: ${body}`);
+                return;
+            }
+
+            const distanceAt = (JD) => this.relativeState(objectOrbit, body, JD).distance;
+            findMinima(distanceAt, startJD, endJD, settings.stepDays, { tolerance: settings.refineTolerance }).forEach(({ x: JD }) => {
+                const approach = this.formatApproach(objectOrbit, body, JD);
+                if (approach.distanceAU <= settings.maxDistance) {
+                    approaches.push(approach);
+                }
+            });
+        });
+
+        return approaches.sort((a1, a2) => a1.mjd - a2.mjd);
+    }
+
+    /**
+     * Distance and relative velocity between an orbit and a planet at a TDB Julian date
+     */
+    relativeState(orbitParams, body, JD) {
+        const object = elementsToStateVector(orbitParams, JD);
+        const planet = this.getPlanetState(body, JD);
+        const dx = object.position.x - planet.position.x;
+        const dy = object.position.y - planet.position.y;
+        const dz = object.position.z - planet.position.z;
+        const dvx = object.velocity.x - planet.velocity.x;
+        const dvy = object.velocity.y - planet.velocity.y;
+        const dvz = object.velocity.z - planet.velocity.z;
+        return {
+            distance: Math.sqrt(dx * dx + dy * dy + dz * dz),
+            relativeSpeed: Math.sqrt(dvx * dvx + dvy * dvy + dvz * dvz)
+        };
+    }
+
+    /**
+     * Build an approach record matching DataService.processNEOData
+     */
+    formatApproach(orbitParams, body, JD) {
+        const { distance, relativeSpeed } = this.relativeState(orbitParams, body, JD);
+        const mjd = TDBToUTC(JDToMJD(JD));
+        return {
+            date: formatISO8601(mjd).slice(0, 10),
+            mjd,
+            distance: distance * AU_KM,
+            distanceAU: distance,
+            velocity: relativeSpeed * AU_PER_DAY_TO_KM_S * 3600,
+            orbitingBody: body,
+            source: 'computed'
+        };
+    }
+}
+
+export default CloseApproachService;
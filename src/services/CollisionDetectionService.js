@@ -1,13 +1,21 @@
 /**
  * Collision Detection Service - Main orchestrator for collision detection system
  */
+import CloseApproachService from './CloseApproachService.js';
 import DataService from './DataService.js';
 import MLPredictionService from './MLPredictionService.js';
+import TaskService from './TaskService.js';
+import { STEP_POLICIES } from '../utils/nbody.js';
+import { AU_KM, AU_PER_DAY_TO_KM_S, orbitalDataToOrbitParams } from '../utils/stateVectors.js';
+import { MJDToJD, unixTimeToMJD, UTCToTDB } from '../utils/TimeUtils.js';
 
 class CollisionDetectionService {
     constructor() {
         this.dataService = new DataService();
         this.mlService = new MLPredictionService();
+        this.closeApproachService = new CloseApproachService(this.dataService);
+        this.taskService = new TaskService();
+        this.earthMOIDs = new Map(); // object id -> { epoch, moid (AU or null) }, kept across refreshes
         this.isRunning = false;
         this.updateInterval = null;
         this.callbacks = new Set();
@@ -54,6 +62,8 @@ class CollisionDetectionService {
             this.currentData.neos = neoData;
             this.currentData.satellites = satelliteData;
             this.currentData.collisionEvents = collisionData;
+            await this.attachOrbitalData(neoData);
+            await this.assignEarthMOIDs(neoData);
 
             // Perform initial risk assessment
             await this.performRiskAssessment();
@@ -64,6 +74,45 @@ class CollisionDetectionService {
         }
     }
 
+    /**
+     * Look up the orbital data of NEOs that came without it (the NeoWs feed never includes it)
+     */
+    async attachOrbitalData(neos) {
+        await Promise.all(neos.filter(neo => !neo.orbitalData).map(async neo => {
+            neo.orbitalData = await this.dataService.fetchNEOOrbitalData(neo.id);
+        }));
+    }
+
+    /**
+     * Set earthMOID (AU, null when unknown) on objects with heliocentric orbital data. MOIDs are
+     * computed in the task worker the first time an object's orbit is seen and reused afterwards.
+     */
+    async assignEarthMOIDs(objects) {
+        const key = (object) => object.orbitalData?.epochOsculation;
+        const missing = objects.filter(object => {
+            const cached = this.earthMOIDs.get(object.id);
+            return cached && cached.epoch === key(object) ? false : orbitalDataToOrbitParams(object.orbitalData) !== null;
+        });
+
+        if (missing.length > 0) {
+            try {
+                const { Earth } = await this.closeApproachService.loadPlanetOrbits();
+                const distances = await this.taskService.runTask('computeMOIDs',
+                    missing.map(object => orbitalDataToOrbitParams(object.orbitalData)), Earth);
+                missing.forEach((object, i) => {
+                    this.earthMOIDs.set(object.id, { epoch: key(object), moid: isFinite(distances[i]) ? distances[i] : null });
+                });
+            } catch (error) {
+                console.error('Error computing Earth MOIDs:', error);
+            }
+        }
+
+        objects.forEach(object => {
+            const cached = this.earthMOIDs.get(object.id);
+            object.earthMOID = cached && cached.epoch === key(object) ? cached.moid : null;
+        });
+    }
+
     /**
      * Start real-time collision detection
      */
@@ -93,6 +142,15 @@ class CollisionDetectionService {
         console.log('Real-time collision detection stopped');
     }
 
+    /**
+     * Stop updates and release the task worker
+     */
+    dispose() {
+        this.stopRealTimeDetection();
+        this.callbacks.clear();
+        this.taskService.dispose();
+    }
+
     /**
      * Perform real-time update
      */
@@ -136,6 +194,14 @@ class CollisionDetectionService {
         }
     }
 
+    /**
+     * Switch the collision probability source (see PREDICTION_SOURCES) and reassess all objects
+     */
+    async setPredictionSource(source) {
+        this.mlService.setPredictionSource(source);
+        return this.performRiskAssessment();
+    }
+
     /**
      * Get collision risk between two specific objects
      */
@@ -164,15 +230,18 @@ class CollisionDetectionService {
 
     /**
      * Get trajectory prediction for an object
+     * Objects with heliocentric orbital data are propagated numerically with planetary
+     * perturbations; anything else falls back to the ML trajectory model.
      */
-    async getTrajectoryPrediction(objectId, timeSteps = 100) {
+    async getTrajectoryPrediction(objectId, timeSteps = 100, options = {}) {
         try {
             const object = this.findObjectById(objectId);
             if (!object) {
                 throw new Error('Object not found');
             }
 
-            const trajectory = await this.mlService.predictTrajectory(object, timeSteps);
+            const trajectory = await this.predictTrajectoryNBody(object, timeSteps, options)
+                || await this.mlService.predictTrajectory(object, timeSteps);
             
             return {
                 object: { id: objectId, name: object.name },
@@ -185,6 +254,48 @@ class CollisionDetectionService {
         }
     }
 
+    /**
+     * Propagate an object's orbit with the Sun and major planets, in the task worker
+     * @param {Object} object - Space object with orbitalData (degrees, epochOsculation as JD). An optional
+     *   orbitalData.uncertainty ({ sigmas } or { covariance }, see utils/uncertainty.js) enables Monte Carlo spread
+     * @param {number} timeSteps - Number of samples over the horizon
+     * @param {Object} options - timeHorizon (days), startJD (TDB), stepPolicy, virtualAsteroids and other nbody options
+     * @returns {Object|null} - Trajectory with heliocentric ecliptic positions (km), velocities (km/s) and
+     *   1-sigma position uncertainties (km) when the orbit has known uncertainties
+     */
+    async predictTrajectoryNBody(object, timeSteps = 100, options = {}) {
+        const orbitParams = orbitalDataToOrbitParams(object.orbitalData);
+        if (!orbitParams || !orbitParams.epoch) {
+            return null;
+        }
+
+        const {
+            timeHorizon = 30,
+            startJD = MJDToJD(UTCToTDB(unixTimeToMJD(Date.now()))),
+            stepPolicy = STEP_POLICIES.ADAPTIVE,
+            virtualAsteroids = 32,
+            ...integratorOptions
+        } = options;
+
+        const dayOffsets = Array.from({ length: timeSteps }, (_, i) => timeSteps > 1 ? i * timeHorizon / (timeSteps - 1) : 0);
+        const outputJDs = dayOffsets.map(day => startJD + day);
+        const { samples, spreads } = await this.taskService.runTask('propagateTrajectory', orbitParams, outputJDs, {
+            uncertainty: object.orbitalData.uncertainty || null,
+            virtualAsteroids,
+            stepPolicy,
+            ...integratorOptions
+        });
+
+        const scale = (vector, factor) => ({ x: vector.x * factor, y: vector.y * factor, z: vector.z * factor });
+        return {
+            positions: samples.map(sample => scale(sample.position, AU_KM)),
+            velocities: samples.map(sample => scale(sample.velocity, AU_PER_DAY_TO_KM_S)),
+            uncertainties: spreads.map(spread => spread * AU_KM),
+            timeSteps: dayOffsets,
+            source: 'n-body'
+        };
+    }
+
     /**
      * Get high-risk objects
      */
@@ -1,10 +1,16 @@
 /**
  * Main data service for fetching and managing real-time NEO and collision data
  */
+import { parseCloseApproachDate, unixTimeToMJD } from '../utils/TimeUtils.js';
+import { orbitalDataToOrbitParams } from '../utils/stateVectors.js';
+import { parseTLEFile } from '../utils/tle.js';
+import { getConditionCodeUncertainty } from '../utils/uncertainty.js';
+
 class DataService {
     constructor() {
         this.nasaApiKey = process.env.REACT_APP_NASA_API_KEY || 'DEMO_KEY';
         this.cache = new Map();
+        this.orbitalDataCache = new Map(); // NEO id -> processed orbital data (or null) from the lookup API
         this.updateInterval = 60000; // 1 minute
         this.baseUrls = {
             nasa: 'https://api.nasa.gov/neo/rest/v1',
@@ -56,6 +62,48 @@ class DataService {
         }
     }
 
+    /**
+     * Orbital data of a NEO from the lookup API, which the feed leaves out. Fetched once per NEO for
+     * the session; null when the NEO has none or the request fails (failures are tried again later).
+     */
+    async fetchNEOOrbitalData(neoId) {
+        if (this.orbitalDataCache.has(neoId)) {
+            return this.orbitalDataCache.get(neoId);
+        }
+
+        const details = await this.fetchNEODetails(neoId);
+        if (!details) {
+            return null;
+        }
+        const orbitalData = details.orbital_data ? this.processOrbitalData(details.orbital_data) : null;
+        this.orbitalDataCache.set(neoId, orbitalData);
+        return orbitalData;
+    }
+
+    /**
+     * Fetch planet elements and physical data bundled with the app
+     */
+    async fetchPlanetData() {
+        const cached = this.getCachedData('planet_data');
+        if (cached) {
+            return cached;
+        }
+
+        try {
+            const response = await fetch(`${import.meta.env.BASE_URL}assets/data/planet_data.json`);
+            if (!response.ok) {
+                throw new Error(`Planet data error: ${response.status}`);
+            }
+
+            const data = await response.json();
+            this.cacheData('planet_data', data);
+            return data;
+        } catch (error) {
+            console.error('Error fetching planet data:', error);
+            return null;
+        }
+    }
+
     /**
      * Fetch historical collision events
      */
@@ -72,19 +120,49 @@ class DataService {
     }
 
     /**
-     * Fetch satellite and debris tracking data
+     * Fetch satellite and debris tracking data from the element sets bundled with the app
+     * The file holds three-line TLE entries (CelesTrak format) and can be replaced by any current export.
+     * Falls back to the mock data when it cannot be loaded.
      */
     async fetchSatelliteData() {
+        const cached = this.getCachedData('satellite_data');
+        if (cached) {
+            return cached;
+        }
+
         try {
-            // Mock satellite data for now
-            const mockSatelliteData = await this.getMockSatelliteData();
-            return mockSatelliteData;
+            const response = await fetch(`${import.meta.env.BASE_URL}assets/data/satellites.tle`);
+            if (!response.ok) {
+                throw new Error(`Satellite data error: ${response.status}`);
+            }
+
+            const data = this.processTLEData(await response.text());
+            this.cacheData('satellite_data', data);
+            return data;
         } catch (error) {
             console.error('Error fetching satellite data:', error);
-            return [];
+            return this.getMockSatelliteData();
         }
     }
 
+    /**
+     * Process a TLE file into satellite data for the Satellite model
+     */
+    processTLEData(text) {
+        return parseTLEFile(text).map(elements => ({
+            id: `SAT_${elements.satelliteNumber}`,
+            name: elements.name,
+            type: 'Satellite',
+            noradId: elements.satelliteNumber,
+            internationalDesignator: elements.internationalDesignator,
+            inclination: elements.inclination,
+            period: elements.period,
+            epoch: elements.epochMJD,
+            tle: { line1: elements.line1, line2: elements.line2 },
+            lastUpdated: new Date().toISOString()
+        }));
+    }
+
     /**
      * Process raw NEO data into standardized format
      */
@@ -101,18 +179,12 @@ class DataService {
                         isHazardous: neo.is_potentially_hazardous_asteroid,
                         closeApproachData: neo.close_approach_data?.map(approach => ({
                             date: approach.close_approach_date,
+                            mjd: this.getCloseApproachMJD(approach),
                             distance: parseFloat(approach.miss_distance?.kilometers || 0),
                             velocity: parseFloat(approach.relative_velocity?.kilometers_per_hour || 0),
                             orbitingBody: approach.orbiting_body
                         })) || [],
-                        orbitalData: neo.orbital_data ? {
-                            eccentricity: parseFloat(neo.orbital_data.eccentricity || 0),
-                            semiMajorAxis: parseFloat(neo.orbital_data.semi_major_axis || 0),
-                            inclination: parseFloat(neo.orbital_data.inclination || 0),
-                            longitudeOfAscendingNode: parseFloat(neo.orbital_data.longitude_of_ascending_node || 0),
-                            argumentOfPeriapsis: parseFloat(neo.orbital_data.argument_of_periapsis || 0),
-                            meanAnomaly: parseFloat(neo.orbital_data.mean_anomaly || 0)
-                        } : null,
+                        orbitalData: neo.orbital_data ? this.processOrbitalData(neo.orbital_data) : null,
                         lastUpdated: new Date().toISOString()
                     });
                 });
@@ -123,6 +195,37 @@ class DataService {
         return processedData;
     }
 
+    /**
+     * Orbital elements of a NeoWs orbital_data record (degrees, epoch as JD), with the element
+     * uncertainty derived from its MPC uncertainty parameter when it has one
+     */
+    processOrbitalData(orbitalData) {
+        const processed = {
+            eccentricity: parseFloat(orbitalData.eccentricity || 0),
+            semiMajorAxis: parseFloat(orbitalData.semi_major_axis || 0),
+            inclination: parseFloat(orbitalData.inclination || 0),
+            longitudeOfAscendingNode: parseFloat(orbitalData.longitude_of_ascending_node || 0),
+            argumentOfPeriapsis: parseFloat(orbitalData.argument_of_periapsis || 0),
+            meanAnomaly: parseFloat(orbitalData.mean_anomaly || 0),
+            epochOsculation: parseFloat(orbitalData.epoch_osculation || 0)
+        };
+        const conditionCode = parseInt(orbitalData.orbit_uncertainty, 10);
+        processed.uncertainty = getConditionCodeUncertainty(orbitalDataToOrbitParams(processed), conditionCode,
+            parseFloat(orbitalData.data_arc_in_days || 0));
+        return processed;
+    }
+
+    /**
+     * UTC MJD of a NASA close approach, from the full TDB timestamp when present
+     */
+    getCloseApproachMJD(approach) {
+        const mjd = parseCloseApproachDate(approach.close_approach_date_full);
+        if (isFinite(mjd)) {
+            return mjd;
+        }
+        return approach.epoch_date_close_approach ? unixTimeToMJD(approach.epoch_date_close_approach) : null;
+    }
+
     /**
      * Get mock collision data for development
      */
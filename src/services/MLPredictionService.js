@@ -1,6 +1,22 @@
 /**
  * ML Prediction Service for collision detection and risk assessment
  */
+import CloseApproachService from './CloseApproachService.js';
+import { computeImpactProbability } from '../utils/bplane.js';
+import { orbitalDataToOrbitParams } from '../utils/stateVectors.js';
+import { MJDToJD, unixTimeToMJD, UTCToTDB } from '../utils/TimeUtils.js';
+import { propagateUncertainty } from '../utils/uncertainty.js';
+
+export const PREDICTION_SOURCES = {
+    ENSEMBLE: 'ensemble', // statistical ensemble of the ML models
+    B_PLANE: 'b-plane' // deterministic Earth-impact probability from the encounter geometry
+};
+
+// Encounters further than this (AU) are not analysed on the b-plane; the probability is taken as zero
+const B_PLANE_MAX_ENCOUNTER_DISTANCE = 0.1;
+const NOMINAL_ONLY_CONFIDENCE = 0.2; // as computeImpactProbability without an uncertainty
+const MISS_SPREAD_SAMPLES = 32; // virtual asteroids for the position spread when no encounter is found
+
 class MLPredictionService {
     constructor() {
         this.models = {
@@ -10,6 +26,18 @@ class MLPredictionService {
         };
         this.isInitialized = false;
         this.predictionCache = new Map();
+        this.predictionSource = PREDICTION_SOURCES.ENSEMBLE;
+        this.closeApproachService = null;
+    }
+
+    /**
+     * Select how collision probabilities are computed (one of PREDICTION_SOURCES)
+     */
+    setPredictionSource(source) {
+        if (!Object.values(PREDICTION_SOURCES).includes(source)) {
+            throw new Error(`Unknown prediction source: ${source}`);
+        }
+        this.predictionSource = source;
     }
 
     /**
@@ -33,15 +61,22 @@ class MLPredictionService {
 
     /**
      * Predict collision risk between two objects
+     * With the b-plane source, pairs of one heliocentric object and one Earth-bound object are judged
+     * by the heliocentric object's Earth-impact probability; other pairs use the ensemble.
+     * bPlaneResults (heliocentric object -> promise of its prediction) shares that work between the
+     * pairs of one assessment.
      */
-    async predictCollisionRisk(object1, object2, timeHorizon = 30) {
+    async predictCollisionRisk(object1, object2, timeHorizon = 30, source = this.predictionSource, bPlaneResults = null) {
         if (!this.isInitialized) {
             await this.initializeModels();
         }
 
         try {
             const features = this.extractFeatures(object1, object2);
-            const predictions = await this.runEnsemblePrediction(features, timeHorizon);
+            const bPlanePrediction = source === PREDICTION_SOURCES.B_PLANE
+                ? await this.runBPlanePrediction(object1, object2, timeHorizon, bPlaneResults)
+                : null;
+            const predictions = bPlanePrediction || await this.runEnsemblePrediction(features, timeHorizon);
             
             return {
                 collisionProbability: predictions.collisionProbability,
@@ -49,6 +84,8 @@ class MLPredictionService {
                 confidence: predictions.confidence,
                 timeToClosestApproach: predictions.timeToClosestApproach,
                 minimumDistance: predictions.minimumDistance,
+                source: bPlanePrediction ? PREDICTION_SOURCES.B_PLANE : PREDICTION_SOURCES.ENSEMBLE,
+                bPlane: bPlanePrediction ? bPlanePrediction.bPlane : null,
                 features: features,
                 timestamp: new Date().toISOString()
             };
@@ -93,6 +130,10 @@ class MLPredictionService {
             features.inclinationDiff = Math.abs(object1.orbitalData.inclination - object2.orbitalData.inclination);
         }
 
+        // Geometric closeness of each orbit to Earth's (AU), set by CollisionDetectionService
+        if (typeof object1.earthMOID === 'number') features.earthMOID1 = object1.earthMOID;
+        if (typeof object2.earthMOID === 'number') features.earthMOID2 = object2.earthMOID;
+
         // Size and mass characteristics
         features.sizeRatio = object1.diameter / object2.diameter;
         features.totalSize = object1.diameter + object2.diameter;
@@ -126,20 +167,118 @@ class MLPredictionService {
         const collisionProbability = (lstmPrediction.probability + rfPrediction.probability + svmPrediction.probability) / 3;
         const confidence = (lstmPrediction.confidence + rfPrediction.confidence + svmPrediction.confidence) / 3;
 
-        // Determine risk category
-        let riskCategory = 'Low';
-        if (collisionProbability > 0.1) riskCategory = 'High';
-        else if (collisionProbability > 0.01) riskCategory = 'Medium';
-
         return {
             collisionProbability,
-            riskCategory,
+            riskCategory: this.getRiskCategory(collisionProbability),
             confidence,
             timeToClosestApproach: lstmPrediction.timeToClosestApproach,
             minimumDistance: lstmPrediction.minimumDistance
         };
     }
 
+    /**
+     * The heliocentric object of a pair the b-plane source can judge
+     * @returns {Object|null} - { object, orbitParams }, or null when the pair is not one heliocentric
+     *   and one Earth-bound object
+     */
+    getBPlaneTarget(object1, object2) {
+        const orbitParams1 = orbitalDataToOrbitParams(object1.orbitalData);
+        const orbitParams2 = orbitalDataToOrbitParams(object2.orbitalData);
+        const heliocentric = (orbitParams) => !!(orbitParams && orbitParams.epoch);
+        if (heliocentric(orbitParams1) === heliocentric(orbitParams2)) {
+            return null;
+        }
+        return heliocentric(orbitParams1) ? { object: object1, orbitParams: orbitParams1 } : { object: object2, orbitParams: orbitParams2 };
+    }
+
+    /**
+     * Earth-impact probability of a pair from the b-plane of its heliocentric object
+     * @param {Map} bPlaneResults - Optional heliocentric object -> promise of its prediction, reused
+     *   and filled in
+     * @returns {Object|null} - Prediction in the ensemble shape plus bPlane details, or null when the
+     *   pair is not one heliocentric and one Earth-bound object
+     */
+    async runBPlanePrediction(object1, object2, timeHorizon, bPlaneResults = null) {
+        const target = this.getBPlaneTarget(object1, object2);
+        if (!target) {
+            return null;
+        }
+        if (!bPlaneResults) {
+            return this.predictEarthImpact(target.object, target.orbitParams, timeHorizon);
+        }
+        if (!bPlaneResults.has(target.object)) {
+            bPlaneResults.set(target.object, this.predictEarthImpact(target.object, target.orbitParams, timeHorizon));
+        }
+        return bPlaneResults.get(target.object);
+    }
+
+    /**
+     * Earth-impact probability from the b-plane of the closest encounter within the horizon
+     */
+    async predictEarthImpact(object, orbitParams, timeHorizon) {
+        if (!this.closeApproachService) {
+            this.closeApproachService = new CloseApproachService();
+        }
+        const startMJD = unixTimeToMJD(Date.now());
+        const approaches = await this.closeApproachService.findCloseApproaches(orbitParams, startMJD, startMJD + timeHorizon, {
+            maxDistance: B_PLANE_MAX_ENCOUNTER_DISTANCE
+        });
+
+        if (approaches.length === 0) {
+            return {
+                collisionProbability: 0,
+                riskCategory: this.getRiskCategory(0),
+                confidence: this.getMissConfidence(orbitParams, object.orbitalData.uncertainty, startMJD + timeHorizon),
+                timeToClosestApproach: null,
+                minimumDistance: null,
+                bPlane: null
+            };
+        }
+
+        const approach = approaches.reduce((closest, candidate) => candidate.distance < closest.distance ? candidate : closest);
+        const impact = computeImpactProbability(orbitParams, MJDToJD(UTCToTDB(approach.mjd)), object.orbitalData.uncertainty);
+        return {
+            collisionProbability: impact.probability,
+            riskCategory: this.getRiskCategory(impact.probability),
+            confidence: impact.confidence,
+            timeToClosestApproach: approach.mjd - startMJD,
+            minimumDistance: approach.distance,
+            bPlane: {
+                xi: impact.bPlane.xi,
+                zeta: impact.bPlane.zeta,
+                b: impact.bPlane.b,
+                captureRadius: impact.bPlane.captureRadius,
+                encounterSpeed: impact.bPlane.encounterSpeed,
+                ellipse: impact.ellipse
+            }
+        };
+    }
+
+    /**
+     * Confidence that an orbit whose nominal path stays beyond B_PLANE_MAX_ENCOUNTER_DISTANCE really
+     * misses: it falls as the 1-sigma position spread at the end of the horizon grows against that
+     * margin. Without a known uncertainty only the nominal orbit was judged.
+     */
+    getMissConfidence(orbitParams, uncertainty, endMJD) {
+        if (!uncertainty) return NOMINAL_ONLY_CONFIDENCE;
+        try {
+            const { spread } = propagateUncertainty(orbitParams, uncertainty, [MJDToJD(UTCToTDB(endMJD))], { count: MISS_SPREAD_SAMPLES });
+            return 1 / (1 + spread[0].total / B_PLANE_MAX_ENCOUNTER_DISTANCE);
+        } catch (error) {
+            console.error('Error propagating orbit uncertainty:', error);
+            return NOMINAL_ONLY_CONFIDENCE;
+        }
+    }
+
+    /**
+     * Risk category for a collision probability
+     */
+    getRiskCategory(collisionProbability) {
+        if (collisionProbability > 0.1) return 'High';
+        if (collisionProbability > 0.01) return 'Medium';
+        return 'Low';
+    }
+
     /**
      * Create mock LSTM model
      */
@@ -227,13 +366,17 @@ class MLPredictionService {
 
     /**
      * Batch predict collision risks for multiple object pairs
+     * With the b-plane source only the pairs it can judge are assessed.
      */
     async batchPredictCollisionRisks(objects, timeHorizon = 30) {
         const predictions = [];
+        const bPlaneOnly = this.predictionSource === PREDICTION_SOURCES.B_PLANE;
+        const bPlaneResults = new Map(); // each heliocentric object is analysed once
         
         for (let i = 0; i < objects.length; i++) {
             for (let j = i + 1; j < objects.length; j++) {
-                const prediction = await this.predictCollisionRisk(objects[i], objects[j], timeHorizon);
+                if (bPlaneOnly && !this.getBPlaneTarget(objects[i], objects[j])) continue;
+                const prediction = await this.predictCollisionRisk(objects[i], objects[j], timeHorizon, this.predictionSource, bPlaneResults);
                 predictions.push({
                     object1: objects[i].id,
                     object2: objects[j].id,
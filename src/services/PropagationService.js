@@ -0,0 +1,132 @@
+/**
+ * Propagation Service - two-body positions of whole element catalogs, computed in a Web Worker.
+ *
+ * Each catalog is a packed batch from createElementBatch. The worker keeps its own copy; every
+ * request sends one Float64Array per catalog as a transferable buffer, the worker fills it with
+ * scene-space positions and transfers it back. Each catalog owns two buffers that swap roles, so the
+ * render loop reads the latest results while the next ones are being computed. Only one request is
+ * in flight at a time: frames drawn meanwhile reuse the previous positions. Without Worker support
+ * (or after a worker error) the catalogs are propagated synchronously on the calling thread.
+ * Slower one-off computations belong in TaskService, so they never delay a frame's positions.
+ */
+import { propagateBatch } from '../utils/orbits.js';
+
+class PropagationService {
+    constructor() {
+        this.catalogs = new Map(); // name -> { batch, usesMJD, version, front, back, fresh }
+        this.nextVersion = 1;
+        this.requestId = 0;
+        this.pending = false;
+        this.worker = null;
+
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./propagation.worker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (error) => {
+                    console.error('Propagation worker failed, propagating on the main thread:', error);
+                    this.terminateWorker();
+                };
+            } catch (error) {
+                console.warn('Propagation worker unavailable, propagating on the main thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * Register or replace a catalog
+     * @param {string} name - Catalog name
+     * @param {Object} batch - Packed elements from createElementBatch
+     * @param {Object} options - { usesMJD } whether the batch epochs are MJD rather than JD
+     */
+    setCatalog(name, batch, { usesMJD = false } = {}) {
+        const version = this.nextVersion++;
+        this.catalogs.set(name, {
+            batch,
+            usesMJD,
+            version,
+            front: new Float64Array(batch.count * 3),
+            back: new Float64Array(batch.count * 3),
+            fresh: false
+        });
+        if (this.worker) {
+            this.worker.postMessage({ type: 'setCatalog', name, batch, usesMJD, version });
+        }
+    }
+
+    removeCatalog(name) {
+        this.catalogs.delete(name);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'removeCatalog', name });
+        }
+    }
+
+    /**
+     * Ask for the positions of every catalog at the given TDB time
+     * @param {Object} time - { JD_TDB, MJD_TDB }
+     */
+    requestPositions({ JD_TDB, MJD_TDB }) {
+        if (!this.worker) {
+            this.catalogs.forEach(catalog => {
+                propagateBatch(catalog.batch, catalog.usesMJD ? MJD_TDB : JD_TDB, catalog.front);
+                catalog.fresh = true;
+            });
+            return;
+        }
+        if (this.pending) return;
+
+        const buffers = {};
+        const transfer = [];
+        this.catalogs.forEach((catalog, name) => {
+            // A back buffer still travelling with a previous request is replaced with a new one
+            if (catalog.back.byteLength === 0) catalog.back = new Float64Array(catalog.batch.count * 3);
+            buffers[name] = { buffer: catalog.back.buffer, version: catalog.version };
+            transfer.push(catalog.back.buffer);
+        });
+        if (transfer.length === 0) return;
+
+        this.pending = true;
+        this.requestId += 1;
+        this.worker.postMessage({ type: 'propagate', requestId: this.requestId, JD_TDB, MJD_TDB, buffers }, transfer);
+    }
+
+    handleMessage(message) {
+        if (message.type !== 'positions') return;
+        this.pending = false;
+
+        for (const [name, { buffer, version }] of Object.entries(message.buffers)) {
+            const catalog = this.catalogs.get(name);
+            if (!catalog || catalog.version !== version) continue; // results for a replaced catalog
+            catalog.back = catalog.front;
+            catalog.front = new Float64Array(buffer);
+            catalog.fresh = true;
+        }
+    }
+
+    /**
+     * Latest positions of a catalog (x, y, z per body in scene axes) if they arrived since the last
+     * call, otherwise null. The array is only valid until the next call for the same catalog.
+     */
+    takePositions(name) {
+        const catalog = this.catalogs.get(name);
+        if (!catalog || !catalog.fresh) return null;
+        catalog.fresh = false;
+        return catalog.front;
+    }
+
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending = false;
+    }
+
+    dispose() {
+        this.terminateWorker();
+        this.catalogs.clear();
+    }
+}
+
+export default PropagationService;
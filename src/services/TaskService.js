@@ -0,0 +1,85 @@
+/**
+ * Task Service - runs the computations of tasks.js (MOIDs, flyby searches, timeline events, ...) in
+ * a Web Worker of their own, so the propagation worker that feeds the render loop never waits behind
+ * them. Tasks queue in the order they were asked for; runTask returns a promise of the result.
+ * Without Worker support (or after a worker error) they run on the calling thread instead.
+ */
+import { TASKS } from './tasks.js';
+
+// Runs a task on the calling thread, after the current event so callers see the same async behaviour
+const runTaskLocally = (task, args) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+        try {
+            if (!TASKS[task]) throw new Error(`Unknown task ${task}`);
+            resolve(TASKS[task](...args));
+        } catch (error) {
+            reject(error);
+        }
+    }, 0);
+});
+
+class TaskService {
+    constructor() {
+        this.taskId = 0;
+        this.tasks = new Map(); // taskId -> { task, args, resolve, reject }
+        this.worker = null;
+
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./task.worker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (error) => {
+                    console.error('Task worker failed, running tasks on the main thread:', error);
+                    this.terminateWorker();
+                };
+            } catch (error) {
+                console.warn('Task worker unavailable, running tasks on the main thread:', error);
+                this.worker = null;
+            }
+        }
+    }
+
+    /**
+     * Run a task of tasks.js in the worker
+     * @param {string} task - Task name
+     * @param {...*} args - Structured-cloneable arguments of the task function
+     * @returns {Promise} Resolves with the task's result
+     */
+    runTask(task, ...args) {
+        if (!this.worker) return runTaskLocally(task, args);
+        const taskId = ++this.taskId;
+        return new Promise((resolve, reject) => {
+            this.tasks.set(taskId, { task, args, resolve, reject });
+            this.worker.postMessage({ taskId, task, args });
+        });
+    }
+
+    handleMessage(message) {
+        const pending = this.tasks.get(message.taskId);
+        if (!pending) return;
+        this.tasks.delete(message.taskId);
+        if (message.type === 'result') {
+            pending.resolve(message.result);
+        } else {
+            pending.reject(new Error(message.message));
+        }
+    }
+
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        // Tasks the worker did not finish are run here instead
+        this.tasks.forEach(({ task, args, resolve, reject }) => runTaskLocally(task, args).then(resolve, reject));
+        this.tasks.clear();
+    }
+
+    dispose() {
+        this.tasks.clear();
+        this.terminateWorker();
+    }
+}
+
+export default TaskService;
@@ -0,0 +1,40 @@
+/**
+ * Propagation worker - owns packed element catalogs and solves Kepler's equation for all of them
+ * off the main thread. See PropagationService for the message protocol.
+ */
+import { propagateBatch } from '../utils/orbits.js';
+
+const catalogs = new Map(); // name -> { batch, usesMJD, version }
+
+self.onmessage = ({ data: message }) => {
+    switch (message.type) {
+        case 'setCatalog':
+            catalogs.set(message.name, { batch: message.batch, usesMJD: message.usesMJD, version: message.version });
+            break;
+        case 'removeCatalog':
+            catalogs.delete(message.name);
+            break;
+        case 'propagate': {
+            const results = {};
+            const transfer = [];
+            for (const [name, { buffer, version }] of Object.entries(message.buffers)) {
+                const catalog = catalogs.get(name);
+                const positions = new Float64Array(buffer);
+                // Buffers for a catalog that has since been replaced are returned untouched
+                if (catalog && catalog.version === version && positions.length === catalog.batch.count * 3) {
+                    try {
+                        propagateBatch(catalog.batch, catalog.usesMJD ? message.MJD_TDB : message.JD_TDB, positions);
+                    } catch (error) {
+                        console.error(`Error propagating catalog ${name}:`, error);
+                    }
+                }
+                results[name] = { buffer, version };
+                transfer.push(buffer);
+            }
+            self.postMessage({ type: 'positions', requestId: message.requestId, buffers: results }, transfer);
+            break;
+        }
+        default:
+            console.warn('Unknown propagation worker message:', message.type);
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Task worker - runs the computations of tasks.js on request. See TaskService for the message
+ * protocol.
+ */
+import { TASKS } from './tasks.js';
+
+self.onmessage = ({ data: { taskId, task, args } }) => {
+    Promise.resolve()
+        .then(() => {
+            if (!TASKS[task]) throw new Error(`Unknown task ${task}`);
+            return TASKS[task](...args);
+        })
+        .then(
+            result => self.postMessage({ type: 'result', taskId, result }, ArrayBuffer.isView(result) ? [result.buffer] : []),
+            error => self.postMessage({ type: 'error', taskId, message: error.message })
+        );
+};
@@ -0,0 +1,58 @@
+/**
+ * Long-running computations the task worker runs on request (see TaskService.runTask).
+ * Each task is a plain function of structured-cloneable arguments returning its result or a Promise
+ * of it; the same functions run on the main thread when no worker is available.
+ */
+import CloseApproachService from './CloseApproachService.js';
+import DataService from './DataService.js';
+import { findFlybys } from '../utils/geocentric.js';
+import { createPerturbers, propagateOrbitNBody } from '../utils/nbody.js';
+import { computeMOIDs } from '../utils/orbits.js';
+import { getTimelineEvents } from '../utils/timeline.js';
+import { propagateUncertainty } from '../utils/uncertainty.js';
+
+let closeApproachService = null; // created on first use, so the planet orbits load once per thread
+let perturbers = null; // likewise; they hold functions, so they cannot be posted to the worker
+
+//Planetary perturbers for numerical propagation, loaded once per thread
+async function getPerturbers() {
+    if (!perturbers) {
+        const planetData = await new DataService().fetchPlanetData();
+        if (!planetData) return []; // two-body propagation until the planet data loads
+        perturbers = createPerturbers(planetData);
+    }
+    return perturbers;
+}
+
+//Propagates an orbit (radians, JD epoch) with the Sun and major planets to each of outputJDs.
+//With an uncertainty ({ sigmas } or { covariance }) and more than one virtual asteroid, spreads
+//holds the 1-sigma position spread (AU) at each JD, otherwise it is empty.
+async function propagateTrajectory(orbitParams, outputJDs, { uncertainty = null, virtualAsteroids = 0, ...integratorOptions } = {}) {
+    const bodies = await getPerturbers();
+    const samples = propagateOrbitNBody(orbitParams, outputJDs, bodies, integratorOptions);
+
+    let spreads = [];
+    if (uncertainty && virtualAsteroids > 1) {
+        try {
+            const { spread } = propagateUncertainty(orbitParams, uncertainty, outputJDs, {
+                count: virtualAsteroids,
+                perturbers: bodies,
+                ...integratorOptions
+            });
+            spreads = spread.map(step => step.total);
+        } catch (error) {
+            console.error('Error propagating orbit uncertainty:', error);
+        }
+    }
+    return { samples, spreads };
+}
+
+export const TASKS = {
+    computeMOIDs,
+    findFlybys,
+    getTimelineEvents: (sources, startJD, endJD) => {
+        if (!closeApproachService) closeApproachService = new CloseApproachService();
+        return getTimelineEvents(sources, startJD, endJD, closeApproachService);
+    },
+    propagateTrajectory
+};
@@ -88,3 +88,193 @@ export function datetimeToJ2000(datetime) {
 export function J2000ToDatetime(j2000) {
     return MJDToDatetime(J2000ToMJD(j2000))
 }
+
+
+// Time scales. All MJDs below are continuous day counts in the named scale; UTC MJDs cannot
+// represent the leap second itself (23:59:60), which is folded into the following day.
+
+const SECONDS_PER_DAY = 86400;
+const TT_MINUS_TAI = 32.184; // seconds, exact by definition
+const UNIX_EPOCH_MJD = 40587;
+
+// [UTC MJD from which the offset applies, TAI - UTC in seconds]. Dates before 1972 use the first entry.
+// Update when the IERS announces a new leap second (Bulletin C).
+const LEAP_SECONDS = [
+    [41317, 10], [41499, 11], [41683, 12], [42048, 13], [42413, 14], [42778, 15], [43144, 16],
+    [43509, 17], [43874, 18], [44239, 19], [44786, 20], [45151, 21], [45516, 22], [46247, 23],
+    [47161, 24], [47892, 25], [48257, 26], [48804, 27], [49169, 28], [49534, 29], [50083, 30],
+    [50630, 31], [51179, 32], [53736, 33], [54832, 34], [56109, 35], [57204, 36], [57754, 37]
+];
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export function getTAIMinusUTC(mjdUTC) {
+    let offset = LEAP_SECONDS[0][1];
+    for (const [startMJD, seconds] of LEAP_SECONDS) {
+        if (mjdUTC < startMJD) break;
+        offset = seconds;
+    }
+    return offset;
+}
+
+export function UTCToTAI(mjdUTC) {
+    return mjdUTC + getTAIMinusUTC(mjdUTC) / SECONDS_PER_DAY;
+}
+
+export function TAIToUTC(mjdTAI) {
+    // The offset is looked up on the UTC side, so refine once across a leap-second boundary
+    let mjdUTC = mjdTAI - getTAIMinusUTC(mjdTAI) / SECONDS_PER_DAY;
+    mjdUTC = mjdTAI - getTAIMinusUTC(mjdUTC) / SECONDS_PER_DAY;
+    return mjdUTC;
+}
+
+export function TAIToTT(mjdTAI) {
+    return mjdTAI + TT_MINUS_TAI / SECONDS_PER_DAY;
+}
+
+export function TTToTAI(mjdTT) {
+    return mjdTT - TT_MINUS_TAI / SECONDS_PER_DAY;
+}
+
+// TDB - TT in seconds from the two leading periodic terms (accurate to about 30 microseconds)
+export function getTDBMinusTT(mjdTT) {
+    const g = (357.53 + 0.98560028 * (mjdTT - 51544.5)) * Math.PI / 180;
+    return 0.001657 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
+}
+
+export function TTToTDB(mjdTT) {
+    return mjdTT + getTDBMinusTT(mjdTT) / SECONDS_PER_DAY;
+}
+
+export function TDBToTT(mjdTDB) {
+    return mjdTDB - getTDBMinusTT(mjdTDB) / SECONDS_PER_DAY;
+}
+
+export function UTCToTT(mjdUTC) {
+    return TAIToTT(UTCToTAI(mjdUTC));
+}
+
+export function TTToUTC(mjdTT) {
+    return TAIToUTC(TTToTAI(mjdTT));
+}
+
+export function UTCToTDB(mjdUTC) {
+    return TTToTDB(UTCToTT(mjdUTC));
+}
+
+export function TDBToUTC(mjdTDB) {
+    return TTToUTC(TDBToTT(mjdTDB));
+}
+
+export function unixTimeToMJD(milliseconds) {
+    return milliseconds / (SECONDS_PER_DAY * 1000) + UNIX_EPOCH_MJD;
+}
+
+export function MJDToUnixTime(mjd) {
+    return (mjd - UNIX_EPOCH_MJD) * SECONDS_PER_DAY * 1000;
+}
+
+// Gregorian calendar date to MJD (days from 1858-11-17), valid for any year
+function calendarToMJD(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    const JDN = day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+    return JDN - 2400001 + (hours + minutes / 60 + seconds / 3600) / 24;
+}
+
+// Days in a month of the proleptic Gregorian calendar
+function daysInMonth(year, month) {
+    if (month === 2) return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28;
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+// Parses ISO-8601 dates ('2034-11-08', '2034-11-08T17:09', '2034-11-08T17:09:30.5Z',
+// '2034-11-08 17:09:30+02:00', '20341108T170930-0500') into a UTC MJD.
+// Strings without a zone designator are taken as UTC. Returns NaN for anything unparseable or for
+// impossible dates and times ('2024-02-30', 'T24:30'); 'T24:00' is the end of the day.
+export function parseISO8601(isoString) {
+    const match = /^\s*([+-]?\d{4,6})-?(\d{2})-?(\d{2})(?:[T\s](\d{2}):?(\d{2})(?::?(\d{2}(?:[.,]\d+)?))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?\s*$/i.exec(isoString || '');
+    if (!match) return NaN;
+
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', zone] = match;
+    const values = [year, month, day, hours, minutes].map(Number);
+    const secondsValue = parseFloat(seconds.replace(',', '.'));
+    if (values[1] < 1 || values[1] > 12 || values[2] < 1 || values[2] > daysInMonth(values[0], values[1])
+        || values[3] > 24 || values[4] > 59 || secondsValue >= 61) {
+        return NaN;
+    }
+    // 24:00:00 is the end of the day; any later time past 23:59 is not
+    if (values[3] === 24 && (values[4] > 0 || secondsValue > 0)) return NaN;
+
+    let zoneOffsetMinutes = 0;
+    if (zone && zone.toUpperCase() !== 'Z') {
+        const sign = zone[0] === '-' ? -1 : 1;
+        const digits = zone.slice(1).replace(':', '');
+        zoneOffsetMinutes = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2, 4) || 0));
+    }
+
+    return calendarToMJD(values[0], values[1], values[2], values[3], values[4], secondsValue) - zoneOffsetMinutes / 1440;
+}
+
+// Formats a UTC MJD as ISO-8601. timeZoneOffset is in minutes east of UTC ('Z' when 0),
+// fractionDigits controls the decimals on the seconds field.
+export function formatISO8601(mjdUTC, { timeZoneOffset = 0, fractionDigits = 0 } = {}) {
+    if (!isFinite(mjdUTC)) return 'Invalid Date';
+
+    const scale = Math.pow(10, fractionDigits);
+    const totalUnits = Math.round((mjdUTC + timeZoneOffset / 1440) * SECONDS_PER_DAY * scale);
+    const unitsPerDay = SECONDS_PER_DAY * scale;
+    const dayNumber = Math.floor(totalUnits / unitsPerDay);
+    const secondOfDay = (totalUnits - dayNumber * unitsPerDay) / scale;
+
+    // Calendar date of the day number (inverse of calendarToMJD)
+    const J = dayNumber + 2400001 + 32044;
+    const g = Math.floor(J / 146097);
+    const dg = J % 146097;
+    const c = Math.floor((Math.floor(dg / 36524) + 1) * 3 / 4);
+    const dc = dg - c * 36524;
+    const b = Math.floor(dc / 1461);
+    const db = dc % 1461;
+    const a = Math.floor((Math.floor(db / 365) + 1) * 3 / 4);
+    const da = db - a * 365;
+    const y = g * 400 + c * 100 + b * 4 + a;
+    const m = Math.floor((da * 5 + 308) / 153) - 2;
+    const d = da - Math.floor((m + 4) * 153 / 5) + 122;
+    const year = y - 4800 + Math.floor((m + 2) / 12);
+    const month = (m + 2) % 12 + 1;
+    const day = d + 1;
+
+    const pad = (num, width = 2) => num.toString().padStart(width, '0');
+    const hours = Math.floor(secondOfDay / 3600);
+    const minutes = Math.floor((secondOfDay - hours * 3600) / 60);
+    const seconds = secondOfDay - hours * 3600 - minutes * 60;
+    const secondsText = fractionDigits > 0 ? seconds.toFixed(fractionDigits).padStart(3 + fractionDigits, '0') : pad(Math.round(seconds));
+
+    let zone = 'Z';
+    if (timeZoneOffset !== 0) {
+        const absOffset = Math.abs(timeZoneOffset);
+        zone = `${timeZoneOffset < 0 ? '-' : '+'}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+    }
+
+    const yearText = year < 0 || year > 9999 ? `${year < 0 ? '-' : '+'}${pad(Math.abs(year), 6)}` : pad(year, 4);
+    return `${yearText}-${pad(month)}-${pad(day)}T${pad(hours)}:${pad(minutes)}:${secondsText}${zone}`;
+}
+
+// Sentry-style impact strings from risk_list_neo_data.json, 'DD/MM/YYYY HH:MM' in UTC
+export function parseSentryDate(dateString) {
+    const match = /^\s*(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?\s*$/.exec(dateString || '');
+    if (!match) return NaN;
+    const [, day, month, year, hours = '0', minutes = '0'] = match;
+    return calendarToMJD(Number(year), Number(month), Number(day), Number(hours), Number(minutes));
+}
+
+// NASA NeoWs close_approach_date_full strings, 'YYYY-Mon-DD HH:MM' in TDB
+export function parseCloseApproachDate(dateString) {
+    const match = /^\s*(\d{4})-([A-Za-z]{3})-(\d{2})(?:\s+(\d{2}):(\d{2}))?\s*$/.exec(dateString || '');
+    if (!match) return NaN;
+    const month = MONTH_ABBREVIATIONS.indexOf(match[2].toLowerCase()) + 1;
+    if (month === 0) return NaN;
+    const mjdTDB = calendarToMJD(Number(match[1]), month, Number(match[3]), Number(match[4] || 0), Number(match[5] || 0));
+    return TDBToUTC(mjdTDB);
+}
@@ -0,0 +1,197 @@
+import { getPlanetState } from './ephemerides.js';
+import { AU_KM, AU_PER_DAY_TO_KM_S, elementsToStateVector } from './stateVectors.js';
+import { ELEMENT_ORDER } from './uncertainty.js';
+import { cross, dot, normalize, scale, subtract } from './vectors.js';
+
+// Target-plane (b-plane) analysis of an Earth encounter, after Öpik and Valsecchi et al. (2003).
+// The b-plane passes through the geocentre perpendicular to the unperturbed geocentric velocity U.
+// Axes: eta along U, zeta opposite to the projection of Earth's heliocentric velocity (so zeta
+// measures the timing of the encounter), xi = eta x zeta (the MOID direction).
+// Orbits are orbitParams in radians with JD epochs; encounter JDs are TDB. b-plane lengths are km.
+
+export const EARTH_RADIUS_KM = 6371.0;
+export const EARTH_GM = 398600.4418; // km^3/s^2
+
+const DEG_TO_RAD = Math.PI / 180;
+const ANGULAR_ELEMENTS = ['inc', 'node', 'peri', 'ma'];
+const INTEGRATION_INTERVALS = 400; // Simpson intervals across the capture disk
+const INTEGRATION_SIGMAS = 10; // the Gaussian is neglected beyond this many sigmas
+
+//Geocentric position (AU) and velocity (AU/day) of an orbit, with Earth's heliocentric velocity
+export function getGeocentricState(orbitParams, JD) {
+    const object = elementsToStateVector(orbitParams, JD);
+    const earth = getPlanetState('Earth', JD);
+    return {
+        position: subtract(object.position, earth.position),
+        velocity: subtract(object.velocity, earth.velocity),
+        earthVelocity: earth.velocity
+    };
+}
+
+//Unit vectors { xi, eta, zeta } of the b-plane for a geocentric velocity and Earth's heliocentric velocity
+export function getBPlaneFrame(relativeVelocity, earthVelocity) {
+    const eta = normalize(relativeVelocity);
+    const zeta = normalize(scale(subtract(earthVelocity, scale(eta, dot(earthVelocity, eta))), -1));
+    return { xi: cross(eta, zeta), eta, zeta };
+}
+
+//Radius of the disk on the b-plane that leads to impact: Earth's radius enlarged by gravitational focusing
+export function getCaptureRadius(encounterSpeed) {
+    const escapeSpeedSquared = 2 * EARTH_GM / EARTH_RADIUS_KM;
+    return EARTH_RADIUS_KM * Math.sqrt(1 + escapeSpeedSquared / (encounterSpeed * encounterSpeed));
+}
+
+//Encounter geometry of the nominal orbit at its close-approach JD:
+//{ xi, zeta, b (km), encounterSpeed (km/s), captureRadius (km), frame }
+export function computeBPlane(orbitParams, JD) {
+    const state = getGeocentricState(orbitParams, JD);
+    const frame = getBPlaneFrame(state.velocity, state.earthVelocity);
+    const xi = dot(state.position, frame.xi) * AU_KM;
+    const zeta = dot(state.position, frame.zeta) * AU_KM;
+    const encounterSpeed = Math.sqrt(dot(state.velocity, state.velocity)) * AU_PER_DAY_TO_KM_S;
+
+    return {
+        xi,
+        zeta,
+        b: Math.sqrt(xi * xi + zeta * zeta),
+        encounterSpeed,
+        captureRadius: getCaptureRadius(encounterSpeed),
+        frame
+    };
+}
+
+//b-plane coordinates (km) of an orbit at JD, projected onto a fixed frame
+function projectOnFrame(orbitParams, JD, frame) {
+    const position = getGeocentricState(orbitParams, JD).position;
+    return [dot(position, frame.xi) * AU_KM, dot(position, frame.zeta) * AU_KM];
+}
+
+function offsetElement(orbitParams, element, delta) {
+    const shifted = { ...orbitParams, [element]: orbitParams[element] + (ANGULAR_ELEMENTS.includes(element) ? delta * DEG_TO_RAD : delta) };
+    delete shifted.transformMatrix;
+    delete shifted.q;
+    return shifted;
+}
+
+//Linear map of the element uncertainty onto the b-plane: covariance C_b = J C_elements J^T (km^2).
+//Also returns a nonlinearity measure: the largest ratio of the second- to first-order change in the
+//b-plane position over a 1-sigma step, which is small when the linear map can be trusted.
+export function mapUncertaintyToBPlane(orbitParams, JD, uncertainty, frame) {
+    const covariance = uncertainty.covariance
+        || ELEMENT_ORDER.map((element, i) => ELEMENT_ORDER.map((_, j) => i === j ? (uncertainty.sigmas[element] || 0) ** 2 : 0));
+    const nominal = projectOnFrame(orbitParams, JD, frame);
+
+    let nonlinearity = 0;
+    const jacobian = ELEMENT_ORDER.map((element, k) => {
+        const step = Math.sqrt(covariance[k][k]);
+        if (!(step > 0)) return [0, 0];
+        const plus = projectOnFrame(offsetElement(orbitParams, element, step), JD, frame);
+        const minus = projectOnFrame(offsetElement(orbitParams, element, -step), JD, frame);
+        const first = Math.hypot(plus[0] - minus[0], plus[1] - minus[1]) / 2;
+        const second = Math.hypot(plus[0] + minus[0] - 2 * nominal[0], plus[1] + minus[1] - 2 * nominal[1]) / 2;
+        if (first > 0) nonlinearity = Math.max(nonlinearity, second / first);
+        return [(plus[0] - minus[0]) / (2 * step), (plus[1] - minus[1]) / (2 * step)];
+    });
+
+    const bCovariance = [[0, 0], [0, 0]];
+    for (let a = 0; a < 2; a++) {
+        for (let b = 0; b < 2; b++) {
+            let sum = 0;
+            for (let i = 0; i < ELEMENT_ORDER.length; i++) {
+                for (let j = 0; j < ELEMENT_ORDER.length; j++) {
+                    sum += jacobian[i][a] * covariance[i][j] * jacobian[j][b];
+                }
+            }
+            bCovariance[a][b] = sum;
+        }
+    }
+    return { covariance: bCovariance, nonlinearity };
+}
+
+//Complementary error function (Numerical Recipes erfcc), fractional error below 1.2e-7 everywhere
+function erfc(x) {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const value = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+    return x >= 0 ? value : 2 - value;
+}
+
+//P(lower < X < upper) for a standard normal X, computed from the nearer tail to keep small values accurate
+function normalInterval(lower, upper) {
+    const upperTail = (z) => 0.5 * erfc(z / Math.SQRT2);
+    if (lower >= 0) return upperTail(lower) - upperTail(upper);
+    if (upper <= 0) return upperTail(-upper) - upperTail(-lower);
+    return 1 - upperTail(-lower) - upperTail(upper);
+}
+
+//Probability that a bivariate Gaussian (mean [xi, zeta], 2x2 covariance, km) falls inside the disk of
+//the given radius around the origin. The Gaussian is rotated to its principal axes; the narrow axis is
+//integrated analytically and the wide one with Simpson's rule.
+export function integrateDiskProbability(mean, covariance, radius) {
+    const [[sxx, sxz], [, szz]] = covariance;
+    const angle = 0.5 * Math.atan2(2 * sxz, sxx - szz);
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const varianceU = Math.max(0, sxx * cos * cos + 2 * sxz * sin * cos + szz * sin * sin); // wide axis
+    const varianceV = Math.max(0, sxx * sin * sin - 2 * sxz * sin * cos + szz * cos * cos); // narrow axis
+    const sigmaU = Math.sqrt(varianceU), sigmaV = Math.sqrt(varianceV);
+    const meanU = mean[0] * cos + mean[1] * sin;
+    const meanV = -mean[0] * sin + mean[1] * cos;
+
+    const chordProbability = (u) => {
+        const halfChord = Math.sqrt(Math.max(0, radius * radius - u * u));
+        if (sigmaV === 0) return Math.abs(meanV) < halfChord ? 1 : 0;
+        return normalInterval((-halfChord - meanV) / sigmaV, (halfChord - meanV) / sigmaV);
+    };
+
+    if (sigmaU === 0) {
+        return Math.abs(meanU) < radius ? chordProbability(meanU) : 0;
+    }
+
+    const lower = Math.max(-radius, meanU - INTEGRATION_SIGMAS * sigmaU);
+    const upper = Math.min(radius, meanU + INTEGRATION_SIGMAS * sigmaU);
+    if (lower >= upper) return 0;
+
+    const h = (upper - lower) / INTEGRATION_INTERVALS;
+    const density = (u) => Math.exp(-0.5 * ((u - meanU) / sigmaU) ** 2) / (sigmaU * Math.sqrt(2 * Math.PI));
+    let sum = 0;
+    for (let i = 0; i <= INTEGRATION_INTERVALS; i++) {
+        const u = lower + i * h;
+        const weight = i === 0 || i === INTEGRATION_INTERVALS ? 1 : (i % 2 === 1 ? 4 : 2);
+        sum += weight * density(u) * chordProbability(u);
+    }
+    return Math.min(1, Math.max(0, sum * h / 3));
+}
+
+//Impact probability of an orbit at an Earth encounter (TDB JD near closest approach).
+//uncertainty is { sigmas } or { covariance } as in utils/uncertainty.js; without it only the nominal
+//orbit is judged (probability 0 or 1). confidence falls as the linear b-plane mapping degrades.
+export function computeImpactProbability(orbitParams, JD, uncertainty = null) {
+    const bPlane = computeBPlane(orbitParams, JD);
+    const mean = [bPlane.xi, bPlane.zeta];
+
+    if (!uncertainty) {
+        return {
+            probability: bPlane.b < bPlane.captureRadius ? 1 : 0,
+            confidence: 0.2,
+            bPlane,
+            ellipse: null
+        };
+    }
+
+    const mapped = mapUncertaintyToBPlane(orbitParams, JD, uncertainty, bPlane.frame);
+    const [[sxx, sxz], [, szz]] = mapped.covariance;
+    const sigmaXi = Math.sqrt(sxx), sigmaZeta = Math.sqrt(szz);
+
+    return {
+        probability: integrateDiskProbability(mean, mapped.covariance, bPlane.captureRadius),
+        confidence: 1 / (1 + mapped.nonlinearity),
+        bPlane,
+        ellipse: {
+            sigmaXi,
+            sigmaZeta,
+            correlation: sigmaXi > 0 && sigmaZeta > 0 ? sxz / (sigmaXi * sigmaZeta) : 0,
+            covariance: mapped.covariance
+        }
+    };
+}
@@ -0,0 +1,100 @@
+import { computeBPlane } from './bplane.js';
+import { getPlanetOrbitParams, getPlanetState } from './ephemerides.js';
+import { findMinima } from './minimize.js';
+import { computeMOID } from './orbits.js';
+import { DEFAULT_DENSITY } from './riskScales.js';
+import { AU_KM, AU_PER_DAY_TO_KM_S, elementsToStateVector, stateVectorToElements } from './stateVectors.js';
+import { cross, normalize } from './vectors.js';
+
+// Kinetic-impactor deflection: an instantaneous velocity change applied to an asteroid on a two-body
+// heliocentric orbit, and its effect on the next Earth encounter. Orbits are orbitParams in radians
+// with JD epochs, times TDB Julian dates, velocity changes km/s; distances returned are AU unless noted.
+// Δv components are given in the orbit's own frame: alongTrack along the heliocentric velocity,
+// normal along the orbital angular momentum and radial = alongTrack x normal (outward for a circular orbit).
+
+export const DEFAULT_BETA = 1; // momentum enhancement with no ejecta; DART measured about 3.6 on Dimorphos
+export const ENCOUNTER_WINDOW = 30; // days either side of the original encounter searched after deflection
+
+const SEARCH_STEP = 0.5; // days between distance samples when looking for the closest approach
+const REFINE_TOLERANCE = 1e-6; // days
+
+//Mass (kg) of a spherical asteroid of the given diameter (m) and bulk density (kg/m^3)
+export function asteroidMass(diameter, density = DEFAULT_DENSITY) {
+    return density * Math.PI / 6 * diameter * diameter * diameter;
+}
+
+//Speed change (km/s) of a target of targetMass (kg) hit by an impactor of impactorMass (kg) at
+//impactSpeed (km/s), with momentum enhancement beta: Δv = β m v / M
+export function kineticImpactorDeltaV({ impactorMass, impactSpeed, targetMass, beta = DEFAULT_BETA }) {
+    if (!(targetMass > 0)) return 0;
+    return beta * impactorMass * impactSpeed / targetMass;
+}
+
+//Orbit after a velocity change deltaV { alongTrack, radial, normal } (km/s) at JD
+export function applyDeltaV(orbitParams, JD, deltaV) {
+    const { position, velocity } = elementsToStateVector(orbitParams, JD);
+    const alongTrack = normalize(velocity);
+    const normal = normalize(cross(position, velocity));
+    const radial = cross(alongTrack, normal);
+
+    const dv = (component) => (deltaV[component] || 0) / AU_PER_DAY_TO_KM_S;
+    const newVelocity = {
+        x: velocity.x + dv('alongTrack') * alongTrack.x + dv('radial') * radial.x + dv('normal') * normal.x,
+        y: velocity.y + dv('alongTrack') * alongTrack.y + dv('radial') * radial.y + dv('normal') * normal.y,
+        z: velocity.z + dv('alongTrack') * alongTrack.z + dv('radial') * radial.z + dv('normal') * normal.z
+    };
+    return stateVectorToElements(position, newVelocity, JD);
+}
+
+//Distance (AU) between an orbit and Earth at JD
+function earthDistance(orbitParams, JD) {
+    const object = elementsToStateVector(orbitParams, JD).position;
+    const earth = getPlanetState('Earth', JD).position;
+    return Math.hypot(object.x - earth.x, object.y - earth.y, object.z - earth.z);
+}
+
+//Closest approach of an orbit to Earth between startJD and endJD: { JD, distance } or null.
+//The distance is sampled every SEARCH_STEP days (as in CloseApproachService) and its minima refined;
+//the window ends count, so an encounter cut off by the window is reported at its edge.
+export function findClosestApproach(orbitParams, startJD, endJD) {
+    if (!(endJD > startJD)) return null;
+    const minima = findMinima(JD => earthDistance(orbitParams, JD), startJD, endJD, SEARCH_STEP,
+        { tolerance: REFINE_TOLERANCE, includeEnds: true });
+    return minima.reduce((best, { x, value }) => (!best || value < best.distance ? { JD: x, distance: value } : best), null);
+}
+
+//Earth MOID (AU), closest approach and b-plane of an orbit at one encounter
+function describeEncounter(orbitParams, earthOrbitParams, startJD, endJD) {
+    const moid = computeMOID(orbitParams, earthOrbitParams);
+    const approach = findClosestApproach(orbitParams, startJD, endJD);
+    return {
+        orbitParams,
+        moid: moid ? moid.distance : null,
+        approach: approach ? { ...approach, distanceKm: approach.distance * AU_KM } : null,
+        bPlane: approach ? computeBPlane(orbitParams, approach.JD) : null
+    };
+}
+
+//Deflects an orbit with deltaV { alongTrack, radial, normal } (km/s) at deflectionJD and compares the
+//Earth encounter before and after. The original closest approach is searched between deflectionJD and
+//searchEndJD; the deflected orbit is followed to the same encounter, within ENCOUNTER_WINDOW days of it.
+//Returns { deltaV (km/s), before, after, encounterShift (days), distanceChange (km) } where before and
+//after are { orbitParams, moid, approach { JD, distance, distanceKm }, bPlane } (see bplane.js).
+export function simulateDeflection(orbitParams, { deflectionJD, deltaV, searchEndJD }) {
+    const earthOrbitParams = getPlanetOrbitParams('Earth', deflectionJD);
+    const deflected = applyDeltaV(orbitParams, deflectionJD, deltaV);
+
+    const before = describeEncounter(orbitParams, earthOrbitParams, deflectionJD, searchEndJD);
+    const encounterJD = before.approach ? before.approach.JD : searchEndJD;
+    const after = describeEncounter(deflected, earthOrbitParams,
+        Math.max(deflectionJD, encounterJD - ENCOUNTER_WINDOW), encounterJD + ENCOUNTER_WINDOW);
+
+    const hasApproaches = before.approach && after.approach;
+    return {
+        deltaV: Math.hypot(deltaV.alongTrack || 0, deltaV.radial || 0, deltaV.normal || 0),
+        before,
+        after,
+        encounterShift: hasApproaches ? after.approach.JD - before.approach.JD : null,
+        distanceChange: hasApproaches ? after.approach.distanceKm - before.approach.distanceKm : null
+    };
+}
@@ -0,0 +1,129 @@
+import { elementsToStateVector } from './stateVectors.js';
+
+// Approximate planetary ephemerides from the mean Keplerian elements and centennial rates of
+// E. M. Standish, "Keplerian Elements for Approximate Positions of the Major Planets" (JPL/SSD).
+// Elements are referred to the mean ecliptic and equinox of J2000; time arguments are TDB Julian dates.
+// "Earth" is the Earth-Moon barycentre, which is up to ~4700 km from the geocentre.
+
+const DEG_TO_RAD = Math.PI / 180;
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+
+// Table 1, valid 1800 AD - 2050 AD: [a, e, I, L, longPeri, longNode] and their rates per century
+// (AU, AU/Cy, degrees, degrees/Cy)
+const ELEMENTS_1800_2050 = {
+    Mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+    Venus: [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+    Earth: [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]],
+    Mars: [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+    Jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+    Saturn: [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+    Uranus: [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+    Neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]],
+    Pluto: [[39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+        [-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482]]
+};
+
+// Table 2a, valid 3000 BC - 3000 AD, same layout
+const ELEMENTS_3000BC_3000AD = {
+    Mercury: [[0.38709843, 0.20563661, 7.00559432, 252.25166724, 77.45771895, 48.33961819],
+        [0.00000000, 0.00002123, -0.00590158, 149472.67486623, 0.15940013, -0.12214182]],
+    Venus: [[0.72332102, 0.00676399, 3.39777545, 181.97970850, 131.76755713, 76.67261496],
+        [-0.00000026, -0.00005107, 0.00043494, 58517.81560260, 0.05679648, -0.27274174]],
+    Earth: [[1.00000018, 0.01673163, -0.00054346, 100.46691572, 102.93005885, -5.11260389],
+        [-0.00000003, -0.00003661, -0.01337178, 35999.37306329, 0.31795260, -0.24123856]],
+    Mars: [[1.52371243, 0.09336511, 1.85181869, -4.56813164, -23.91744784, 49.71320984],
+        [0.00000097, 0.00009149, -0.00724757, 19140.29934243, 0.45223625, -0.26852431]],
+    Jupiter: [[5.20248019, 0.04853590, 1.29861416, 34.33479152, 14.27495244, 100.29282654],
+        [-0.00002864, 0.00018026, -0.00322699, 3034.90371757, 0.18199196, 0.13024619]],
+    Saturn: [[9.54149883, 0.05550825, 2.49424102, 50.07571329, 92.86136063, 113.63998702],
+        [-0.00003065, -0.00032044, 0.00451969, 1222.11494724, 0.54179478, -0.25015002]],
+    Uranus: [[19.18797948, 0.04685740, 0.77298127, 314.20276625, 172.43404441, 73.96250215],
+        [-0.00020455, -0.00001550, -0.00180155, 428.49512595, 0.09266985, 0.05739699]],
+    Neptune: [[30.06952752, 0.00895439, 1.77005520, 304.22289287, 46.68158724, 131.78635853],
+        [0.00006447, 0.00000818, 0.00022400, 218.46515314, 0.01009938, -0.00606302]],
+    Pluto: [[39.48686035, 0.24885238, 17.14104260, 238.96535011, 224.09702598, 110.30167986],
+        [0.00449751, 0.00006016, 0.00000501, 145.18042903, -0.00968827, -0.00809981]]
+};
+
+// Table 2b: extra mean anomaly terms b*T^2 + c*cos(f*T) + s*sin(f*T) for the outer planets (degrees)
+const OUTER_PLANET_TERMS = {
+    Jupiter: { b: -0.00012452, c: 0.06064060, s: -0.35635438, f: 38.35125000 },
+    Saturn: { b: 0.00025899, c: -0.13434469, s: 0.87320147, f: 38.35125000 },
+    Uranus: { b: 0.00058331, c: -0.97731848, s: 0.17689245, f: 7.67025000 },
+    Neptune: { b: -0.00041348, c: 0.68346318, s: -0.10162547, f: 7.67025000 },
+    Pluto: { b: -0.01262724, c: 0, s: 0, f: 0 }
+};
+
+// Published error estimates: heliocentric longitude and latitude (arcsec) and distance (km)
+const ACCURACY_1800_2050 = {
+    Mercury: [15, 1, 1000], Venus: [20, 1, 4000], Earth: [20, 8, 6000], Mars: [40, 2, 25000],
+    Jupiter: [400, 10, 600000], Saturn: [600, 25, 1500000], Uranus: [50, 2, 1000000],
+    Neptune: [10, 1, 200000], Pluto: [5, 2, 300000]
+};
+const ACCURACY_3000BC_3000AD = {
+    Mercury: [20, 5, 1000], Venus: [40, 10, 4000], Earth: [40, 20, 8000], Mars: [100, 40, 30000],
+    Jupiter: [600, 100, 1000000], Saturn: [1000, 100, 4000000], Uranus: [2000, 30, 8000000],
+    Neptune: [400, 10, 4000000], Pluto: [400, 100, 2500000]
+};
+
+const JD_1800 = 2378496.5;
+const JD_2050 = 2469807.5;
+const JD_3000BC = 625673.5;
+const JD_3000AD = 2816787.5;
+
+export const EPHEMERIS_BODIES = Object.keys(ELEMENTS_1800_2050);
+
+export function hasEphemeris(name) { return EPHEMERIS_BODIES.includes(name) }
+
+function usesShortTable(JD) { return JD >= JD_1800 && JD <= JD_2050 }
+
+//Osculating-style orbitParams (radians, epoch = JD) of a planet at a TDB Julian date, in the same
+//shape as the Orrery's processed planet_data.json entries. Returns null for bodies without a theory.
+export function getPlanetOrbitParams(name, JD) {
+    if (!hasEphemeris(name)) return null;
+
+    const T = (JD - J2000) / DAYS_PER_CENTURY;
+    const shortTable = usesShortTable(JD);
+    const [values, rates] = (shortTable ? ELEMENTS_1800_2050 : ELEMENTS_3000BC_3000AD)[name];
+    const [a, e, inc, meanLongitude, longPeri, longNode] = values.map((value, i) => value + rates[i] * T);
+
+    let meanAnomaly = meanLongitude - longPeri;
+    const terms = OUTER_PLANET_TERMS[name];
+    if (!shortTable && terms) {
+        meanAnomaly += terms.b * T * T + terms.c * Math.cos(terms.f * T * DEG_TO_RAD) + terms.s * Math.sin(terms.f * T * DEG_TO_RAD);
+    }
+
+    const wrap = (degrees) => ((degrees % 360) + 540) % 360 - 180;
+    return {
+        epoch: JD,
+        a,
+        e,
+        inc: inc * DEG_TO_RAD,
+        node: longNode * DEG_TO_RAD,
+        peri: (longPeri - longNode) * DEG_TO_RAD,
+        ma: wrap(meanAnomaly) * DEG_TO_RAD
+    };
+}
+
+//Heliocentric ecliptic J2000 position and velocity (AU, AU/day) of a planet at a TDB Julian date
+export function getPlanetState(name, JD) {
+    const orbitParams = getPlanetOrbitParams(name, JD);
+    return orbitParams ? elementsToStateVector(orbitParams, JD) : null;
+}
+
+//Error estimate of the theory at a date: { longitude, latitude } in arcsec, distance in km, and
+//whether JD lies inside the validity interval of the tables at all
+export function getEphemerisAccuracy(name, JD) {
+    if (!hasEphemeris(name)) return null;
+    const [longitude, latitude, distance] = (usesShortTable(JD) ? ACCURACY_1800_2050 : ACCURACY_3000BC_3000AD)[name];
+    return { longitude, latitude, distance, withinValidity: JD >= JD_3000BC && JD <= JD_3000AD };
+}
@@ -0,0 +1,195 @@
+// Reference frames used across the app. Positions are { x, y, z } in AU unless noted.
+//  - heliocentric ecliptic J2000: the frame of orbitParams, state vectors and ephemerides
+//  - heliocentric / geocentric equatorial J2000: rotated about x by the J2000 obliquity
+//  - topocentric equatorial: geocentric equatorial minus the observer's position on the rotating Earth
+//  - TEME: the true-equator, mean-equinox-of-date frame of SGP4 satellite states (km)
+//  - scene: the Three.js axes of the Orrery (y up = ecliptic north), reached only through eclipticToScene
+
+export const FRAMES = {
+    HELIOCENTRIC_ECLIPTIC: 'heliocentricEcliptic',
+    HELIOCENTRIC_EQUATORIAL: 'heliocentricEquatorial',
+    GEOCENTRIC_ECLIPTIC: 'geocentricEcliptic',
+    GEOCENTRIC_EQUATORIAL: 'geocentricEquatorial',
+    TOPOCENTRIC_EQUATORIAL: 'topocentricEquatorial'
+};
+
+const DEG_TO_RAD = Math.PI / 180;
+const ARCSEC_TO_RAD = DEG_TO_RAD / 3600;
+const TWO_PI = 2 * Math.PI;
+const AU_KM = 149597870.7;
+
+export const OBLIQUITY_J2000 = 84381.448 / 3600 * DEG_TO_RAD;
+export const SPEED_OF_LIGHT_AU_PER_DAY = 299792.458 * 86400 / AU_KM;
+
+// WGS84 ellipsoid
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.137;
+const EARTH_FLATTENING = 1 / 298.257223563;
+
+const COS_OBLIQUITY = Math.cos(OBLIQUITY_J2000);
+const SIN_OBLIQUITY = Math.sin(OBLIQUITY_J2000);
+
+export function eclipticToEquatorial(v) {
+    return {
+        x: v.x,
+        y: COS_OBLIQUITY * v.y - SIN_OBLIQUITY * v.z,
+        z: SIN_OBLIQUITY * v.y + COS_OBLIQUITY * v.z
+    };
+}
+
+export function equatorialToEcliptic(v) {
+    return {
+        x: v.x,
+        y: COS_OBLIQUITY * v.y + SIN_OBLIQUITY * v.z,
+        z: -SIN_OBLIQUITY * v.y + COS_OBLIQUITY * v.z
+    };
+}
+
+//Heliocentric ecliptic -> scene axes. out may be a THREE.Vector3 or any object with x, y, z.
+export function eclipticToScene(v, out = {}) {
+    const { x, y, z } = v;
+    out.x = x;
+    out.y = z;
+    out.z = -y;
+    return out;
+}
+
+export function sceneToEcliptic(v, out = {}) {
+    const { x, y, z } = v;
+    out.x = x;
+    out.y = -z;
+    out.z = y;
+    return out;
+}
+
+//Same transform for packed arrays of x, y, z triples (used by batch propagation)
+export function eclipticToSceneArray(x, y, z, out, offset) {
+    out[offset] = x;
+    out[offset + 1] = z;
+    out[offset + 2] = -y;
+}
+
+//Mean equator and equinox of date -> J2000 equatorial (IAU 1976 precession). JD is TT; UTC will do.
+export function precessToJ2000(v, JD) {
+    const T = (JD - 2451545.0) / 36525;
+    const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * ARCSEC_TO_RAD;
+    const z = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * ARCSEC_TO_RAD;
+    const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * ARCSEC_TO_RAD;
+    const cZeta = Math.cos(zeta), sZeta = Math.sin(zeta);
+    const cZ = Math.cos(z), sZ = Math.sin(z);
+    const cTheta = Math.cos(theta), sTheta = Math.sin(theta);
+
+    // Transpose of the J2000 -> date precession matrix
+    return {
+        x: (cZeta * cTheta * cZ - sZeta * sZ) * v.x + (cZeta * cTheta * sZ + sZeta * cZ) * v.y + cZeta * sTheta * v.z,
+        y: (-sZeta * cTheta * cZ - cZeta * sZ) * v.x + (-sZeta * cTheta * sZ + cZeta * cZ) * v.y - sZeta * sTheta * v.z,
+        z: -sTheta * cZ * v.x - sTheta * sZ * v.y + cTheta * v.z
+    };
+}
+
+//TEME -> geocentric ecliptic J2000. Nutation (< 20″) is ignored, i.e. TEME is taken as the mean
+//equator and equinox of date.
+export function temeToEcliptic(v, JD) {
+    return equatorialToEcliptic(precessToJ2000(v, JD));
+}
+
+export function heliocentricToGeocentric(position, earthPosition) {
+    return { x: position.x - earthPosition.x, y: position.y - earthPosition.y, z: position.z - earthPosition.z };
+}
+
+//Greenwich mean sidereal time (radians) at a UT1 Julian date; UTC is used as UT1 here (|UT1-UTC| < 0.9 s)
+export function greenwichMeanSiderealTime(JD_UT) {
+    const d = JD_UT - 2451545.0;
+    const T = d / 36525;
+    const degrees = 280.46061837 + 360.98564736629 * d + 0.000387933 * T * T - T * T * T / 38710000;
+    return (((degrees % 360) + 360) % 360) * DEG_TO_RAD;
+}
+
+//Geocentric equatorial position (AU) of an observer { latitude, longitude (deg, east positive), height (km) }.
+//Precession and nutation since J2000 are ignored, which is well below the accuracy of the planetary theory.
+export function observerPosition(observer, JD_UT) {
+    const latitude = observer.latitude * DEG_TO_RAD;
+    const height = observer.height || 0;
+    const e2 = EARTH_FLATTENING * (2 - EARTH_FLATTENING);
+    const sinLat = Math.sin(latitude);
+    const N = EARTH_EQUATORIAL_RADIUS_KM / Math.sqrt(1 - e2 * sinLat * sinLat);
+    const rho = (N + height) * Math.cos(latitude) / AU_KM;
+    const localSiderealTime = greenwichMeanSiderealTime(JD_UT) + observer.longitude * DEG_TO_RAD;
+
+    return {
+        x: rho * Math.cos(localSiderealTime),
+        y: rho * Math.sin(localSiderealTime),
+        z: (N * (1 - e2) + height) * sinLat / AU_KM
+    };
+}
+
+//Heliocentric ecliptic J2000 position -> any of FRAMES. context holds earthPosition (heliocentric
+//ecliptic, for geocentric and topocentric frames) and observer with JD_UT (topocentric only).
+export function transformPosition(position, frame, context = {}) {
+    switch (frame) {
+        case FRAMES.HELIOCENTRIC_ECLIPTIC:
+            return { ...position };
+        case FRAMES.HELIOCENTRIC_EQUATORIAL:
+            return eclipticToEquatorial(position);
+        case FRAMES.GEOCENTRIC_ECLIPTIC:
+            return heliocentricToGeocentric(position, context.earthPosition);
+        case FRAMES.GEOCENTRIC_EQUATORIAL:
+            return eclipticToEquatorial(heliocentricToGeocentric(position, context.earthPosition));
+        case FRAMES.TOPOCENTRIC_EQUATORIAL: {
+            const geocentric = eclipticToEquatorial(heliocentricToGeocentric(position, context.earthPosition));
+            return heliocentricToGeocentric(geocentric, observerPosition(context.observer, context.JD_UT));
+        }
+        default:
+            throw new Error(`Unknown reference frame: ${frame}`);
+    }
+}
+
+//Equatorial cartesian -> right ascension [0, 2pi) and declination (radians) and distance
+export function cartesianToRADec(v) {
+    const distance = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    const ra = Math.atan2(v.y, v.x);
+    return {
+        ra: ra < 0 ? ra + TWO_PI : ra,
+        dec: distance > 0 ? Math.asin(v.z / distance) : 0,
+        distance
+    };
+}
+
+//Astrometric RA/Dec of a body seen from Earth (or from an observer on it) at JD.
+//positionAt(JD) gives the body's heliocentric ecliptic position; earthPosition is Earth's at JD.
+//With lightTime the body is taken at the retarded time JD - distance / c (fixed-point iteration).
+export function computeRADec(positionAt, JD, earthPosition, { lightTime = false, observer = null, JD_UT = JD } = {}) {
+    const frame = observer ? FRAMES.TOPOCENTRIC_EQUATORIAL : FRAMES.GEOCENTRIC_EQUATORIAL;
+    const context = { earthPosition, observer, JD_UT };
+
+    let relative = transformPosition(positionAt(JD), frame, context);
+    let lightTimeDays = 0;
+    if (lightTime) {
+        for (let i = 0; i < 3; i++) {
+            const distance = Math.sqrt(relative.x * relative.x + relative.y * relative.y + relative.z * relative.z);
+            lightTimeDays = distance / SPEED_OF_LIGHT_AU_PER_DAY;
+            relative = transformPosition(positionAt(JD - lightTimeDays), frame, context);
+        }
+    }
+
+    return { ...cartesianToRADec(relative), lightTimeDays };
+}
+
+//"hh:mm:ss.s"
+export function formatRA(ra) {
+    const hours = (((ra / TWO_PI) * 24) % 24 + 24) % 24;
+    const tenthsOfSecond = Math.round(hours * 36000) % 864000;
+    const h = Math.floor(tenthsOfSecond / 36000);
+    const m = Math.floor((tenthsOfSecond % 36000) / 600);
+    const s = (tenthsOfSecond % 600) / 10;
+    return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m ${s.toFixed(1).padStart(4, '0')}s`;
+}
+
+//"+dd° mm′ ss″"
+export function formatDec(dec) {
+    const sign = dec < 0 ? '-' : '+';
+    const arcseconds = Math.round(Math.abs(dec) / DEG_TO_RAD * 3600);
+    const d = Math.floor(arcseconds / 3600);
+    const m = Math.floor((arcseconds % 3600) / 60);
+    const s = arcseconds % 60;
+    return `${sign}${String(d).padStart(2, '0')}° ${String(m).padStart(2, '0')}′ ${String(s).padStart(2, '0')}″`;
+}
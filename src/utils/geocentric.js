@@ -0,0 +1,276 @@
+import { getPlanetState } from './ephemerides.js';
+import { eclipticToScene } from './frames.js';
+import { createElementBatch, propagateBatch } from './orbits.js';
+import { AU_KM } from './stateVectors.js';
+
+// The geocentric Earth-Moon frame: the Moon, the geocentre and NEO flybys near Earth.
+// The Moon follows the ELP-2000/82 series as abridged in Meeus, "Astronomical Algorithms" ch. 47, with
+// all terms of tables 47.A and 47.B (about 10" in longitude and 4" in latitude; example 47.a is reproduced
+// to its printed digits), precessed from the ecliptic of date to J2000.
+// The geocentre is recovered from the Earth-Moon barycentre of the planetary ephemeris.
+// Positions are ecliptic J2000 in AU unless noted; times are TDB Julian dates.
+
+export const LUNAR_DISTANCE_KM = 384400;
+export const GEO_RADIUS_KM = 42164; // geostationary orbit
+export const LUNAR_RADIUS_KM = 1737.4;
+export const EARTH_MOON_MASS_RATIO = 81.30056;
+
+export const FLYBY_WINDOW = 10; // days either side of the centre date searched for flybys
+export const FLYBY_RADIUS = 20 * LUNAR_DISTANCE_KM / AU_KM; // AU, flybys closer than this are kept
+
+const DEG_TO_RAD = Math.PI / 180;
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+const MJD_OFFSET = 2400000.5;
+
+const COARSE_STEP = 0.5; // days between samples of the whole catalog
+const FINE_STEP = 1 / 24; // days between samples of a flyby path
+const MAX_RELATIVE_SPEED = 40 * 86400 / AU_KM; // AU/day, bounds the travel between two coarse samples
+
+// Periodic terms in longitude and distance: multiples of D, M, M', F, then sum_l (1e-6 deg) and sum_r (m)
+const LONGITUDE_DISTANCE_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355],
+    [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888],
+    [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158],
+    [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620],
+    [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755],
+    [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782],
+    [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636],
+    [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675],
+    [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445],
+    [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0],
+    [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322],
+    [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950],
+    [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0],
+    [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616],
+    [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117],
+    [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423],
+    [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571],
+    [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0],
+    [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0],
+    [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0],
+    [2, 0, -1, -2, 0, 8752]
+];
+
+// Periodic terms in latitude: multiples of D, M, M', F, then sum_b (1e-6 deg)
+const LATITUDE_TERMS = [
+    [0, 0, 0, 1, 5128122],
+    [0, 0, 1, 1, 280602],
+    [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413],
+    [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573],
+    [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822],
+    [2, -1, 0, -1, 8216],
+    [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200],
+    [2, 1, 0, -1, -3359],
+    [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065],
+    [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828],
+    [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565],
+    [1, 0, 0, 1, -1491],
+    [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410],
+    [0, 1, 0, -1, -1344],
+    [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021],
+    [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777],
+    [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596],
+    [2, -1, 1, -1, 491],
+    [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439],
+    [2, 0, 2, 1, 422],
+    [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351],
+    [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315],
+    [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229],
+    [1, 1, 0, -1, 223],
+    [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220],
+    [2, 1, -1, -1, -220],
+    [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177],
+    [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166],
+    [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119],
+    [4, -1, 0, -1, 115],
+    [2, -2, 0, 1, 107]
+];
+
+const polynomial = (T, coefficients) => coefficients.reduce((sum, c, i) => sum + c * T ** i, 0);
+
+//Geocentric ecliptic J2000 position of the Moon (AU) at a TDB Julian date
+export function getMoonPosition(JD) {
+    const T = (JD - J2000) / DAYS_PER_CENTURY;
+
+    // Fundamental arguments (degrees)
+    const Lp = polynomial(T, [218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000]);
+    const D = polynomial(T, [297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000]);
+    const M = polynomial(T, [357.5291092, 35999.0502909, -0.0001536, 1 / 24490000]);
+    const Mp = polynomial(T, [134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000]);
+    const F = polynomial(T, [93.2720950, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000]);
+    const A1 = 119.75 + 131.849 * T;
+    const A2 = 53.09 + 479264.290 * T;
+    const A3 = 313.45 + 481266.484 * T;
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T; // decreasing eccentricity of Earth's orbit
+
+    const argument = (d, m, mp, f) => (d * D + m * M + mp * Mp + f * F) * DEG_TO_RAD;
+    const eccentricityFactor = (m) => E ** Math.abs(m);
+
+    let sumL = 0, sumR = 0, sumB = 0;
+    for (const [d, m, mp, f, l, r] of LONGITUDE_DISTANCE_TERMS) {
+        const angle = argument(d, m, mp, f);
+        sumL += l * eccentricityFactor(m) * Math.sin(angle);
+        sumR += r * eccentricityFactor(m) * Math.cos(angle);
+    }
+    for (const [d, m, mp, f, b] of LATITUDE_TERMS) {
+        sumB += b * eccentricityFactor(m) * Math.sin(argument(d, m, mp, f));
+    }
+
+    // Additive terms for Venus, Jupiter and the flattening of the Earth
+    sumL += 3958 * Math.sin(A1 * DEG_TO_RAD) + 1962 * Math.sin((Lp - F) * DEG_TO_RAD) + 318 * Math.sin(A2 * DEG_TO_RAD);
+    sumB += -2235 * Math.sin(Lp * DEG_TO_RAD) + 382 * Math.sin(A3 * DEG_TO_RAD)
+        + 175 * Math.sin((A1 - F) * DEG_TO_RAD) + 175 * Math.sin((A1 + F) * DEG_TO_RAD)
+        + 127 * Math.sin((Lp - Mp) * DEG_TO_RAD) - 115 * Math.sin((Lp + Mp) * DEG_TO_RAD);
+
+    // Ecliptic of date -> J2000 through the general precession in longitude
+    const precession = (5029.0966 * T + 1.11113 * T * T) / 3600;
+    const longitude = (Lp + sumL / 1e6 - precession) * DEG_TO_RAD;
+    const latitude = (sumB / 1e6) * DEG_TO_RAD;
+    const distance = (385000.56 + sumR / 1000) / AU_KM;
+
+    return {
+        x: distance * Math.cos(latitude) * Math.cos(longitude),
+        y: distance * Math.cos(latitude) * Math.sin(longitude),
+        z: distance * Math.sin(latitude)
+    };
+}
+
+//Heliocentric ecliptic J2000 position of the geocentre (AU): the Earth-Moon barycentre of the
+//planetary ephemeris moved away from the Moon by the Moon's share of their separation
+export function getGeocentrePosition(JD) {
+    const barycentre = getPlanetState('Earth', JD).position;
+    const moon = getMoonPosition(JD);
+    const factor = 1 / (1 + EARTH_MOON_MASS_RATIO);
+    return {
+        x: barycentre.x - moon.x * factor,
+        y: barycentre.y - moon.y * factor,
+        z: barycentre.z - moon.z * factor
+    };
+}
+
+//Geocentric positions of a catalog in scene axes (AU) at one date, written over the heliocentric ones
+function toGeocentric(positions, JD) {
+    const geocentre = eclipticToScene(getGeocentrePosition(JD));
+    for (let i = 0; i < positions.length; i += 3) {
+        positions[i] -= geocentre.x;
+        positions[i + 1] -= geocentre.y;
+        positions[i + 2] -= geocentre.z;
+    }
+    return positions;
+}
+
+//Flybys of Earth by a catalog of orbits within window days of centreJD that come closer than radius (AU).
+//The whole catalog is sampled every COARSE_STEP days, then each candidate path every FINE_STEP days.
+//usesMJD tells that the orbits' epochs are MJD rather than JD.
+//Returns [{ index, JDs, points (geocentric scene axes, AU, x, y, z per sample), closest { JD, distance } }].
+export function findFlybys(orbitParamsList, centreJD, { usesMJD = false, window = FLYBY_WINDOW, radius = FLYBY_RADIUS } = {}) {
+    const propagationTime = (JD) => (usesMJD ? JD - MJD_OFFSET : JD);
+    const startJD = centreJD - window;
+    const count = orbitParamsList.length;
+    if (count === 0) return [];
+
+    // Candidates: anything that could have come within radius between two coarse samples
+    const margin = MAX_RELATIVE_SPEED * COARSE_STEP / 2;
+    const batch = createElementBatch(orbitParamsList);
+    const minDistance = new Float64Array(count).fill(Infinity);
+    const positions = new Float64Array(count * 3);
+    for (let JD = startJD; JD <= centreJD + window; JD += COARSE_STEP) {
+        toGeocentric(propagateBatch(batch, propagationTime(JD), positions), JD);
+        for (let i = 0; i < count; i++) {
+            const distance = Math.hypot(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+            if (distance < minDistance[i]) minDistance[i] = distance;
+        }
+    }
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+        if (minDistance[i] < radius + margin) candidates.push(i);
+    }
+    if (candidates.length === 0) return [];
+
+    // Paths of the candidates
+    const candidateBatch = createElementBatch(candidates.map(i => orbitParamsList[i]));
+    const sampleCount = Math.round(2 * window / FINE_STEP) + 1;
+    const JDs = Array.from({ length: sampleCount }, (_, k) => startJD + k * FINE_STEP);
+    const paths = candidates.map(index => ({ index, JDs, points: new Float64Array(sampleCount * 3), closest: null }));
+    const sample = new Float64Array(candidates.length * 3);
+    JDs.forEach((JD, k) => {
+        toGeocentric(propagateBatch(candidateBatch, propagationTime(JD), sample), JD);
+        paths.forEach((path, c) => {
+            path.points.set(sample.subarray(c * 3, c * 3 + 3), k * 3);
+            const distance = Math.hypot(sample[c * 3], sample[c * 3 + 1], sample[c * 3 + 2]);
+            if (isFinite(distance) && (!path.closest || distance < path.closest.distance)) {
+                path.closest = { JD, distance };
+            }
+        });
+    });
+    return paths.filter(path => path.closest && path.closest.distance < radius);
+}
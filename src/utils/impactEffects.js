@@ -0,0 +1,182 @@
+import { DEFAULT_DENSITY, impactEnergyMegatons, MEGATON_J } from './riskScales.js';
+
+// Consequences of an impact on land, following Collins, Melosh & Marcus (2005), "Earth Impact Effects
+// Program", Meteoritics & Planetary Science 40. Lengths in the inputs are metres and speeds km/s;
+// every distance returned is in km.
+
+const G = 9.81; // m/s^2
+const SCALE_HEIGHT = 8000; // m, exponential atmosphere
+const SEA_LEVEL_AIR_DENSITY = 1; // kg/m^3
+const DRAG_COEFFICIENT = 2;
+const PANCAKE_FACTOR = 7; // spread (in initial diameters) at which the fragment cloud bursts
+const TARGET_DENSITY = 2500; // kg/m^3, sedimentary rock
+const SIMPLE_COMPLEX_TRANSITION = 3.2; // km, final crater diameter
+const LUMINOUS_EFFICIENCY = 3e-3;
+const FIREBALL_MIN_VELOCITY = 15; // km/s, slower impacts do not form a vapour plume
+const GROUND_INTEGRATION_STEPS = 200;
+
+export const DEFAULT_IMPACT_ANGLE = 45; // degrees from horizontal, the most probable angle
+
+// Peak overpressure thresholds (Pa)
+export const BLAST_THRESHOLDS = {
+    severe: 138000, // ~20 psi, reinforced concrete buildings collapse
+    moderate: 35000, // ~5 psi, most residential buildings collapse
+    light: 6900 // ~1 psi, windows shatter
+};
+
+// Thermal exposure thresholds (J/m^2) for a 1 Mt explosion, scaled by E^(1/6)
+export const THERMAL_THRESHOLDS = {
+    clothingIgnition: 1.0e6,
+    thirdDegreeBurns: 4.2e5,
+    secondDegreeBurns: 2.5e5
+};
+
+const airDensity = (altitude) => SEA_LEVEL_AIR_DENSITY * Math.exp(-altitude / SCALE_HEIGHT);
+
+//Yield strength (Pa) of an impactor from its density, Collins et al. eq. 10
+function yieldStrength(density) {
+    return Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density));
+}
+
+//Atmospheric entry: breakup altitude, airburst altitude and speed at the ground (SI units)
+function atmosphericEntry(diameter, density, velocity, sinAngle) {
+    const strength = yieldStrength(density);
+    const strengthRatio = 4.07 * DRAG_COEFFICIENT * SCALE_HEIGHT * strength / (density * diameter * velocity * velocity * sinAngle);
+
+    if (strengthRatio >= 1) {
+        // Intact to the surface, slowed by drag over the whole atmosphere
+        const groundVelocity = velocity * Math.exp(-3 * SEA_LEVEL_AIR_DENSITY * DRAG_COEFFICIENT * SCALE_HEIGHT / (4 * density * diameter * sinAngle));
+        return { breakupAltitude: null, airburstAltitude: null, groundVelocity };
+    }
+
+    const breakupAltitude = -SCALE_HEIGHT * (Math.log(strength / (SEA_LEVEL_AIR_DENSITY * velocity * velocity))
+        + 1.308 - 0.314 * strengthRatio - 1.303 * Math.sqrt(1 - strengthRatio));
+    const breakupVelocity = velocity * Math.exp(-3 * airDensity(breakupAltitude) * DRAG_COEFFICIENT * SCALE_HEIGHT / (4 * density * diameter * sinAngle));
+    const dispersionLength = diameter * sinAngle * Math.sqrt(density / (DRAG_COEFFICIENT * airDensity(breakupAltitude)));
+    const airburstAltitude = breakupAltitude - 2 * SCALE_HEIGHT * Math.log(1 + dispersionLength / (2 * SCALE_HEIGHT) * Math.sqrt(PANCAKE_FACTOR * PANCAKE_FACTOR - 1));
+
+    if (airburstAltitude > 0) {
+        return { breakupAltitude, airburstAltitude, breakupVelocity, groundVelocity: null };
+    }
+
+    // The fragment cloud reaches the ground before it has spread enough to burst: integrate the drag
+    // on the spreading cloud (eq. 17 for its diameter) down to the surface
+    const cloudDiameter = (altitude) => diameter * Math.sqrt(1 + Math.pow(2 * SCALE_HEIGHT / dispersionLength, 2)
+        * Math.pow(Math.exp((breakupAltitude - altitude) / (2 * SCALE_HEIGHT)) - 1, 2));
+    const step = breakupAltitude / GROUND_INTEGRATION_STEPS;
+    let logSlowdown = 0;
+    for (let i = 0; i < GROUND_INTEGRATION_STEPS; i++) {
+        const altitude = breakupAltitude - (i + 0.5) * step;
+        logSlowdown += 3 * DRAG_COEFFICIENT * airDensity(altitude) * step / (4 * density * sinAngle * cloudDiameter(altitude))
+            * Math.pow(cloudDiameter(altitude) / diameter, 3);
+    }
+    return {
+        breakupAltitude,
+        airburstAltitude: null,
+        breakupVelocity,
+        groundVelocity: breakupVelocity * Math.exp(-logSlowdown)
+    };
+}
+
+//Transient and final crater diameters (km), eqs. 21, 22 and 27. A fragment cloud that reaches the
+//ground still excavates with the impactor's full mass, so the initial diameter is used.
+function craterSize(diameter, groundVelocity, density, sinAngle) {
+    const transient = 1.161 * Math.pow(density / TARGET_DENSITY, 1 / 3) * Math.pow(diameter, 0.78)
+        * Math.pow(groundVelocity, 0.44) * Math.pow(G, -0.22) * Math.pow(sinAngle, 1 / 3) / 1000;
+    const simpleFinal = 1.25 * transient;
+    if (simpleFinal <= SIMPLE_COMPLEX_TRANSITION) {
+        return { transientDiameter: transient, finalDiameter: simpleFinal, type: 'simple' };
+    }
+    return {
+        transientDiameter: transient,
+        finalDiameter: 1.17 * Math.pow(transient, 1.13) / Math.pow(SIMPLE_COMPLEX_TRANSITION, 0.13),
+        type: 'complex'
+    };
+}
+
+//Peak overpressure (Pa) at scaled distance (m, for 1 kt) from a surface explosion, eq. 54
+function surfaceOverpressure(scaledDistance) {
+    const crossover = 290; // m
+    return 75000 * crossover / (4 * scaledDistance) * (1 + 3 * Math.pow(crossover / scaledDistance, 1.3));
+}
+
+//Scaled distance (m) at which the surface-burst overpressure falls to a threshold
+function surfaceScaledRadius(threshold) {
+    let lower = 1e-3, upper = 1e8;
+    for (let i = 0; i < 100; i++) {
+        const middle = Math.sqrt(lower * upper);
+        if (surfaceOverpressure(middle) > threshold) lower = middle; else upper = middle;
+    }
+    return lower;
+}
+
+//Ground radius (km) inside which the overpressure exceeds a threshold, for a burst at burstAltitude (m).
+//Airbursts follow eqs. 56-59: distances and the burst altitude are scaled to 1 kt; within the regular
+//reflection region the overpressure decays exponentially from its value at ground zero, and beyond
+//the range where the Mach stem forms the surface-burst fit applies to the ground range.
+function blastRadius(threshold, energyKt, burstAltitude) {
+    const scale = Math.cbrt(energyKt);
+    const surfaceRadius = surfaceScaledRadius(threshold);
+    if (burstAltitude <= 0) return surfaceRadius * scale / 1000;
+
+    const scaledAltitude = burstAltitude / scale;
+    const machRadius = scaledAltitude < 550 ? 550 * scaledAltitude / (1.2 * (550 - scaledAltitude)) : Infinity;
+    if (surfaceRadius > machRadius) return surfaceRadius * scale / 1000;
+
+    const groundZeroOverpressure = 3.14e11 * Math.pow(scaledAltitude, -2.6);
+    const decay = 34.87 * Math.pow(scaledAltitude, -1.73);
+    if (groundZeroOverpressure <= threshold) return 0;
+    return Math.min(machRadius, Math.log(groundZeroOverpressure / threshold) / decay) * scale / 1000;
+}
+
+//Ground radius (km) inside which the thermal exposure exceeds a (1 Mt) threshold, for a burst at burstAltitude (m)
+function thermalRadius(threshold, energyJ, burstAltitude) {
+    const exposure = threshold * Math.pow(energyJ / MEGATON_J, 1 / 6);
+    const slant = Math.sqrt(LUMINOUS_EFFICIENCY * energyJ / (2 * Math.PI * exposure));
+    return slant > burstAltitude ? Math.sqrt(slant * slant - burstAltitude * burstAltitude) / 1000 : 0;
+}
+
+//Estimated effects of an impact on land.
+//diameter (m), velocity = entry speed (km/s), angle from horizontal (deg), density (kg/m^3).
+//Returns null for missing inputs; crater and groundVelocity are null for airbursts, thermalRadii is null
+//when the explosion is too slow to form a fireball.
+export function computeImpactEffects({ diameter, velocity, angle = DEFAULT_IMPACT_ANGLE, density = DEFAULT_DENSITY }) {
+    if (!(diameter > 0) || !(velocity > 0) || !(angle > 0 && angle <= 90)) return null;
+
+    const sinAngle = Math.sin(angle * Math.PI / 180);
+    const energyMt = impactEnergyMegatons(diameter, velocity, density);
+    const energyJ = energyMt * MEGATON_J;
+    const entry = atmosphericEntry(diameter, density, velocity * 1000, sinAngle);
+    const airburst = entry.airburstAltitude !== null;
+
+    // Airbursts release (nearly) all their energy at the burst altitude; ground impacts at the surface
+    const releaseVelocity = (airburst ? entry.breakupVelocity : entry.groundVelocity) / 1000;
+    const releasedEnergyJ = energyJ * Math.pow(releaseVelocity / velocity, 2);
+    const burstAltitude = airburst ? entry.airburstAltitude : 0;
+
+    const energyKt = releasedEnergyJ / MEGATON_J * 1000;
+    const blastRadii = {};
+    Object.entries(BLAST_THRESHOLDS).forEach(([level, threshold]) => {
+        blastRadii[level] = blastRadius(threshold, energyKt, burstAltitude);
+    });
+
+    let thermalRadii = null;
+    if (releaseVelocity >= FIREBALL_MIN_VELOCITY) {
+        thermalRadii = {};
+        Object.entries(THERMAL_THRESHOLDS).forEach(([level, threshold]) => {
+            thermalRadii[level] = thermalRadius(threshold, releasedEnergyJ, burstAltitude);
+        });
+    }
+
+    return {
+        energyMt,
+        breakup: entry.breakupAltitude !== null,
+        breakupAltitude: entry.breakupAltitude !== null ? entry.breakupAltitude / 1000 : null,
+        airburst,
+        airburstAltitude: airburst ? entry.airburstAltitude / 1000 : null,
+        groundVelocity: airburst ? null : entry.groundVelocity / 1000,
+        crater: airburst ? null : craterSize(diameter, entry.groundVelocity, density, sinAngle),
+        blastRadii,
+        thermalRadii
+    };
+}
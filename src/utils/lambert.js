@@ -0,0 +1,152 @@
+import { getPlanetState } from './ephemerides.js';
+import { MU_SUN } from './orbits.js';
+import { AU_PER_DAY_TO_KM_S, elementsToStateVector, stateVectorToElements } from './stateVectors.js';
+import { dot, norm, subtract } from './vectors.js';
+
+// Lambert's problem and porkchop plots for transfers from Earth. Positions are heliocentric ecliptic
+// J2000 in AU, velocities AU/day and times TDB Julian dates, as in stateVectors.js; C3 is returned in
+// km^2/s^2 and hyperbolic excess speeds in km/s. Only single-revolution transfers are considered.
+
+const LAMBERT_MAX_ITERATIONS = 200;
+const LAMBERT_TOLERANCE = 1e-10; // relative error on the time of flight
+
+//Stumpff functions c2(psi) and c3(psi)
+function stumpff(psi) {
+    if (psi > 1e-6) {
+        const root = Math.sqrt(psi);
+        return { c2: (1 - Math.cos(root)) / psi, c3: (root - Math.sin(root)) / (root * psi) };
+    }
+    if (psi < -1e-6) {
+        const root = Math.sqrt(-psi);
+        return { c2: (1 - Math.cosh(root)) / psi, c3: (Math.sinh(root) - root) / (root * -psi) };
+    }
+    return { c2: 1 / 2, c3: 1 / 6 };
+}
+
+//Velocities at both ends of the conic from r1 to r2 in timeOfFlight days (universal variables with
+//bisection on psi, Vallado, Fundamentals of Astrodynamics and Applications, algorithm 58).
+//The transfer goes the short or long way round so that it is prograde (or retrograde) about the
+//ecliptic pole. Returns { v1, v2 } or null when there is no solution (e.g. a transfer angle of
+//exactly 180 degrees, whose plane is undefined).
+export function solveLambert(r1, r2, timeOfFlight, { prograde = true, mu = MU_SUN } = {}) {
+    if (!(timeOfFlight > 0)) return null;
+    const r1Norm = norm(r1);
+    const r2Norm = norm(r2);
+    const cosAngle = dot(r1, r2) / (r1Norm * r2Norm);
+    const crossZ = r1.x * r2.y - r1.y * r2.x;
+    const shortWay = prograde ? crossZ >= 0 : crossZ < 0;
+    const A = (shortWay ? 1 : -1) * Math.sqrt(r1Norm * r2Norm * (1 + cosAngle));
+    if (Math.abs(A) < 1e-12) return null;
+
+    const sqrtMu = Math.sqrt(mu);
+    let psi = 0;
+    let lower = -4 * Math.PI;
+    let upper = 4 * Math.PI * Math.PI;
+    let y = 0;
+    let converged = false;
+
+    for (let i = 0; i < LAMBERT_MAX_ITERATIONS; i++) {
+        let { c2, c3 } = stumpff(psi);
+        y = r1Norm + r2Norm + A * (psi * c3 - 1) / Math.sqrt(c2);
+        if (A > 0 && y < 0) {
+            // Too hyperbolic for a positive y: move psi up until the transfer exists
+            while (y < 0 && psi < upper) {
+                psi += 0.1;
+                ({ c2, c3 } = stumpff(psi));
+                y = r1Norm + r2Norm + A * (psi * c3 - 1) / Math.sqrt(c2);
+            }
+            lower = psi;
+        }
+        const chi = Math.sqrt(y / c2);
+        const t = (chi * chi * chi * c3 + A * Math.sqrt(y)) / sqrtMu;
+        if (Math.abs(t - timeOfFlight) < LAMBERT_TOLERANCE * timeOfFlight) {
+            converged = true;
+            break;
+        }
+        if (t <= timeOfFlight) lower = psi; else upper = psi;
+        psi = (lower + upper) / 2;
+    }
+    if (!converged || !(y > 0)) return null;
+
+    const f = 1 - y / r1Norm;
+    const g = A * Math.sqrt(y / mu);
+    const gDot = 1 - y / r2Norm;
+    return {
+        v1: { x: (r2.x - f * r1.x) / g, y: (r2.y - f * r1.y) / g, z: (r2.z - f * r1.z) / g },
+        v2: { x: (gDot * r2.x - r1.x) / g, y: (gDot * r2.y - r1.y) / g, z: (gDot * r2.z - r1.z) / g }
+    };
+}
+
+//Earth-to-target transfer departing at departureJD and arriving at arrivalJD.
+//targetStateAt(JD) gives the target's heliocentric { position, velocity }.
+//Returns { departureJD, arrivalJD, timeOfFlight, c3, departureVInfinity, arrivalVInfinity, position, velocity }
+//with the spacecraft's heliocentric state just after departure, or null when no transfer exists.
+export function computeTransfer(targetStateAt, departureJD, arrivalJD) {
+    const earth = getPlanetState('Earth', departureJD);
+    const target = targetStateAt(arrivalJD);
+    const solution = solveLambert(earth.position, target.position, arrivalJD - departureJD);
+    if (!solution) return null;
+
+    const departureVInfinity = norm(subtract(solution.v1, earth.velocity)) * AU_PER_DAY_TO_KM_S;
+    const arrivalVInfinity = norm(subtract(solution.v2, target.velocity)) * AU_PER_DAY_TO_KM_S;
+    return {
+        departureJD,
+        arrivalJD,
+        timeOfFlight: arrivalJD - departureJD,
+        c3: departureVInfinity * departureVInfinity,
+        departureVInfinity,
+        arrivalVInfinity,
+        position: earth.position,
+        velocity: solution.v1
+    };
+}
+
+//Porkchop grid: transfers for every pair of departure and arrival dates (TDB JDs).
+//Pairs whose time of flight is below minTimeOfFlight days, or without a solution, are null.
+//Returns grid[i][j] for departureJDs[i] and arrivalJDs[j].
+export function computePorkchop(targetStateAt, departureJDs, arrivalJDs, { minTimeOfFlight = 1 } = {}) {
+    const targetStates = arrivalJDs.map(JD => targetStateAt(JD));
+    return departureJDs.map(departureJD => arrivalJDs.map((arrivalJD, j) => {
+        if (arrivalJD - departureJD < minTimeOfFlight) return null;
+        return computeTransfer(() => targetStates[j], departureJD, arrivalJD);
+    }));
+}
+
+//Heliocentric positions along a transfer, from departure to arrival in count points
+export function sampleTransfer(transfer, count = 200) {
+    const orbitParams = stateVectorToElements(transfer.position, transfer.velocity, transfer.departureJD);
+    return Array.from({ length: count }, (_, i) =>
+        elementsToStateVector(orbitParams, transfer.departureJD + transfer.timeOfFlight * i / (count - 1)).position);
+}
+
+//Iso-lines of a grid of values (null where undefined) by marching squares.
+//Returns, for each level, line segments [[i1, j1], [i2, j2]] in fractional grid indices.
+export function computeContours(grid, levels) {
+    return levels.map(level => {
+        const segments = [];
+        for (let i = 0; i < grid.length - 1; i++) {
+            for (let j = 0; j < grid[i].length - 1; j++) {
+                const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+                const values = corners.map(([a, b]) => grid[a][b]);
+                if (values.some(value => value === null || !isFinite(value))) continue;
+
+                const crossings = [];
+                for (let k = 0; k < 4; k++) {
+                    const v0 = values[k] - level;
+                    const v1 = values[(k + 1) % 4] - level;
+                    if ((v0 < 0) !== (v1 < 0)) {
+                        const t = v0 / (v0 - v1);
+                        const [a0, b0] = corners[k];
+                        const [a1, b1] = corners[(k + 1) % 4];
+                        crossings.push([a0 + t * (a1 - a0), b0 + t * (b1 - b0)]);
+                    }
+                }
+                // Two crossings give one segment; four (a saddle) are paired in edge order
+                for (let k = 0; k + 1 < crossings.length; k += 2) {
+                    segments.push([crossings[k], crossings[k + 1]]);
+                }
+            }
+        }
+        return { level, segments };
+    });
+}
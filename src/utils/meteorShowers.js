@@ -0,0 +1,110 @@
+import { getPlanetState } from './ephemerides.js';
+
+// Meteor shower activity from the IAU Meteor Data Center stream list (stream_dataIAU2022.json).
+// Solar longitudes are J2000.0 degrees, as in the IAU MDC. Each entry gives the radiant (Ra, De) at the
+// activity peak LoS, its daily drift (dRa, dDe, degrees per degree of solar longitude), the geocentric
+// speed Vg (km/s) and the activity window LoSb - LoSe.
+// The activity profile has the double-exponential shape of Jenniskens (1994), 10^(-B |LoS - peak|),
+// scaled to 1 at the peak and 0.1 at the edges of the listed window; the list has no ZHR.
+
+const DEG_TO_RAD = Math.PI / 180;
+const EDGE_ACTIVITY = 0.1;
+const MAX_WINDOW = 180; // degrees; longer windows in the list are placeholders (e.g. 0 - 359)
+const DAYS_PER_DEGREE = 365.25636 / 360; // mean motion of the Sun in solar longitude
+
+const normalizeDegrees = (angle) => ((angle % 360) + 360) % 360;
+
+//Signed difference to - from in degrees, in [-180, 180)
+const angleDifference = (to, from) => normalizeDegrees(to - from + 180) - 180;
+
+const toNumber = (value) => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isFinite(number) ? number : null;
+};
+
+//Geocentric ecliptic longitude of the Sun (degrees, J2000 equinox) at a TDB Julian date
+export function solarLongitude(JD) {
+    const earth = getPlanetState('Earth', JD).position;
+    return normalizeDegrees(Math.atan2(-earth.y, -earth.x) / DEG_TO_RAD);
+}
+
+//First TDB Julian date after JD at which the Sun reaches the given solar longitude
+export function nextSolarLongitudeDate(longitude, JD) {
+    let date = JD + normalizeDegrees(longitude - solarLongitude(JD)) * DAYS_PER_DEGREE;
+    for (let i = 0; i < 3; i++) {
+        date += angleDifference(longitude, solarLongitude(date)) * DAYS_PER_DEGREE;
+    }
+    return date;
+}
+
+//Shower parameters from a stream entry's extraParams, or null when the activity data are unusable
+export function parseShowerActivity(name, extraParams) {
+    const peak = toNumber(extraParams?.LoS);
+    const begin = toNumber(extraParams?.LoSb);
+    const end = toNumber(extraParams?.LoSe);
+    const ra = toNumber(extraParams?.Ra);
+    const dec = toNumber(extraParams?.De);
+    if (peak === null || begin === null || end === null || ra === null || dec === null
+        || normalizeDegrees(end - begin) > MAX_WINDOW) {
+        return null;
+    }
+
+    return {
+        name,
+        code: extraParams.Code,
+        designation: extraParams['showername-designation'] || name,
+        peak: normalizeDegrees(peak),
+        begin: normalizeDegrees(begin),
+        end: normalizeDegrees(end),
+        ra,
+        dec,
+        raDrift: toNumber(extraParams.dRa) || 0,
+        decDrift: toNumber(extraParams.dDe) || 0,
+        geocentricVelocity: toNumber(extraParams.Vg),
+        activityStart: extraParams.activity_start || null, // MM-DD
+        activityEnd: extraParams.activity_end || null
+    };
+}
+
+//Whether the solar longitude lies in the shower's activity window (which may wrap past 360)
+export function isShowerActive(shower, longitude) {
+    const span = normalizeDegrees(shower.end - shower.begin);
+    return normalizeDegrees(longitude - shower.begin) <= span;
+}
+
+//Activity relative to the peak (0-1) at a solar longitude; 0 outside the activity window
+export function showerActivity(shower, longitude) {
+    if (!isShowerActive(shower, longitude)) return 0;
+
+    const offset = angleDifference(longitude, shower.peak);
+    const halfWidth = offset < 0
+        ? angleDifference(shower.peak, shower.begin)
+        : angleDifference(shower.end, shower.peak);
+    if (!(halfWidth > 0)) return 1; // the peak sits on the window edge
+    const slope = -Math.log10(EDGE_ACTIVITY) / halfWidth;
+    return Math.min(1, Math.pow(10, -slope * Math.abs(offset)));
+}
+
+//Radiant (RA, Dec in degrees, J2000) at a solar longitude, drifted linearly from its position at the peak
+export function radiantAt(shower, longitude) {
+    const offset = angleDifference(longitude, shower.peak);
+    return {
+        ra: normalizeDegrees(shower.ra + shower.raDrift * offset),
+        dec: Math.max(-90, Math.min(90, shower.dec + shower.decDrift * offset))
+    };
+}
+
+//Showers active at a solar longitude, one entry per shower code (the most active of its solutions),
+//most active first: [{ shower, activity, radiant }]
+export function getActiveShowers(showers, longitude) {
+    const byCode = new Map();
+    showers.forEach(shower => {
+        const activity = showerActivity(shower, longitude);
+        if (activity <= 0) return;
+        const current = byCode.get(shower.code);
+        if (!current || activity > current.activity) {
+            byCode.set(shower.code, { shower, activity, radiant: radiantAt(shower, longitude) });
+        }
+    });
+    return [...byCode.values()].sort((a, b) => b.activity - a.activity);
+}
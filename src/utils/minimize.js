@@ -0,0 +1,42 @@
+// Minimum searches over a time window, shared by the close-approach and deflection searches.
+
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+//Golden-section search for the minimum of f on [lower, upper], to within tolerance.
+//Returns { x, value }.
+export function goldenSectionMinimum(f, lower, upper, tolerance) {
+    let x1 = upper - GOLDEN_RATIO * (upper - lower);
+    let x2 = lower + GOLDEN_RATIO * (upper - lower);
+    let f1 = f(x1), f2 = f(x2);
+    while (upper - lower > tolerance) {
+        if (f1 < f2) {
+            upper = x2; x2 = x1; f2 = f1;
+            x1 = upper - GOLDEN_RATIO * (upper - lower); f1 = f(x1);
+        } else {
+            lower = x1; x1 = x2; f1 = f2;
+            x2 = lower + GOLDEN_RATIO * (upper - lower); f2 = f(x2);
+        }
+    }
+    const x = (lower + upper) / 2;
+    return { x, value: f(x) };
+}
+
+//Local minima of f on [start, end]: f is sampled about every step and each sampled minimum is refined
+//between its neighbouring samples. With includeEnds, a window end lower than its neighbour counts as a
+//minimum too (the function is still falling there). Returns [{ x, value }] in order of x.
+export function findMinima(f, start, end, step, { tolerance, includeEnds = false }) {
+    const steps = Math.max(2, Math.ceil((end - start) / step));
+    const h = (end - start) / steps;
+    const values = Array.from({ length: steps + 1 }, (_, i) => f(start + i * h));
+    const outside = includeEnds ? Infinity : -Infinity;
+
+    const minima = [];
+    for (let i = 0; i <= steps; i++) {
+        const previous = i > 0 ? values[i - 1] : outside;
+        const next = i < steps ? values[i + 1] : outside;
+        if (values[i] <= previous && values[i] < next) {
+            minima.push(goldenSectionMinimum(f, start + Math.max(0, i - 1) * h, start + Math.min(steps, i + 1) * h, tolerance));
+        }
+    }
+    return minima;
+}
@@ -0,0 +1,181 @@
+import { MU_SUN } from './orbits.js';
+import { elementsToStateVector } from './stateVectors.js';
+import { getPlanetState, hasEphemeris } from './ephemerides.js';
+
+// Numerical propagation of small bodies in the heliocentric ecliptic J2000 frame (AU, AU/day, JD),
+// with the Sun as central body and planets as point-mass perturbers. Perturbers only need a
+// positionAt(JD) function, so their own motion can come from any ephemeris.
+
+const DEG_TO_RAD = Math.PI / 180;
+const SUN_MASS_KG = 1.98841e30;
+const MOON_MASS_KG = 7.342e22;
+
+export const STEP_POLICIES = {
+    ADAPTIVE: 'adaptive', // Dormand-Prince 5(4) with local error control
+    FIXED: 'fixed' // Dormand-Prince 5th-order solution with a constant step
+};
+
+const DEFAULT_OPTIONS = {
+    stepPolicy: STEP_POLICIES.ADAPTIVE,
+    tolerance: 1e-10, // relative and absolute local error per step (adaptive)
+    initialStep: 1, // days
+    minStep: 1e-6, // days
+    maxStep: 20, // days
+    fixedStep: 0.5, // days (fixed)
+    maxSteps: 200000
+};
+
+// Dormand-Prince 5(4) tableau
+const C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+//Builds point-mass perturbers from planet_data.json. Elements there are in degrees with JD epochs;
+//major planets follow the time-varying ephemeris, other bodies their fixed Keplerian orbit.
+//Saturn's "rings" entry is skipped so Saturn's mass is not counted twice.
+export function createPerturbers(planetsJson, { includeDwarfPlanets = false } = {}) {
+    const perturbers = [];
+    for (const [name, planetData] of Object.entries(planetsJson || {})) {
+        if (name === 'rings') continue;
+        if (!includeDwarfPlanets && planetData.renderParams?.is_dwarf) continue;
+
+        let massKg = planetData.extraParams?.mass_kg;
+        if (!massKg) continue;
+        if (name === 'Earth') massKg += MOON_MASS_KG; // Earth elements describe the Earth-Moon barycentre
+
+        const source = planetData.orbitParams;
+        const orbitParams = {
+            ...source,
+            inc: source.inc * DEG_TO_RAD,
+            node: source.node * DEG_TO_RAD,
+            peri: source.peri * DEG_TO_RAD,
+            ma: source.ma * DEG_TO_RAD
+        };
+        perturbers.push({
+            name,
+            mu: MU_SUN * massKg / SUN_MASS_KG,
+            positionAt: hasEphemeris(name)
+                ? (JD) => getPlanetState(name, JD).position
+                : (JD) => elementsToStateVector(orbitParams, JD).position
+        });
+    }
+    return perturbers;
+}
+
+//Heliocentric acceleration: Sun, direct planetary terms and the indirect term from the Sun's reflex motion
+function acceleration(JD, state, perturbers, out) {
+    const x = state[0], y = state[1], z = state[2];
+    const r3 = Math.pow(x * x + y * y + z * z, 1.5);
+    let ax = -MU_SUN * x / r3;
+    let ay = -MU_SUN * y / r3;
+    let az = -MU_SUN * z / r3;
+
+    for (const perturber of perturbers) {
+        const p = perturber.positionAt(JD);
+        const dx = p.x - x, dy = p.y - y, dz = p.z - z;
+        const d3 = Math.pow(dx * dx + dy * dy + dz * dz, 1.5);
+        const p3 = Math.pow(p.x * p.x + p.y * p.y + p.z * p.z, 1.5);
+        ax += perturber.mu * (dx / d3 - p.x / p3);
+        ay += perturber.mu * (dy / d3 - p.y / p3);
+        az += perturber.mu * (dz / d3 - p.z / p3);
+    }
+
+    out[0] = state[3];
+    out[1] = state[4];
+    out[2] = state[5];
+    out[3] = ax;
+    out[4] = ay;
+    out[5] = az;
+}
+
+//One Dormand-Prince step. Writes the 5th-order solution to next and returns the scaled error norm.
+function dormandPrinceStep(JD, state, h, perturbers, tolerance, next, stages, scratch) {
+    for (let s = 0; s < 7; s++) {
+        for (let k = 0; k < 6; k++) {
+            let sum = state[k];
+            for (let j = 0; j < s; j++) { sum += h * A[s][j] * stages[j][k] }
+            scratch[k] = sum;
+        }
+        acceleration(JD + C[s] * h, scratch, perturbers, stages[s]);
+    }
+
+    let errorNorm = 0;
+    for (let k = 0; k < 6; k++) {
+        let high = state[k];
+        let error = 0;
+        for (let s = 0; s < 7; s++) {
+            high += h * B5[s] * stages[s][k];
+            error += h * (B5[s] - B4[s]) * stages[s][k];
+        }
+        next[k] = high;
+        const scale = tolerance * (1 + Math.max(Math.abs(state[k]), Math.abs(high)));
+        errorNorm = Math.max(errorNorm, Math.abs(error) / scale);
+    }
+    return errorNorm;
+}
+
+//Propagates a state vector from startJD to each JD in outputJDs (in order, either direction).
+//Returns [{ JD, position, velocity }] in AU and AU/day.
+export function propagateState(state, startJD, outputJDs, perturbers = [], options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const adaptive = settings.stepPolicy !== STEP_POLICIES.FIXED;
+
+    const y = Float64Array.from([state.position.x, state.position.y, state.position.z, state.velocity.x, state.velocity.y, state.velocity.z]);
+    const next = new Float64Array(6);
+    const scratch = new Float64Array(6);
+    const stages = Array.from({ length: 7 }, () => new Float64Array(6));
+
+    let JD = startJD;
+    let h = adaptive ? settings.initialStep : settings.fixedStep;
+    let steps = 0;
+    const results = [];
+
+    for (const targetJD of outputJDs) {
+        const direction = Math.sign(targetJD - JD) || 1;
+
+        while ((targetJD - JD) * direction > 1e-12) {
+            if (++steps > settings.maxSteps) {
+                throw new Error(`N-body propagation exceeded ${settings.maxSteps} steps`);
+            }
+
+            const remaining = Math.abs(targetJD - JD);
+            const stepSize = Math.min(Math.abs(h), remaining);
+            const errorNorm = dormandPrinceStep(JD, y, direction * stepSize, perturbers, settings.tolerance, next, stages, scratch);
+
+            if (!adaptive) {
+                JD += direction * stepSize;
+                y.set(next);
+                continue;
+            }
+
+            if (errorNorm <= 1 || stepSize <= settings.minStep) {
+                JD += direction * stepSize;
+                y.set(next);
+            }
+            const factor = errorNorm === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(errorNorm, -0.2)));
+            h = Math.min(settings.maxStep, Math.max(settings.minStep, stepSize * factor));
+        }
+
+        results.push({
+            JD: targetJD,
+            position: { x: y[0], y: y[1], z: y[2] },
+            velocity: { x: y[3], y: y[4], z: y[5] }
+        });
+    }
+    return results;
+}
+
+//Propagates orbitParams (radians, epoch as JD) to each JD in outputJDs, starting from the osculating state at the epoch
+export function propagateOrbitNBody(orbitParams, outputJDs, perturbers = [], options = {}) {
+    const initialState = elementsToStateVector(orbitParams, orbitParams.epoch);
+    return propagateState(initialState, orbitParams.epoch, outputJDs, perturbers, options);
+}
@@ -0,0 +1,453 @@
+import { getPlanetState } from './ephemerides.js';
+import { computeRADec, equatorialToEcliptic, observerPosition, SPEED_OF_LIGHT_AU_PER_DAY } from './frames.js';
+import { isParabolic, MU_SUN } from './orbits.js';
+import { computePhotometry, diameterFromAbsoluteMagnitude } from './photometry.js';
+import { AU_PER_DAY_TO_KM_S, elementsToStateVector, stateVectorToElements } from './stateVectors.js';
+import { JDToMJD, MJDToJD, UTCToTDB } from './TimeUtils.js';
+import { choleskyDecomposition, ELEMENT_ORDER } from './uncertainty.js';
+import { add, cross, dot, scale } from './vectors.js';
+
+// Preliminary orbit determination from optical astrometry.
+// Observations are { MJD (UTC), ra, dec (degrees, astrometric J2000), observer, sigma }, where observer is
+// { latitude, longitude (deg, east positive), height (km) } or null for the geocentre and sigma is the
+// 1-sigma astrometric error in arcsec; an optional magnitude (apparent V) lets H and the diameter be estimated.
+// Gauss's method on three of the observations gives a first
+// state vector, which is corrected differentially (with light-time) until it reproduces them; when more
+// observations are given, the state is then fitted to all of them by least squares. Motion is two-body and Earth comes from the approximate ephemeris (the Earth-Moon barycentre),
+// so the result is a preliminary orbit, good enough to place a new object and follow it up.
+// Results use the shape of risk_list_neo_data.json: degrees and an MJD (TDB) epoch, and extraParams with its
+// keys (diameter in metres from H with the Sentry albedo, 'PS max' and 'IP max' null until a risk analysis).
+
+const DEG_TO_RAD = Math.PI / 180;
+const ARCSEC_TO_RAD = DEG_TO_RAD / 3600;
+const DEFAULT_SIGMA = 1; // arcsec
+const ROOT_SCAN_MIN = 0.005; // AU, range of heliocentric distances searched for Gauss roots
+const ROOT_SCAN_MAX = 100;
+const ROOT_SCAN_POINTS = 2000;
+const GAUSS_MAX_ITERATIONS = 50;
+const GAUSS_TOLERANCE = 1e-12; // AU
+const MIN_TOPOCENTRIC_DISTANCE = 1e-6; // AU; smaller roots are the observer's own orbit
+const LSQ_MAX_ITERATIONS = 50;
+const LSQ_TOLERANCE = 1e-10; // relative change of the cost
+const MAX_EXCESS_SPEED = 100; // km/s; faster hyperbolic solutions are artefacts (interstellar objects reach ~30)
+const DUPLICATE_ECCENTRICITY = 0.01; // candidates closer than this in e and inclination are the same orbit
+const DUPLICATE_INCLINATION = 0.1; // degrees
+const POSITION_STEP = 1e-7; // relative finite-difference steps for the Jacobian
+const VELOCITY_STEP = 1e-7;
+
+const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+
+//Two-body state (AU, AU/day) at JD from a state at JD0
+function propagateTwoBody(position, velocity, JD0, JD) {
+    return elementsToStateVector(stateVectorToElements(position, velocity, JD0), JD);
+}
+
+//Exact Lagrange coefficients f, g with r(JD0 + dt) = f r0 + g v0
+function lagrangeCoefficients(position, velocity, dt) {
+    const { position: r } = propagateTwoBody(position, velocity, 0, dt);
+    const rr = dot(position, position), rv = dot(position, velocity), vv = dot(velocity, velocity);
+    const a = dot(r, position), b = dot(r, velocity);
+    const determinant = rr * vv - rv * rv;
+    return { f: (a * vv - b * rv) / determinant, g: (b * rr - a * rv) / determinant };
+}
+
+//Observation times, line of sight (ecliptic unit vector) and heliocentric observer position
+function prepareObservation(observation) {
+    const ra = observation.ra * DEG_TO_RAD;
+    const dec = observation.dec * DEG_TO_RAD;
+    const JD_UT = MJDToJD(observation.MJD);
+    const JD = MJDToJD(UTCToTDB(observation.MJD));
+    const earthPosition = getPlanetState('Earth', JD).position;
+    const observer = observation.observer || null;
+    const site = observer ? add(earthPosition, equatorialToEcliptic(observerPosition(observer, JD_UT))) : earthPosition;
+
+    return {
+        ...observation,
+        raRad: ra,
+        decRad: dec,
+        JD,
+        JD_UT,
+        earthPosition,
+        observer,
+        site,
+        direction: equatorialToEcliptic({ x: Math.cos(dec) * Math.cos(ra), y: Math.cos(dec) * Math.sin(ra), z: Math.sin(dec) }),
+        weight: 1 / ((observation.sigma || DEFAULT_SIGMA) * ARCSEC_TO_RAD)
+    };
+}
+
+//Positive roots of Gauss's eighth-degree equation r^8 + a r^6 + b r^3 + c = 0
+function findGaussRoots(a, b, c) {
+    const polynomial = (r) => r ** 8 + a * r ** 6 + b * r ** 3 + c;
+    const roots = [];
+    const ratio = Math.pow(ROOT_SCAN_MAX / ROOT_SCAN_MIN, 1 / ROOT_SCAN_POINTS);
+    let lower = ROOT_SCAN_MIN;
+    for (let i = 0; i < ROOT_SCAN_POINTS; i++) {
+        let upper = lower * ratio;
+        if (Math.sign(polynomial(lower)) !== Math.sign(polynomial(upper))) {
+            let left = lower, right = upper;
+            for (let j = 0; j < 100; j++) {
+                const middle = (left + right) / 2;
+                if (Math.sign(polynomial(middle)) === Math.sign(polynomial(left))) left = middle; else right = middle;
+            }
+            roots.push((left + right) / 2);
+        }
+        lower = upper;
+    }
+    return roots;
+}
+
+//Gauss's method on three prepared observations (Curtis, Orbital Mechanics for Engineering Students,
+//algorithms 5.5 and 5.6). Returns starting heliocentric states at the light-time corrected second epoch
+//for every admissible root: [{ position, velocity, JD, cost }].
+function gaussSolutions([first, second, third]) {
+    const [L1, L2, L3] = [first.direction, second.direction, third.direction];
+    const [R1, R2, R3] = [first.site, second.site, third.site];
+
+    const p1 = cross(L2, L3), p2 = cross(L1, L3), p3 = cross(L1, L2);
+    const D0 = dot(L1, p1);
+    if (Math.abs(D0) < 1e-14) {
+        throw new Error('Observations are coplanar with the observer; Gauss\'s method needs more curvature');
+    }
+    const D = [R1, R2, R3].map(R => [dot(R, p1), dot(R, p2), dot(R, p3)]);
+
+    const tau1 = first.JD - second.JD;
+    const tau3 = third.JD - second.JD;
+    const tau = tau3 - tau1;
+    const A = (-D[0][1] * tau3 / tau + D[1][1] + D[2][1] * tau1 / tau) / D0;
+    const B = (D[0][1] * (tau3 * tau3 - tau * tau) * tau3 / tau + D[2][1] * (tau * tau - tau1 * tau1) * tau1 / tau) / (6 * D0);
+    const E = dot(R2, L2);
+    const R2Squared = dot(R2, R2);
+
+    const roots = findGaussRoots(-(A * A + 2 * A * E + R2Squared), -2 * MU_SUN * B * (A + E), -MU_SUN * MU_SUN * B * B);
+
+    const solutions = [];
+    roots.forEach(r2 => {
+        const r2Cubed = r2 * r2 * r2;
+        let rho = [
+            ((6 * (D[2][0] * tau1 / tau3 + D[1][0] * tau / tau3) * r2Cubed + MU_SUN * D[2][0] * (tau * tau - tau1 * tau1) * tau1 / tau3)
+                / (6 * r2Cubed + MU_SUN * (tau * tau - tau3 * tau3)) - D[0][0]) / D0,
+            A + MU_SUN * B / r2Cubed,
+            ((6 * (D[0][2] * tau3 / tau1 - D[1][2] * tau / tau1) * r2Cubed + MU_SUN * D[0][2] * (tau * tau - tau3 * tau3) * tau3 / tau1)
+                / (6 * r2Cubed + MU_SUN * (tau * tau - tau1 * tau1)) - D[2][2]) / D0
+        ];
+
+        // Truncated f and g series for the first estimate, then the classical improvement with exact
+        // f and g and light-time. The improvement is a fixed-point iteration that can drift away from
+        // the solution on short arcs, so both the first estimate and the iterate that fits the three
+        // observations best are returned as starting points.
+        let f1 = 1 - MU_SUN * tau1 * tau1 / (2 * r2Cubed);
+        let f3 = 1 - MU_SUN * tau3 * tau3 / (2 * r2Cubed);
+        let g1 = tau1 - MU_SUN * tau1 ** 3 / (6 * r2Cubed);
+        let g3 = tau3 - MU_SUN * tau3 ** 3 / (6 * r2Cubed);
+
+        let initial = null, best = null;
+        for (let iteration = 0; iteration < GAUSS_MAX_ITERATIONS; iteration++) {
+            if (!rho.every(value => value > MIN_TOPOCENTRIC_DISTANCE)) break;
+            const r1 = add(R1, scale(L1, rho[0]));
+            const r2Vector = add(R2, scale(L2, rho[1]));
+            const r3 = add(R3, scale(L3, rho[2]));
+            const velocity = scale(add(scale(r1, -f3), scale(r3, f1)), 1 / (f1 * g3 - f3 * g1));
+            if (![velocity.x, velocity.y, velocity.z].every(isFinite)) break;
+
+            const JD = second.JD - rho[1] / SPEED_OF_LIGHT_AU_PER_DAY;
+            const cost = sumOfSquares(weightedResiduals([first, second, third],
+                [r2Vector.x, r2Vector.y, r2Vector.z, velocity.x, velocity.y, velocity.z], JD));
+            if (!isFinite(cost)) break;
+            const state = { position: r2Vector, velocity, JD, cost };
+            if (!initial) initial = state;
+            if (!best || cost < best.cost) best = state;
+
+            const lightTime = rho.map(value => value / SPEED_OF_LIGHT_AU_PER_DAY);
+            const exact1 = lagrangeCoefficients(r2Vector, velocity, tau1 - lightTime[0] + lightTime[1]);
+            const exact3 = lagrangeCoefficients(r2Vector, velocity, tau3 - lightTime[2] + lightTime[1]);
+            f1 = (f1 + exact1.f) / 2;
+            g1 = (g1 + exact1.g) / 2;
+            f3 = (f3 + exact3.f) / 2;
+            g3 = (g3 + exact3.g) / 2;
+
+            const c1 = g3 / (f1 * g3 - f3 * g1);
+            const c3 = -g1 / (f1 * g3 - f3 * g1);
+            const next = [
+                (-D[0][0] + D[1][0] / c1 - D[2][0] * c3 / c1) / D0,
+                (-c1 * D[0][1] + D[1][1] - c3 * D[2][1]) / D0,
+                (-D[0][2] * c1 / c3 + D[1][2] / c3 - D[2][2]) / D0
+            ];
+            const change = Math.max(...next.map((value, i) => Math.abs(value - rho[i])));
+            rho = next;
+            if (change < GAUSS_TOLERANCE) break;
+        }
+        if (initial) solutions.push(initial);
+        if (best && best !== initial) solutions.push(best);
+    });
+    return solutions;
+}
+
+//Residuals (observed - computed, radians) in RA cos(dec) and dec of one observation for a state at JD0
+function computeResidual(observation, position, velocity, JD0) {
+    const positionAt = (JD) => propagateTwoBody(position, velocity, JD0, JD).position;
+    const computed = computeRADec(positionAt, observation.JD, observation.earthPosition, {
+        lightTime: true,
+        observer: observation.observer,
+        JD_UT: observation.JD_UT
+    });
+    return {
+        ra: wrapAngle(observation.raRad - computed.ra) * Math.cos(observation.decRad),
+        dec: observation.decRad - computed.dec
+    };
+}
+
+//Weighted residual vector [ra1, dec1, ra2, dec2, ...] of a state [x, y, z, vx, vy, vz]
+function weightedResiduals(observations, state, JD0) {
+    const position = { x: state[0], y: state[1], z: state[2] };
+    const velocity = { x: state[3], y: state[4], z: state[5] };
+    const residuals = [];
+    observations.forEach(observation => {
+        const residual = computeResidual(observation, position, velocity, JD0);
+        residuals.push(residual.ra * observation.weight, residual.dec * observation.weight);
+    });
+    return residuals;
+}
+
+const sumOfSquares = (values) => values.reduce((sum, value) => sum + value * value, 0);
+
+//Solves the symmetric positive-definite system matrix x = vector
+function solveSymmetric(matrix, vector) {
+    const L = choleskyDecomposition(matrix);
+    const n = vector.length;
+    const y = new Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = vector[i];
+        for (let k = 0; k < i; k++) { sum -= L[i][k] * y[k] }
+        y[i] = sum / L[i][i];
+    }
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let k = i + 1; k < n; k++) { sum -= L[k][i] * x[k] }
+        x[i] = sum / L[i][i];
+    }
+    return x;
+}
+
+function invertSymmetric(matrix) {
+    const n = matrix.length;
+    const columns = Array.from({ length: n }, (_, j) => solveSymmetric(matrix, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0))));
+    return Array.from({ length: n }, (_, i) => columns.map(column => column[i]));
+}
+
+//Central-difference Jacobian of a vector function at x, with one step per component
+function numericalJacobian(fn, x, steps) {
+    const columns = x.map((_, j) => {
+        const plus = [...x], minus = [...x];
+        plus[j] += steps[j];
+        minus[j] -= steps[j];
+        const high = fn(plus), low = fn(minus);
+        return high.map((value, i) => (value - low[i]) / (2 * steps[j]));
+    });
+    return columns[0].map((_, i) => columns.map(column => column[i]));
+}
+
+function jacobianSteps(state) {
+    const r = Math.hypot(state[0], state[1], state[2]);
+    const v = Math.hypot(state[3], state[4], state[5]);
+    return [r, r, r, v, v, v].map((size, i) => (i < 3 ? POSITION_STEP : VELOCITY_STEP) * size);
+}
+
+//Levenberg-Marquardt fit of the state at JD0 to all observations.
+//Returns the fitted state and its covariance (AU, AU/day).
+function leastSquares(observations, initialState, JD0) {
+    let state = [...initialState];
+    let residuals = weightedResiduals(observations, state, JD0);
+    let cost = sumOfSquares(residuals);
+    let damping = 1e-3;
+    let normalMatrix = null;
+
+    for (let iteration = 0; iteration < LSQ_MAX_ITERATIONS; iteration++) {
+        const J = numericalJacobian(x => weightedResiduals(observations, x, JD0), state, jacobianSteps(state));
+        normalMatrix = state.map((_, i) => state.map((_, j) => J.reduce((sum, row) => sum + row[i] * row[j], 0)));
+        const gradient = state.map((_, i) => J.reduce((sum, row, k) => sum + row[i] * residuals[k], 0));
+
+        let improved = false;
+        while (damping < 1e12) {
+            const damped = normalMatrix.map((row, i) => row.map((value, j) => (i === j ? value * (1 + damping) : value)));
+            let step;
+            try {
+                step = solveSymmetric(damped, gradient);
+            } catch {
+                damping *= 10;
+                continue;
+            }
+            const candidate = state.map((value, i) => value - step[i]);
+            const candidateResiduals = weightedResiduals(observations, candidate, JD0);
+            const candidateCost = sumOfSquares(candidateResiduals);
+            if (isFinite(candidateCost) && candidateCost <= cost) {
+                const change = (cost - candidateCost) / Math.max(cost, Number.MIN_VALUE);
+                state = candidate;
+                residuals = candidateResiduals;
+                cost = candidateCost;
+                damping = Math.max(damping / 10, 1e-9);
+                improved = change > LSQ_TOLERANCE;
+                break;
+            }
+            damping *= 10;
+        }
+        if (!improved) break;
+    }
+
+    let covariance = null;
+    try {
+        covariance = invertSymmetric(normalMatrix);
+    } catch {
+        console.warn('Orbit determination: the normal matrix is singular, no covariance available');
+    }
+    return { state, covariance };
+}
+
+//Whether a heliocentric state leaves the Sun no faster than maxExcessSpeed (km/s); the default rejects
+//solutions faster than any known interstellar object, 0 accepts bound orbits only
+function isPlausibleState(state, maxExcessSpeed = MAX_EXCESS_SPEED) {
+    const r = Math.hypot(state[0], state[1], state[2]);
+    const energy = (state[3] ** 2 + state[4] ** 2 + state[5] ** 2) / 2 - MU_SUN / r;
+    return energy < 0 || Math.sqrt(2 * energy) * AU_PER_DAY_TO_KM_S <= maxExcessSpeed;
+}
+
+//orbitParams (radians, JD epoch) -> risk_list_neo_data.json shape (degrees, MJD epoch)
+function toDataOrbitParams(orbitParams) {
+    const degrees = (angle) => ((angle / DEG_TO_RAD) % 360 + 360) % 360;
+    const result = {
+        epoch: JDToMJD(orbitParams.epoch),
+        a: orbitParams.a,
+        e: orbitParams.e,
+        inc: orbitParams.inc / DEG_TO_RAD,
+        node: degrees(orbitParams.node),
+        peri: degrees(orbitParams.peri),
+        ma: orbitParams.e < 1 ? degrees(orbitParams.ma) : orbitParams.ma / DEG_TO_RAD
+    };
+    if (isParabolic(orbitParams.e)) result.q = orbitParams.q;
+    return result;
+}
+
+//Element covariance (AU and degrees, in ELEMENT_ORDER) from a state covariance at JD0, mapped to the epoch
+function elementCovariance(state, stateCovariance, JD0, epochJD) {
+    const elementsOf = (x) => {
+        const { position, velocity } = propagateTwoBody(
+            { x: x[0], y: x[1], z: x[2] }, { x: x[3], y: x[4], z: x[5] }, JD0, epochJD);
+        const orbitParams = stateVectorToElements(position, velocity, epochJD);
+        return ELEMENT_ORDER.map(element => (element === 'a' || element === 'e' ? orbitParams[element] : orbitParams[element] / DEG_TO_RAD));
+    };
+    const nominal = elementsOf(state);
+    // Angles are differenced through wrapAngle so a step across 0/360 degrees stays small
+    const J = numericalJacobian(x => elementsOf(x).map((value, i) => (i < 2 ? value : nominal[i] + wrapAngle((value - nominal[i]) * DEG_TO_RAD) / DEG_TO_RAD)),
+        state, jacobianSteps(state));
+    return J.map(rowI => J.map(rowJ => rowI.reduce((sum, value, k) => sum + value * stateCovariance[k].reduce((inner, c, l) => inner + c * rowJ[l], 0), 0)));
+}
+
+//Mean absolute magnitude H implied by the observations with a magnitude, or null when none has one
+function estimateAbsoluteMagnitude(observations, position, velocity, JD0) {
+    const estimates = observations.filter(observation => isFinite(observation.magnitude)).map(observation => {
+        const bodyPosition = propagateTwoBody(position, velocity, JD0, observation.JD).position;
+        return observation.magnitude - computePhotometry(bodyPosition, observation.site, 0).magnitude;
+    });
+    return estimates.length > 0 ? estimates.reduce((sum, H) => sum + H, 0) / estimates.length : null;
+}
+
+//Near-Earth asteroid group from perihelion and aphelion distances, or null for orbits that are not NEOs
+export function classifyNEO(orbitParams) {
+    const q = orbitParams.a * (1 - orbitParams.e);
+    const Q = orbitParams.a * (1 + orbitParams.e);
+    if (orbitParams.e >= 1 || q >= 1.3) return null;
+    if (orbitParams.a < 1) return Q > 0.983 ? 'ATE' : 'IEO';
+    return q < 1.017 ? 'APO' : 'AMO';
+}
+
+//Preliminary orbit from three or more observations (see the header for their shape).
+//Options: epoch (MJD TDB) of the returned elements, defaulting to the middle observation; refine = false
+//to skip the least-squares fit of longer observation sets; H, a known absolute magnitude that takes
+//precedence over the one estimated from the observed magnitudes.
+//Returns { orbitParams, extraParams, residuals (arcsec, per observation), rms (arcsec), covariance, method,
+//alternatives } where orbitParams and extraParams can be added to risk_list_neo_data.json as they are,
+//covariance is in the units of utils/uncertainty.js and alternatives holds the orbitParams of other
+//solutions that fit as well (common with three observations over a short arc). Throws when no orbit
+//fits the observations.
+export function determineOrbit(observations, { epoch = null, refine = true, H = null } = {}) {
+    if (!Array.isArray(observations) || observations.length < 3) {
+        throw new Error('Orbit determination needs at least three observations');
+    }
+    const prepared = observations
+        .filter(observation => [observation.MJD, observation.ra, observation.dec].every(isFinite))
+        .map(prepareObservation)
+        .sort((a, b) => a.JD - b.JD);
+    if (prepared.length < 3 || prepared[prepared.length - 1].JD - prepared[0].JD <= 0) {
+        throw new Error('Orbit determination needs at least three valid observations at different times');
+    }
+
+    // Gauss uses the first, the last and the observation closest to the middle of the arc
+    const middleJD = (prepared[0].JD + prepared[prepared.length - 1].JD) / 2;
+    const middle = prepared.slice(1, -1).reduce((best, observation) =>
+        (Math.abs(observation.JD - middleJD) < Math.abs(best.JD - middleJD) ? observation : best));
+    const referenceJD = middle.JD;
+    const epochJD = epoch !== null ? MJDToJD(epoch) : referenceJD;
+
+    const useLeastSquares = refine && prepared.length > 3;
+    const gaussObservations = [prepared[0], middle, prepared[prepared.length - 1]];
+    const fitted = useLeastSquares ? prepared : gaussObservations;
+    const candidates = gaussSolutions(gaussObservations).map(solution => {
+        const { position, velocity } = propagateTwoBody(solution.position, solution.velocity, solution.JD, referenceJD);
+        let fit = leastSquares(gaussObservations, [position.x, position.y, position.z, velocity.x, velocity.y, velocity.z], referenceJD);
+        if (useLeastSquares) {
+            fit = leastSquares(prepared, fit.state, referenceJD);
+        }
+        return { ...fit, cost: sumOfSquares(weightedResiduals(fitted, fit.state, referenceJD)) };
+    }).filter(candidate => isFinite(candidate.cost) && isPlausibleState(candidate.state));
+
+    if (candidates.length === 0) {
+        throw new Error('No preliminary orbit fits these observations');
+    }
+    // Gauss's equation may have several admissible roots. Of the orbits that fit within the astrometric
+    // errors, bound ones are preferred (three observations are often fitted exactly by a hyperbola too);
+    // the others that fit are listed as alternatives.
+    const fitsWithinErrors = (candidate) => candidate.cost <= 2 * fitted.length;
+    const isBound = (candidate) => isPlausibleState(candidate.state, 0);
+    candidates.sort((a, b) => (fitsWithinErrors(b) - fitsWithinErrors(a)) || (isBound(b) - isBound(a)) || (a.cost - b.cost));
+    const best = candidates[0];
+    const toOrbitParams = ({ state }) => {
+        const atEpoch = propagateTwoBody({ x: state[0], y: state[1], z: state[2] }, { x: state[3], y: state[4], z: state[5] }, referenceJD, epochJD);
+        return toDataOrbitParams(stateVectorToElements(atEpoch.position, atEpoch.velocity, epochJD));
+    };
+    const orbitParams = toOrbitParams(best);
+    const alternatives = [];
+    candidates.slice(1).filter(fitsWithinErrors).forEach(candidate => {
+        const alternative = toOrbitParams(candidate);
+        const isDuplicate = [orbitParams, ...alternatives].some(other =>
+            Math.abs(other.e - alternative.e) < DUPLICATE_ECCENTRICITY && Math.abs(other.inc - alternative.inc) < DUPLICATE_INCLINATION);
+        if (!isDuplicate) alternatives.push(alternative);
+    });
+
+    const position = { x: best.state[0], y: best.state[1], z: best.state[2] };
+    const velocity = { x: best.state[3], y: best.state[4], z: best.state[5] };
+    const residuals = prepared.map(observation => {
+        const residual = computeResidual(observation, position, velocity, referenceJD);
+        return { MJD: observation.MJD, ra: residual.ra / ARCSEC_TO_RAD, dec: residual.dec / ARCSEC_TO_RAD };
+    });
+    const rms = Math.sqrt(residuals.reduce((sum, residual) => sum + residual.ra ** 2 + residual.dec ** 2, 0) / (2 * residuals.length));
+
+    const neoClass = classifyNEO(orbitParams);
+    const absoluteMagnitude = H !== null && isFinite(H) ? H : estimateAbsoluteMagnitude(prepared, position, velocity, referenceJD);
+    const extraParams = {
+        ...(neoClass ? { type: 'NEA', class: neoClass } : {}),
+        H: absoluteMagnitude,
+        diameter: absoluteMagnitude !== null ? Math.round(diameterFromAbsoluteMagnitude(absoluteMagnitude) * 1000) : null,
+        diameter_based_on_magnitude: true,
+        'PS max': null,
+        'IP max': null
+    };
+    return {
+        orbitParams,
+        extraParams,
+        residuals,
+        rms,
+        covariance: best.covariance ? elementCovariance(best.state, best.covariance, referenceJD, epochJD) : null,
+        method: useLeastSquares ? 'least-squares' : 'gauss',
+        alternatives
+    };
+}
@@ -1,17 +1,51 @@
 import * as THREE from 'three';
+import { eclipticToScene, eclipticToSceneArray } from './frames.js';
 
-export function createOrbit(orbitParams, color, n_mesh_points) {
-    // Validate input parameters
-    if (!orbitParams || typeof orbitParams.a !== 'number' || isNaN(orbitParams.a) || 
-        typeof orbitParams.e !== 'number' || isNaN(orbitParams.e) ||
-        typeof orbitParams.inc !== 'number' || isNaN(orbitParams.inc) ||
-        typeof orbitParams.node !== 'number' || isNaN(orbitParams.node) ||
-        typeof orbitParams.peri !== 'number' || isNaN(orbitParams.peri)) {
-        console.error('Invalid orbit parameters:', orbitParams);
-        return null;
+export const MU_SUN = 0.0002959122082855911; // Gaussian gravitational constant squared, AU^3/day^2
+const PARABOLIC_TOLERANCE = 1e-9; // |e - 1| below which an orbit is treated as exactly parabolic
+const OPEN_ORBIT_TIME_WINDOW = 3652.5; // days either side of perihelion drawn for open orbits
+const KEPLER_MAX_ITERATIONS = 12;
+const KEPLER_TOLERANCE = 1e-14; // radians
+const BATCH_FIELDS = ['a', 'e', 'inc', 'node', 'peri', 'ma', 'epoch', 'q'];
+const MOID_GRID_POINTS = 120; // samples per orbit in the coarse MOID scan
+const MOID_MAX_CANDIDATES = 8; // coarse minima refined per MOID computation
+const MOID_MAX_RADIUS = 100; // AU, where open orbits are cut off for the MOID search
+
+export function isParabolic(e) { return Math.abs(e - 1) < PARABOLIC_TOLERANCE }
+
+export function isOpenOrbit(e) { return e >= 1 - PARABOLIC_TOLERANCE }
+
+//Perihelion distance of any conic. Parabolic orbits have no finite semi-major axis, so they must carry q directly.
+//Hyperbolic orbits are accepted with either sign convention for a (JPL uses a < 0).
+export function getPerihelionDistance(orbitParams) {
+    if (typeof orbitParams.q === 'number' && isFinite(orbitParams.q)) { return orbitParams.q }
+    return Math.abs(orbitParams.a) * Math.abs(1 - orbitParams.e);
+}
+
+//Largest true anomaly (radians) an orbit can reach. Open orbits only get arbitrarily close to it, closed orbits reach pi.
+export function getTrueAnomalyLimit(e) {
+    if (e < 1 - PARABOLIC_TOLERANCE) { return Math.PI }
+    if (isParabolic(e)) { return Math.PI }
+    return Math.acos(-1 / e);
+}
+
+//Semi-latus rectum p = q(1 + e), the one shape parameter that stays finite for every conic
+export function getSemiLatusRectum(orbitParams) {
+    return getPerihelionDistance(orbitParams) * (1 + orbitParams.e);
+}
+
+//Mean motion in rad/day. For parabolic orbits this is the "parabolic mean motion" sqrt(mu / (2 q^3)),
+//so that the mean anomaly M satisfies Barker's equation M = D + D^3/3 with D = tan(trueAnomaly/2).
+export function getMeanMotion(orbitParams) {
+    if (isParabolic(orbitParams.e)) {
+        const q = getPerihelionDistance(orbitParams);
+        return Math.sqrt(MU_SUN / (2 * q ** 3));
     }
+    return Math.sqrt(MU_SUN / Math.abs(orbitParams.a ** 3));
+}
 
-    const orbit_segment_const = 2 * Math.PI / n_mesh_points;
+//Rotation from the orbital plane (perihelion along +x) to heliocentric ecliptic coordinates
+export function computeTransformMatrix(orbitParams) {
     const cosNode = Math.cos(orbitParams.node);
     const sinNode = Math.sin(orbitParams.node);
     const cosPeri = Math.cos(orbitParams.peri);
@@ -22,33 +56,88 @@ export function createOrbit(orbitParams, color, n_mesh_points) {
     const row1 = [cosPeri * cosNode - cosInc * sinPeri * sinNode, -cosNode * sinPeri - cosInc * cosPeri * sinNode, sinInc * sinNode];
     const row2 = [cosPeri * sinNode + cosInc * cosNode * sinPeri, -sinPeri * sinNode + cosInc * cosPeri * cosNode, -sinInc * cosNode];
     const row3 = [sinInc * sinPeri, sinInc * cosPeri, cosInc];
-    const matrix = [row1, row2, row3];
-
-    orbitParams['transformMatrix'] = matrix;
+    return [row1, row2, row3];
+}
 
+//Points in the orbital plane (perihelion along +x) for the drawn part of the orbit.
+//Closed orbits are sampled uniformly in eccentric anomaly; open orbits are sampled over
+//+/- timeWindow days around perihelion, uniformly in hyperbolic anomaly or in tan(trueAnomaly/2).
+function sampleOrbitPlane(orbitParams, n_mesh_points, timeWindow) {
+    const e = orbitParams.e;
     const points = [];
-    const b = orbitParams.a * Math.sqrt(1 - orbitParams.e ** 2); // Semi-minor axis
 
-    for (let i = 0; i <= n_mesh_points; i++) {
-        const eccentric_anomaly = orbit_segment_const * i; // Angle
-        const xOrb = orbitParams.a * (Math.cos(eccentric_anomaly) - orbitParams.e);
-        const yOrb = b * Math.sin(eccentric_anomaly);
+    if (!isOpenOrbit(e)) {
+        const orbit_segment_const = 2 * Math.PI / n_mesh_points;
+        const b = orbitParams.a * Math.sqrt(1 - e ** 2); // Semi-minor axis
+        for (let i = 0; i <= n_mesh_points; i++) {
+            const eccentric_anomaly = orbit_segment_const * i; // Angle
+            points.push([orbitParams.a * (Math.cos(eccentric_anomaly) - e), b * Math.sin(eccentric_anomaly)]);
+        }
+        return points;
+    }
 
-        const xCamera = matrix[0][0] * xOrb + matrix[0][1] * yOrb;
-        const yCamera = matrix[1][0] * xOrb + matrix[1][1] * yOrb;
-        const zCamera = matrix[2][0] * xOrb + matrix[2][1] * yOrb;
+    const q = getPerihelionDistance(orbitParams);
+    const maxMeanAnomaly = getMeanMotion(orbitParams) * timeWindow;
 
-        points.push(new THREE.Vector3(xCamera, zCamera, -yCamera));
+    if (isParabolic(e)) {
+        const maxD = solveBarker(maxMeanAnomaly);
+        for (let i = 0; i <= n_mesh_points; i++) {
+            const D = -maxD + 2 * maxD * i / n_mesh_points;
+            points.push([q * (1 - D * D), 2 * q * D]);
+        }
+        return points;
+    }
+
+    const absA = q / (e - 1);
+    const b = absA * Math.sqrt(e ** 2 - 1); // Semi-conjugate axis
+    const maxH = solveHyperbolicKepler(e, maxMeanAnomaly);
+    for (let i = 0; i <= n_mesh_points; i++) {
+        const H = -maxH + 2 * maxH * i / n_mesh_points;
+        points.push([absA * (e - Math.cosh(H)), b * Math.sinh(H)]);
+    }
+    return points;
+}
+
+export function createOrbit(orbitParams, color, n_mesh_points, timeWindow = OPEN_ORBIT_TIME_WINDOW) {
+    // Validate input parameters
+    const hasShape = isParabolic(orbitParams?.e) ?
+        (typeof orbitParams.q === 'number' && orbitParams.q > 0) :
+        (typeof orbitParams?.a === 'number' && !isNaN(orbitParams.a));
+    if (!orbitParams || !hasShape ||
+        typeof orbitParams.e !== 'number' || isNaN(orbitParams.e) ||
+        typeof orbitParams.inc !== 'number' || isNaN(orbitParams.inc) ||
+        typeof orbitParams.node !== 'number' || isNaN(orbitParams.node) ||
+        typeof orbitParams.peri !== 'number' || isNaN(orbitParams.peri)) {
+        console.error('Invalid orbit parameters:', orbitParams);
+        return null;
     }
 
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const geometry = new THREE.BufferGeometry().setFromPoints(getOrbitPoints(orbitParams, n_mesh_points, timeWindow));
     const material = new THREE.LineBasicMaterial({ color: color });
     return new THREE.Line(geometry, material);
 }
 
-export function getOrbitPosition(a, e, trueAnomaly, matrix) {
+//Scene-space points (THREE.Vector3) along the drawn part of an orbit, as used by createOrbit.
+//Caches the orbit's transformMatrix on orbitParams.
+export function getOrbitPoints(orbitParams, n_mesh_points, timeWindow = OPEN_ORBIT_TIME_WINDOW) {
+    const matrix = computeTransformMatrix(orbitParams);
+    orbitParams['transformMatrix'] = matrix;
+
+    return sampleOrbitPlane(orbitParams, n_mesh_points, timeWindow).map(([xOrb, yOrb]) => {
+        const ecliptic = {
+            x: matrix[0][0] * xOrb + matrix[0][1] * yOrb,
+            y: matrix[1][0] * xOrb + matrix[1][1] * yOrb,
+            z: matrix[2][0] * xOrb + matrix[2][1] * yOrb
+        };
+        return eclipticToScene(ecliptic, new THREE.Vector3());
+    });
+}
+
+//q is only needed for parabolic orbits, where a is not finite
+export function getOrbitPosition(a, e, trueAnomaly, matrix, q) {
     // Validate input parameters
-    if (typeof a !== 'number' || isNaN(a) || typeof e !== 'number' || isNaN(e) || 
+    const hasShape = isParabolic(e) ? (typeof q === 'number' && q > 0) : (typeof a === 'number' && !isNaN(a));
+    if (!hasShape || typeof e !== 'number' || isNaN(e) || 
         typeof trueAnomaly !== 'number' || isNaN(trueAnomaly) || !matrix) {
         console.error('Invalid parameters for getOrbitPosition:', { a, e, trueAnomaly, matrix });
         return new THREE.Vector3(0, 0, 0);
@@ -56,86 +145,307 @@ export function getOrbitPosition(a, e, trueAnomaly, matrix) {
 
     const cosTA = Math.cos(trueAnomaly);
     const sinTA = Math.sin(trueAnomaly);
-    const radius = a * (1 - e * e) / (1 + e * cosTA);
+    const denominator = 1 + e * cosTA;
+    if (denominator <= 0) {
+        console.error('True anomaly outside the reachable branch of an open orbit:', { e, trueAnomaly });
+        return new THREE.Vector3(0, 0, 0);
+    }
+    const semiLatusRectum = isParabolic(e) ? 2 * q : Math.abs(a * (1 - e * e));
+    const radius = semiLatusRectum / denominator;
 
     const xOrb = radius * cosTA;
     const yOrb = radius * sinTA;
 
-    const xCamera = matrix[0][0] * xOrb + matrix[0][1] * yOrb;
-    const yCamera = matrix[1][0] * xOrb + matrix[1][1] * yOrb;
-    const zCamera = matrix[2][0] * xOrb + matrix[2][1] * yOrb;
-
-    return new THREE.Vector3(xCamera, zCamera, -yCamera);
+    const ecliptic = {
+        x: matrix[0][0] * xOrb + matrix[0][1] * yOrb,
+        y: matrix[1][0] * xOrb + matrix[1][1] * yOrb,
+        z: matrix[2][0] * xOrb + matrix[2][1] * yOrb
+    };
+    return eclipticToScene(ecliptic, new THREE.Vector3());
 }
 
 export function JulianDateToTrueAnomaly(orbitParams, JD) {
-    const newMA = getCurrentMeanAnomaly(orbitParams.a, orbitParams.ma, JD, orbitParams.epoch);
-    const E = solveKepler(orbitParams.e, newMA);
-    return computeTrueAnomaly(E, orbitParams.e);
+    const e = orbitParams.e;
+    const newMA = getCurrentMeanAnomaly(getMeanMotion(orbitParams), orbitParams.ma, JD, orbitParams.epoch);
+    if (isParabolic(e)) { return 2 * Math.atan(solveBarker(newMA)) }
+    if (e > 1) { return computeHyperbolicTrueAnomaly(solveHyperbolicKepler(e, newMA), e) }
+    const E = solveKepler(e, newMA);
+    return computeTrueAnomaly(E, e);
 }
 
-function getCurrentMeanAnomaly(a, ma, JD, epoch) { //JD and epoch need to use the same reference system (either MJD or JD) 
-    const mu = 0.0002959122082855911025;
-    return (JD - epoch) * Math.sqrt(mu / Math.abs(a**3)) + ma;
+function getCurrentMeanAnomaly(n, ma, JD, epoch) { //JD and epoch need to use the same reference system (either MJD or JD) 
+    return (JD - epoch) * n + ma;
 }
 
 //Computes the the true anomaly, given the eccentric anomaly along with the eccentricity
 function computeTrueAnomaly(E, e) { return 2*Math.atan(Math.sqrt((1+e) / (1-e)) * Math.tan(E/2)) }
 
-//function for solving Kepler's equation using a binary search approach given the eccentricity and the mean anomaly
-function solveKepler(e, M) {
-    const espLim = 10*Math.max(Number.EPSILON, Math.abs(M)*Number.EPSILON);
+//Computes the true anomaly of a hyperbolic orbit from the hyperbolic anomaly H
+function computeHyperbolicTrueAnomaly(H, e) { return 2*Math.atan(Math.sqrt((e+1) / (e-1)) * Math.tanh(H/2)) }
+
+//Solves Barker's equation M = D + D^3/3 for D = tan(trueAnomaly/2) in closed form
+function solveBarker(M) {
+    const A = 1.5 * M;
+    const B = Math.cbrt(A + Math.sqrt(A * A + 1));
+    return B - 1 / B;
+}
+
+//Solves the hyperbolic Kepler equation M = e*sinh(H) - H with Newton's method.
+//The starting guess follows the asymptotic solution, which keeps the iteration monotonic for large |M|.
+export function solveHyperbolicKepler(e, M) {
+    if (M === 0) { return 0 }
+    let H = Math.sign(M) * Math.log(2 * Math.abs(M) / e + 1.8);
+    for (let i = 0; i < 4 * KEPLER_MAX_ITERATIONS; i++) {
+        const step = (e * Math.sinh(H) - H - M) / (e * Math.cosh(H) - 1);
+        H -= step;
+        if (Math.abs(step) < KEPLER_TOLERANCE * Math.max(1, Math.abs(H))) { break }
+    }
+    return H;
+}
 
+//Solves Kepler's equation M = E - e*sin(E) for the eccentric anomaly with Halley's method.
+//M is reduced to [-pi, pi] first and Danby's starting guess E0 = M + 0.85*e*sign(M) keeps every
+//eccentricity below 1 within a few iterations; KEPLER_MAX_ITERATIONS bounds the worst case.
+//The whole revolutions removed from M are added back so E grows with M like the mean anomaly does.
+export function solveKepler(e, M) {
     if (e == 0) { return M } //trivial case
 
-    const keplerFunc = (e, E) => { return E - e * Math.sin(E); };
-    let E = M; // starting guess
-    const EMult = Math.sqrt(2);
-        
-    let minBound = 0;
-    let maxBound = 0;
-
-    let MTest = 0;
-    let MDiff = 0;
-
-    //initialize min and max bounds
-    if (M < 0) {
-        while (true) {
-            MTest = keplerFunc(e, E);
-            MDiff = M - MTest;
-            if (Math.abs(MDiff) < espLim) { return E; }
-            if (MDiff > 0) {
-                minBound = E;
-                break;
-            }
-            else { 
-                maxBound = E;
-                E *= EMult;
-            }
+    const revolutions = Math.round(M / (2 * Math.PI)) * 2 * Math.PI;
+    const reducedM = M - revolutions;
+
+    let E = reducedM + 0.85 * e * Math.sign(reducedM);
+    for (let i = 0; i < KEPLER_MAX_ITERATIONS; i++) {
+        const eSinE = e * Math.sin(E);
+        const eCosE = e * Math.cos(E);
+        const f = E - eSinE - reducedM;
+        const fPrime = 1 - eCosE;
+        const step = f / (fPrime - 0.5 * f * eSinE / fPrime);
+        E -= step;
+        if (Math.abs(step) < KEPLER_TOLERANCE) { break }
+    }
+    return E + revolutions;
+}
+
+//Packs orbitParams objects into flat typed arrays for propagateBatch. Missing fields become NaN,
+//and q is only meaningful for parabolic orbits. Epochs keep whatever time system the source data uses.
+export function createElementBatch(orbitParamsList) {
+    const count = orbitParamsList.length;
+    const batch = { count };
+    for (const field of BATCH_FIELDS) { batch[field] = new Float64Array(count) }
+
+    orbitParamsList.forEach((orbitParams, i) => {
+        for (const field of BATCH_FIELDS) {
+            const value = orbitParams[field];
+            batch[field][i] = typeof value === 'number' ? value : NaN;
         }
+    });
+    return batch;
+}
+
+//Per-body constants that do not depend on time: mean motion, the in-plane shape factors and the
+//two used columns of the orbit-to-ecliptic rotation. Computed once and cached on the batch;
+//delete batch.derived after editing the element arrays in place.
+function deriveBatchConstants(batch) {
+    const { count, a, e, inc, node, peri, q } = batch;
+    const derived = {
+        n: new Float64Array(count),
+        shapeX: new Float64Array(count),
+        shapeY: new Float64Array(count),
+        rotation: new Float64Array(count * 6)
+    };
+
+    for (let i = 0; i < count; i++) {
+        const orbitParams = { a: a[i], e: e[i], q: q[i] };
+        derived.n[i] = getMeanMotion(orbitParams);
+
+        if (isParabolic(e[i])) {
+            derived.shapeX[i] = getPerihelionDistance(orbitParams);
+            derived.shapeY[i] = 2 * derived.shapeX[i];
+        } else if (e[i] > 1) {
+            derived.shapeX[i] = Math.abs(a[i]);
+            derived.shapeY[i] = Math.abs(a[i]) * Math.sqrt(e[i] ** 2 - 1);
+        } else {
+            derived.shapeX[i] = a[i];
+            derived.shapeY[i] = a[i] * Math.sqrt(1 - e[i] ** 2);
+        }
+
+        const matrix = computeTransformMatrix({ inc: inc[i], node: node[i], peri: peri[i] });
+        derived.rotation.set([matrix[0][0], matrix[0][1], matrix[1][0], matrix[1][1], matrix[2][0], matrix[2][1]], i * 6);
     }
-    else {
-        while (true) {
-            MTest = keplerFunc(e, E);
-            MDiff = M - MTest;
-            if (Math.abs(MDiff) < espLim) { return E; }
-            if (MDiff > 0) {
-                minBound = E;
-                E *= EMult;
-            }
-            else { 
-                maxBound = E;
-                break;
+
+    batch.derived = derived;
+    return derived;
+}
+
+//Propagates every body in a batch to JD and writes scene coordinates (same axes as getOrbitPosition)
+//into out as consecutive x, y, z triples. JD must be in the same time system as the batch epochs.
+export function propagateBatch(batch, JD, out = new Float64Array(batch.count * 3)) {
+    const { count, e, ma, epoch } = batch;
+    const { n, shapeX, shapeY, rotation } = batch.derived || deriveBatchConstants(batch);
+
+    for (let i = 0; i < count; i++) {
+        const ecc = e[i];
+        const M = getCurrentMeanAnomaly(n[i], ma[i], JD, epoch[i]);
+        let xOrb, yOrb;
+
+        if (isParabolic(ecc)) {
+            const D = solveBarker(M);
+            xOrb = shapeX[i] * (1 - D * D);
+            yOrb = shapeY[i] * D;
+        } else if (ecc > 1) {
+            const H = solveHyperbolicKepler(ecc, M);
+            xOrb = shapeX[i] * (ecc - Math.cosh(H));
+            yOrb = shapeY[i] * Math.sinh(H);
+        } else {
+            const E = solveKepler(ecc, M);
+            xOrb = shapeX[i] * (Math.cos(E) - ecc);
+            yOrb = shapeY[i] * Math.sin(E);
+        }
+
+        const r = i * 6;
+        eclipticToSceneArray(
+            rotation[r] * xOrb + rotation[r + 1] * yOrb,
+            rotation[r + 2] * xOrb + rotation[r + 3] * yOrb,
+            rotation[r + 4] * xOrb + rotation[r + 5] * yOrb,
+            out, i * 3);
+    }
+    return out;
+}
+
+//Describes an orbit as a curve in one "shape anomaly" u (eccentric, hyperbolic or parabolic anomaly)
+//for the MOID search. Open orbits are cut off at MOID_MAX_RADIUS so the search domain stays bounded.
+function describeOrbitCurve(orbitParams) {
+    const e = orbitParams.e;
+    const q = getPerihelionDistance(orbitParams);
+    const matrix = computeTransformMatrix(orbitParams);
+    const curve = { e, matrix, periodic: false };
+
+    if (!isOpenOrbit(e)) {
+        curve.periodic = true;
+        curve.uMin = 0;
+        curve.uMax = 2 * Math.PI;
+        curve.planar = (E) => [orbitParams.a * (Math.cos(E) - e), orbitParams.a * Math.sqrt(1 - e * e) * Math.sin(E)];
+        curve.trueAnomaly = (E) => computeTrueAnomaly(E, e);
+    } else if (isParabolic(e)) {
+        const maxD = Math.sqrt(Math.max(MOID_MAX_RADIUS / q - 1, 0));
+        curve.uMin = -maxD;
+        curve.uMax = maxD;
+        curve.planar = (D) => [q * (1 - D * D), 2 * q * D];
+        curve.trueAnomaly = (D) => 2 * Math.atan(D);
+    } else {
+        const absA = q / (e - 1);
+        const maxH = Math.acosh(Math.max((MOID_MAX_RADIUS / absA + 1) / e, 1));
+        curve.uMin = -maxH;
+        curve.uMax = maxH;
+        curve.planar = (H) => [absA * (e - Math.cosh(H)), absA * Math.sqrt(e * e - 1) * Math.sinh(H)];
+        curve.trueAnomaly = (H) => computeHyperbolicTrueAnomaly(H, e);
+    }
+
+    curve.point = (u) => {
+        const [xOrb, yOrb] = curve.planar(u);
+        return [
+            matrix[0][0] * xOrb + matrix[0][1] * yOrb,
+            matrix[1][0] * xOrb + matrix[1][1] * yOrb,
+            matrix[2][0] * xOrb + matrix[2][1] * yOrb
+        ];
+    };
+    curve.clamp = (u) => curve.periodic ? u : Math.min(curve.uMax, Math.max(curve.uMin, u));
+    return curve;
+}
+
+//Minimum orbit intersection distance between two orbits given as orbitParams (angles in radians).
+//A coarse grid over both anomalies finds every local minimum, and the best candidates are polished
+//with a shrinking pattern search, so near-coplanar orbits with several minima are handled too.
+//Returns the distance in AU and the true anomaly of each orbit at the closest points.
+export function computeMOID(orbitParams1, orbitParams2) {
+    const curve1 = describeOrbitCurve(orbitParams1);
+    const curve2 = describeOrbitCurve(orbitParams2);
+    const N = MOID_GRID_POINTS;
+
+    const sample = (curve) => {
+        const span = curve.uMax - curve.uMin;
+        const count = curve.periodic ? N : N + 1;
+        const step = span / N;
+        const points = [];
+        for (let i = 0; i < count; i++) { points.push(curve.point(curve.uMin + i * step)) }
+        return { points, step, count };
+    };
+    const grid1 = sample(curve1);
+    const grid2 = sample(curve2);
+
+    const distanceSq = (p1, p2) => (p1[0] - p2[0]) ** 2 + (p1[1] - p2[1]) ** 2 + (p1[2] - p2[2]) ** 2;
+    const table = new Float64Array(grid1.count * grid2.count);
+    for (let i = 0; i < grid1.count; i++) {
+        for (let j = 0; j < grid2.count; j++) { table[i * grid2.count + j] = distanceSq(grid1.points[i], grid2.points[j]) }
+    }
+
+    // Local minima of the grid, wrapping around for closed orbits
+    const neighbour = (index, offset, grid, curve) => {
+        const k = index + offset;
+        if (curve.periodic) { return (k + grid.count) % grid.count }
+        return (k < 0 || k >= grid.count) ? -1 : k;
+    };
+    const candidates = [];
+    for (let i = 0; i < grid1.count; i++) {
+        for (let j = 0; j < grid2.count; j++) {
+            const value = table[i * grid2.count + j];
+            let isMinimum = true;
+            for (let di = -1; di <= 1 && isMinimum; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    if (di === 0 && dj === 0) continue;
+                    const ni = neighbour(i, di, grid1, curve1);
+                    const nj = neighbour(j, dj, grid2, curve2);
+                    if (ni >= 0 && nj >= 0 && table[ni * grid2.count + nj] < value) { isMinimum = false; break }
+                }
             }
+            if (isMinimum) { candidates.push({ i, j, value }) }
         }
     }
+    candidates.sort((c1, c2) => c1.value - c2.value);
 
-    while (true) { //perform a binary search to solve for E
-        E = (maxBound + minBound) / 2; //take E at the midpoint
-        MTest = keplerFunc(e, E);
-        MDiff = M - MTest;
-        if (Math.abs(MDiff) < espLim) { return E; }
-        if (MDiff > 0) { minBound = E; }
-        else { maxBound = E; }
+    let best = null;
+    for (const candidate of candidates.slice(0, MOID_MAX_CANDIDATES)) {
+        let u1 = curve1.uMin + candidate.i * grid1.step;
+        let u2 = curve2.uMin + candidate.j * grid2.step;
+        let value = candidate.value;
+        let step1 = grid1.step;
+        let step2 = grid2.step;
+
+        for (let iteration = 0; iteration < 400 && (step1 > 1e-12 || step2 > 1e-12); iteration++) {
+            let improved = false;
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    if (di === 0 && dj === 0) continue;
+                    const t1 = curve1.clamp(u1 + di * step1);
+                    const t2 = curve2.clamp(u2 + dj * step2);
+                    const trial = distanceSq(curve1.point(t1), curve2.point(t2));
+                    if (trial < value) { value = trial; u1 = t1; u2 = t2; improved = true }
+                }
+            }
+            if (!improved) { step1 /= 2; step2 /= 2 }
+        }
+
+        if (!best || value < best.value) { best = { value, u1, u2 } }
     }
+
+    if (!best) { return null }
+    return {
+        distance: Math.sqrt(best.value),
+        trueAnomaly1: curve1.trueAnomaly(best.u1),
+        trueAnomaly2: curve2.trueAnomaly(best.u2)
+    };
+}
+
+//MOIDs of a list of orbits with one reference orbit, in AU, NaN where computeMOID fails
+export function computeMOIDs(orbitParamsList, referenceOrbitParams) {
+    const distances = new Float64Array(orbitParamsList.length).fill(NaN);
+    orbitParamsList.forEach((orbitParams, i) => {
+        try {
+            const moid = computeMOID(orbitParams, referenceOrbitParams);
+            if (moid) distances[i] = moid.distance;
+        } catch (error) {
+            console.error('Error computing MOID:', error);
+        }
+    });
+    return distances;
 }
@@ -0,0 +1,85 @@
+import { dot, norm } from './vectors.js';
+
+// Brightness and viewing geometry of asteroids seen from Earth.
+// Magnitudes use the IAU H,G system (Bowell et al. 1989, in Asteroids II): V = H + 5 log10(r Δ)
+// - 2.5 log10((1 - G) Φ1(α) + G Φ2(α)), with r and Δ the heliocentric and geocentric distances in AU
+// and α the phase angle. Positions are heliocentric ecliptic J2000 in AU; angles returned are degrees.
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+export const DEFAULT_ALBEDO = 0.154; // geometric albedo assumed by JPL Sentry for diameters from H
+export const DEFAULT_SLOPE = 0.15; // G, the IAU default slope parameter
+const DIAMETER_CONSTANT = 1329; // km, D = 1329 / sqrt(p) * 10^(-H/5)
+
+// Faintest V reached by typical equipment under a dark sky
+export const LIMITING_MAGNITUDES = [
+    { instrument: 'Naked eye', magnitude: 6 },
+    { instrument: 'Binoculars', magnitude: 9.5 },
+    { instrument: 'Amateur telescope', magnitude: 14 },
+    { instrument: 'Large amateur telescope', magnitude: 18 },
+    { instrument: 'Survey telescope', magnitude: 21.5 },
+    { instrument: 'Large professional telescope', magnitude: 25 }
+];
+export const MIN_SOLAR_ELONGATION = 45; // degrees; closer to the Sun the object is lost in twilight
+
+//Angle (degrees) between two vectors
+function angleBetween(u, v) {
+    const cosine = dot(u, v) / (norm(u) * norm(v));
+    return Math.acos(Math.max(-1, Math.min(1, cosine))) * RAD_TO_DEG;
+}
+
+//Absolute magnitude H of a body of the given diameter (km) and geometric albedo
+export function absoluteMagnitudeFromDiameter(diameterKm, albedo = DEFAULT_ALBEDO) {
+    if (!(diameterKm > 0) || !(albedo > 0)) return null;
+    return 5 * Math.log10(DIAMETER_CONSTANT / (diameterKm * Math.sqrt(albedo)));
+}
+
+//Diameter (km) of a body of absolute magnitude H and the given geometric albedo
+export function diameterFromAbsoluteMagnitude(H, albedo = DEFAULT_ALBEDO) {
+    return DIAMETER_CONSTANT / Math.sqrt(albedo) * Math.pow(10, -H / 5);
+}
+
+//Reduced magnitude offset -2.5 log10((1 - G) Φ1 + G Φ2) at a phase angle in degrees
+export function hgPhaseFunction(phaseAngle, G = DEFAULT_SLOPE) {
+    const tanHalf = Math.tan(phaseAngle / RAD_TO_DEG / 2);
+    const phi1 = Math.exp(-3.33 * Math.pow(tanHalf, 0.63));
+    const phi2 = Math.exp(-1.87 * Math.pow(tanHalf, 1.22));
+    return -2.5 * Math.log10((1 - G) * phi1 + G * phi2);
+}
+
+//Viewing geometry and apparent V magnitude of a body at heliocentric position from an observer
+//(Earth) at earthPosition: { heliocentricDistance, geocentricDistance (AU), phaseAngle, elongation
+//(degrees), magnitude }. magnitude is null without an H.
+export function computePhotometry(position, earthPosition, H, G = DEFAULT_SLOPE) {
+    const geocentric = { x: position.x - earthPosition.x, y: position.y - earthPosition.y, z: position.z - earthPosition.z };
+    const sunFromEarth = { x: -earthPosition.x, y: -earthPosition.y, z: -earthPosition.z };
+    const sunFromBody = { x: -position.x, y: -position.y, z: -position.z };
+    const earthFromBody = { x: -geocentric.x, y: -geocentric.y, z: -geocentric.z };
+
+    const heliocentricDistance = norm(position);
+    const geocentricDistance = norm(geocentric);
+    const phaseAngle = angleBetween(sunFromBody, earthFromBody);
+    const elongation = angleBetween(sunFromEarth, geocentric);
+
+    const magnitude = H !== null && isFinite(H)
+        ? H + 5 * Math.log10(heliocentricDistance * geocentricDistance) + hgPhaseFunction(phaseAngle, G)
+        : null;
+
+    return { heliocentricDistance, geocentricDistance, phaseAngle, elongation, magnitude };
+}
+
+//Whether the body can be observed and with what: { observable, instrument, reason }.
+//instrument is the least powerful entry of LIMITING_MAGNITUDES that reaches the magnitude.
+export function assessObservability({ magnitude, elongation }) {
+    if (magnitude === null || !isFinite(magnitude)) {
+        return { observable: false, instrument: null, reason: 'Brightness unknown' };
+    }
+    const equipment = LIMITING_MAGNITUDES.find(limit => magnitude <= limit.magnitude);
+    if (!equipment) {
+        return { observable: false, instrument: null, reason: 'Too faint' };
+    }
+    if (elongation < MIN_SOLAR_ELONGATION) {
+        return { observable: false, instrument: equipment.instrument, reason: 'Too close to the Sun' };
+    }
+    return { observable: true, instrument: equipment.instrument, reason: null };
+}
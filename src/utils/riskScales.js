@@ -0,0 +1,94 @@
+// Impact hazard scales.
+// Palermo Technical Scale (Chesley et al. 2002): PS = log10(P / (f_B * dT)), where f_B = 0.03 E^-0.8 per
+// year is the background frequency of impacts at least as energetic as E (Mt) and dT the years to impact.
+// Torino Scale (Binzel 2000, revised 2005): integer 0-10 from the chart of impact probability against
+// kinetic energy. The chart's region boundaries are approximated here by straight lines in log-log space.
+
+export const MEGATON_J = 4.184e15;
+export const DEFAULT_DENSITY = 2600; // kg/m^3, the value assumed by JPL Sentry
+export const EARTH_ESCAPE_VELOCITY = 11.186; // km/s
+const DAYS_PER_YEAR = 365.25;
+
+export const TORINO_COLORS = {
+    0: '#ffffff',
+    1: '#4caf50',
+    2: '#ffeb3b', 3: '#ffeb3b', 4: '#ffeb3b',
+    5: '#ff9800', 6: '#ff9800', 7: '#ff9800',
+    8: '#f44336', 9: '#f44336', 10: '#f44336'
+};
+
+export const TORINO_DESCRIPTIONS = {
+    0: 'No hazard',
+    1: 'Normal',
+    2: 'Meriting attention by astronomers',
+    3: 'Meriting attention by astronomers',
+    4: 'Meriting attention by astronomers',
+    5: 'Threatening',
+    6: 'Threatening',
+    7: 'Threatening',
+    8: 'Certain collision',
+    9: 'Certain collision',
+    10: 'Certain collision'
+};
+
+//Kinetic energy (Mt TNT) of a sphere of the given diameter (m) at the given speed (km/s)
+export function impactEnergyMegatons(diameter, velocity, density = DEFAULT_DENSITY) {
+    const mass = density * Math.PI / 6 * diameter * diameter * diameter;
+    const speed = velocity * 1000;
+    return 0.5 * mass * speed * speed / MEGATON_J;
+}
+
+//Atmospheric entry speed (km/s) from the speed relative to Earth before its gravity acts
+export function impactVelocityFromEncounter(vInfinity) {
+    return Math.sqrt(vInfinity * vInfinity + EARTH_ESCAPE_VELOCITY * EARTH_ESCAPE_VELOCITY);
+}
+
+//Annual frequency of impacts with at least energyMt
+export function backgroundImpactFrequency(energyMt) {
+    return 0.03 * Math.pow(energyMt, -0.8);
+}
+
+export function palermoScale(probability, energyMt, yearsToImpact) {
+    if (!(probability > 0) || !(energyMt > 0) || !(yearsToImpact > 0)) return null;
+    return Math.log10(probability / (backgroundImpactFrequency(energyMt) * yearsToImpact));
+}
+
+export function torinoScale(probability, energyMt) {
+    if (!(probability > 0) || !(energyMt >= 1)) return 0; // below ~1 Mt objects do not reach the ground intact
+
+    const logP = Math.log10(probability);
+    const logE = Math.log10(energyMt);
+
+    if (probability >= 0.99) {
+        if (logE < 3) return 8; // localized destruction
+        return logE < 5 ? 9 : 10; // regional devastation, global catastrophe
+    }
+    if (logP >= -2) {
+        if (logE < 2) return 3;
+        if (logE < 5) return logP < -1 ? 4 : 5;
+        return logP < -1 ? 6 : 7;
+    }
+    // Below a 1% chance: 0|1 line from (P = 1e-2, E = 1 Mt) to (P = 1e-8, E = 1e8 Mt),
+    // 1|2 line from (P = 1e-2, E = 1e2 Mt) to (P = 1e-8, E = 1e8 Mt)
+    if (logP < -2 - 0.75 * logE) return 0;
+    if (logE >= 2 && logP >= -logE) return 2;
+    return 1;
+}
+
+//Palermo and Torino ratings of a potential impact.
+//diameter in m, velocity = atmospheric entry speed in km/s, dates as UTC MJD.
+export function assessImpactRisk({ probability, diameter, velocity, impactMJD, currentMJD, density = DEFAULT_DENSITY }) {
+    if (!(diameter > 0) || !(velocity > 0)) return null;
+
+    const energy = impactEnergyMegatons(diameter, velocity, density);
+    const yearsToImpact = (impactMJD - currentMJD) / DAYS_PER_YEAR;
+    const torino = torinoScale(probability, energy);
+    return {
+        energy,
+        yearsToImpact,
+        palermo: palermoScale(probability, energy, yearsToImpact),
+        torino,
+        torinoColor: TORINO_COLORS[torino],
+        torinoDescription: TORINO_DESCRIPTIONS[torino]
+    };
+}
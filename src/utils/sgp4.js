@@ -0,0 +1,752 @@
+import { MJDToJD } from './TimeUtils.js';
+
+// SGP4/SDP4 propagation of NORAD element sets, following Vallado, Crawford, Hujsak & Kelso (2006),
+// "Revisiting Spacetrack Report #3", AIAA 2006-6753 (improved operation mode, WGS-72 constants).
+// SGP4 handles near-Earth orbits; orbits with periods of 225 minutes or more get the SDP4 lunar-solar
+// and resonance terms. Output positions (km) and velocities (km/s) are in the TEME frame: Earth's true
+// equator and mean equinox of date.
+
+export const EARTH_RADIUS_KM = 6378.135; // WGS-72
+export const EARTH_MU = 398600.8; // km^3/s^2, WGS-72
+
+export const SGP4_ERRORS = {
+    1: 'Mean eccentricity out of range',
+    2: 'Mean motion below zero',
+    3: 'Perturbed eccentricity out of range',
+    4: 'Semi-latus rectum below zero',
+    6: 'Satellite has decayed'
+};
+
+const XKE = 60 / Math.sqrt(EARTH_RADIUS_KM * EARTH_RADIUS_KM * EARTH_RADIUS_KM / EARTH_MU);
+const J2 = 0.001082616;
+const J3 = -0.00000253881;
+const J4 = -0.00000165597;
+const J3OJ2 = J3 / J2;
+const VKM_PER_SEC = EARTH_RADIUS_KM * XKE / 60;
+
+const PI = Math.PI;
+const TWO_PI = 2 * Math.PI;
+const X2O3 = 2 / 3;
+const DEG_TO_RAD = PI / 180;
+const MINUTES_PER_DAY = 1440;
+const DEEP_SPACE_PERIOD = 225; // minutes
+const TEMP4 = 1.5e-12;
+
+//Greenwich mean sidereal time (radians) of a UT1 Julian date, IAU 1982 as used by SGP4
+function gstime(JD_UT1) {
+    const tut1 = (JD_UT1 - 2451545.0) / 36525;
+    let temp = -6.2e-6 * tut1 * tut1 * tut1 + 0.093104 * tut1 * tut1
+        + (876600.0 * 3600 + 8640184.812866) * tut1 + 67310.54841;
+    temp = (temp * DEG_TO_RAD / 240.0) % TWO_PI;
+    return temp < 0 ? temp + TWO_PI : temp;
+}
+
+//Un-Kozai the mean motion and derive the auxiliary epoch quantities
+function initl(ecco, epoch, inclo, noKozai) {
+    const eccsq = ecco * ecco;
+    const omeosq = 1 - eccsq;
+    const rteosq = Math.sqrt(omeosq);
+    const cosio = Math.cos(inclo);
+    const cosio2 = cosio * cosio;
+
+    const ak = Math.pow(XKE / noKozai, X2O3);
+    const d1 = 0.75 * J2 * (3 * cosio2 - 1) / (rteosq * omeosq);
+    let del = d1 / (ak * ak);
+    const adel = ak * (1 - del * del - del * (1 / 3 + 134 * del * del / 81));
+    del = d1 / (adel * adel);
+    const no = noKozai / (1 + del);
+
+    const ao = Math.pow(XKE / no, X2O3);
+    const po = ao * omeosq;
+    const con42 = 1 - 5 * cosio2;
+    return {
+        no,
+        ao,
+        ainv: 1 / ao,
+        con41: -con42 - cosio2 - cosio2,
+        con42,
+        cosio,
+        cosio2,
+        eccsq,
+        omeosq,
+        posq: po * po,
+        rp: ao * (1 - ecco),
+        rteosq,
+        sinio: Math.sin(inclo),
+        gsto: gstime(epoch + 2433281.5)
+    };
+}
+
+//Lunar and solar terms of the deep-space perturbations at the epoch
+function dscom(epoch, ep, argpp, tc, inclp, nodep, np) {
+    const zes = 0.01675, zel = 0.05490, c1ss = 2.9864797e-6, c1l = 4.7968065e-7;
+    const zsinis = 0.39785416, zcosis = 0.91744867, zcosgs = 0.1945905, zsings = -0.98088458;
+
+    const nm = np;
+    const em = ep;
+    const snodm = Math.sin(nodep), cnodm = Math.cos(nodep);
+    const sinomm = Math.sin(argpp), cosomm = Math.cos(argpp);
+    const sinim = Math.sin(inclp), cosim = Math.cos(inclp);
+    const emsq = em * em;
+    const betasq = 1 - emsq;
+    const rtemsq = Math.sqrt(betasq);
+
+    // Initialize lunar and solar terms
+    const day = epoch + 18261.5 + tc / MINUTES_PER_DAY;
+    const xnodce = (4.5236020 - 9.2422029e-4 * day) % TWO_PI;
+    const stem = Math.sin(xnodce), ctem = Math.cos(xnodce);
+    const zcosil = 0.91375164 - 0.03568096 * ctem;
+    const zsinil = Math.sqrt(1 - zcosil * zcosil);
+    const zsinhl = 0.089683511 * stem / zsinil;
+    const zcoshl = Math.sqrt(1 - zsinhl * zsinhl);
+    const gam = 5.8351514 + 0.0019443680 * day;
+    let zx = 0.39785416 * stem / zsinil;
+    const zy = zcoshl * ctem + 0.91744867 * zsinhl * stem;
+    zx = gam + Math.atan2(zx, zy) - xnodce;
+    const zcosgl = Math.cos(zx), zsingl = Math.sin(zx);
+
+    // Solar terms first, then lunar
+    let zcosg = zcosgs, zsing = zsings, zcosi = zcosis, zsini = zsinis;
+    let zcosh = cnodm, zsinh = snodm, cc = c1ss;
+    const xnoi = 1 / nm;
+    const solar = {};
+    let lunar = null;
+
+    for (let lsflg = 1; lsflg <= 2; lsflg++) {
+        const a1 = zcosg * zcosh + zsing * zcosi * zsinh;
+        const a3 = -zsing * zcosh + zcosg * zcosi * zsinh;
+        const a7 = -zcosg * zsinh + zsing * zcosi * zcosh;
+        const a8 = zsing * zsini;
+        const a9 = zsing * zsinh + zcosg * zcosi * zcosh;
+        const a10 = zcosg * zsini;
+        const a2 = cosim * a7 + sinim * a8;
+        const a4 = cosim * a9 + sinim * a10;
+        const a5 = -sinim * a7 + cosim * a8;
+        const a6 = -sinim * a9 + cosim * a10;
+
+        const x1 = a1 * cosomm + a2 * sinomm;
+        const x2 = a3 * cosomm + a4 * sinomm;
+        const x3 = -a1 * sinomm + a2 * cosomm;
+        const x4 = -a3 * sinomm + a4 * cosomm;
+        const x5 = a5 * sinomm;
+        const x6 = a6 * sinomm;
+        const x7 = a5 * cosomm;
+        const x8 = a6 * cosomm;
+
+        const z31 = 12 * x1 * x1 - 3 * x3 * x3;
+        const z32 = 24 * x1 * x2 - 6 * x3 * x4;
+        const z33 = 12 * x2 * x2 - 3 * x4 * x4;
+        let z1 = 3 * (a1 * a1 + a2 * a2) + z31 * emsq;
+        let z2 = 6 * (a1 * a3 + a2 * a4) + z32 * emsq;
+        let z3 = 3 * (a3 * a3 + a4 * a4) + z33 * emsq;
+        const z11 = -6 * a1 * a5 + emsq * (-24 * x1 * x7 - 6 * x3 * x5);
+        const z12 = -6 * (a1 * a6 + a3 * a5) + emsq * (-24 * (x2 * x7 + x1 * x8) - 6 * (x3 * x6 + x4 * x5));
+        const z13 = -6 * a3 * a6 + emsq * (-24 * x2 * x8 - 6 * x4 * x6);
+        const z21 = 6 * a2 * a5 + emsq * (24 * x1 * x5 - 6 * x3 * x7);
+        const z22 = 6 * (a4 * a5 + a2 * a6) + emsq * (24 * (x2 * x5 + x1 * x6) - 6 * (x4 * x7 + x3 * x8));
+        const z23 = 6 * a4 * a6 + emsq * (24 * x2 * x6 - 6 * x4 * x8);
+        z1 = z1 + z1 + betasq * z31;
+        z2 = z2 + z2 + betasq * z32;
+        z3 = z3 + z3 + betasq * z33;
+
+        const s3 = cc * xnoi;
+        const s2 = -0.5 * s3 / rtemsq;
+        const s4 = s3 * rtemsq;
+        const s1 = -15 * em * s4;
+        const s5 = x1 * x3 + x2 * x4;
+        const s6 = x2 * x3 + x1 * x4;
+        const s7 = x2 * x4 - x1 * x3;
+
+        const terms = { s1, s2, s3, s4, s5, s6, s7, z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33 };
+        if (lsflg === 1) {
+            Object.assign(solar, terms);
+            zcosg = zcosgl;
+            zsing = zsingl;
+            zcosi = zcosil;
+            zsini = zsinil;
+            zcosh = zcoshl * cnodm + zsinhl * snodm;
+            zsinh = snodm * zcoshl - cnodm * zsinhl;
+            cc = c1l;
+        } else {
+            lunar = terms;
+        }
+    }
+
+    const { s1, s2, s3, s4, s6, s7, z1, z2, z3, z11, z12, z13, z21, z22, z23, z31, z32, z33 } = lunar;
+    return {
+        snodm, cnodm, sinim, cosim, sinomm, cosomm, day, em, emsq, gam, rtemsq, nm,
+        zmol: (4.7199672 + 0.22997150 * day - gam) % TWO_PI,
+        zmos: (6.2565837 + 0.017201977 * day) % TWO_PI,
+        // Solar terms
+        se2: 2 * solar.s1 * solar.s6,
+        se3: 2 * solar.s1 * solar.s7,
+        si2: 2 * solar.s2 * solar.z12,
+        si3: 2 * solar.s2 * (solar.z13 - solar.z11),
+        sl2: -2 * solar.s3 * solar.z2,
+        sl3: -2 * solar.s3 * (solar.z3 - solar.z1),
+        sl4: -2 * solar.s3 * (-21 - 9 * emsq) * zes,
+        sgh2: 2 * solar.s4 * solar.z32,
+        sgh3: 2 * solar.s4 * (solar.z33 - solar.z31),
+        sgh4: -18 * solar.s4 * zes,
+        sh2: -2 * solar.s2 * solar.z22,
+        sh3: -2 * solar.s2 * (solar.z23 - solar.z21),
+        // Lunar terms
+        ee2: 2 * s1 * s6,
+        e3: 2 * s1 * s7,
+        xi2: 2 * s2 * z12,
+        xi3: 2 * s2 * (z13 - z11),
+        xl2: -2 * s3 * z2,
+        xl3: -2 * s3 * (z3 - z1),
+        xl4: -2 * s3 * (-21 - 9 * emsq) * zel,
+        xgh2: 2 * s4 * z32,
+        xgh3: 2 * s4 * (z33 - z31),
+        xgh4: -18 * s4 * zel,
+        xh2: -2 * s2 * z22,
+        xh3: -2 * s2 * (z23 - z21),
+        solar,
+        lunar
+    };
+}
+
+//Lunar-solar periodics at tsince (minutes) applied to the mean elements { ep, inclp, nodep, argpp, mp }
+function dpper(satrec, t, elements) {
+    const zns = 1.19459e-5, zes = 0.01675, znl = 1.5835218e-4, zel = 0.05490;
+    let { ep, inclp, nodep, argpp, mp } = elements;
+
+    let zm = satrec.zmos + zns * t;
+    let zf = zm + 2 * zes * Math.sin(zm);
+    let sinzf = Math.sin(zf);
+    let f2 = 0.5 * sinzf * sinzf - 0.25;
+    let f3 = -0.5 * sinzf * Math.cos(zf);
+    const ses = satrec.se2 * f2 + satrec.se3 * f3;
+    const sis = satrec.si2 * f2 + satrec.si3 * f3;
+    const sls = satrec.sl2 * f2 + satrec.sl3 * f3 + satrec.sl4 * sinzf;
+    const sghs = satrec.sgh2 * f2 + satrec.sgh3 * f3 + satrec.sgh4 * sinzf;
+    const shs = satrec.sh2 * f2 + satrec.sh3 * f3;
+
+    zm = satrec.zmol + znl * t;
+    zf = zm + 2 * zel * Math.sin(zm);
+    sinzf = Math.sin(zf);
+    f2 = 0.5 * sinzf * sinzf - 0.25;
+    f3 = -0.5 * sinzf * Math.cos(zf);
+    const sel = satrec.ee2 * f2 + satrec.e3 * f3;
+    const sil = satrec.xi2 * f2 + satrec.xi3 * f3;
+    const sll = satrec.xl2 * f2 + satrec.xl3 * f3 + satrec.xl4 * sinzf;
+    const sghl = satrec.xgh2 * f2 + satrec.xgh3 * f3 + satrec.xgh4 * sinzf;
+    const shll = satrec.xh2 * f2 + satrec.xh3 * f3;
+
+    // The epoch values of the periodics (peo, pinco, ...) are zero in the improved mode
+    const pe = ses + sel;
+    const pinc = sis + sil;
+    const pl = sls + sll;
+    let pgh = sghs + sghl;
+    let ph = shs + shll;
+
+    inclp += pinc;
+    ep += pe;
+    const sinip = Math.sin(inclp), cosip = Math.cos(inclp);
+
+    if (inclp >= 0.2) {
+        ph /= sinip;
+        pgh -= cosip * ph;
+        argpp += pgh;
+        nodep += ph;
+        mp += pl;
+    } else {
+        // Lyddane modification for low inclinations
+        const sinop = Math.sin(nodep), cosop = Math.cos(nodep);
+        let alfdp = sinip * sinop;
+        let betdp = sinip * cosop;
+        alfdp += ph * cosop + pinc * cosip * sinop;
+        betdp += -ph * sinop + pinc * cosip * cosop;
+        nodep %= TWO_PI;
+        let xls = mp + argpp + cosip * nodep;
+        xls += pl + pgh - pinc * nodep * sinip;
+        const xnoh = nodep;
+        nodep = Math.atan2(alfdp, betdp);
+        if (Math.abs(xnoh - nodep) > PI) {
+            nodep += nodep < xnoh ? TWO_PI : -TWO_PI;
+        }
+        mp += pl;
+        argpp = xls - mp - cosip * nodep;
+    }
+    return { ep, inclp, nodep, argpp, mp };
+}
+
+//Secular deep-space rates and the resonance coefficients of 12-hour and synchronous orbits
+function dsinit(satrec, com, xpidot) {
+    const q22 = 1.7891679e-6, q31 = 2.1460748e-6, q33 = 2.2123015e-7;
+    const root22 = 1.7891679e-6, root44 = 7.3636953e-9, root54 = 2.1765803e-9;
+    const root32 = 3.7393792e-7, root52 = 1.1428639e-7;
+    const rptim = 0.0043752690880113;
+    const znl = 1.5835218e-4, zns = 1.19459e-5;
+
+    const { cosim, sinim, emsq, solar, lunar } = com;
+    const { no, ecco, inclo, mo, mdot, nodeo, nodedot, argpo } = satrec;
+    const nm = no;
+    const em = ecco;
+
+    let irez = 0;
+    if (nm < 0.0052359877 && nm > 0.0034906585) irez = 1;
+    if (nm >= 8.26e-3 && nm <= 9.24e-3 && em >= 0.5) irez = 2;
+
+    // Solar terms
+    const ses = solar.s1 * zns * solar.s5;
+    const sis = solar.s2 * zns * (solar.z11 + solar.z13);
+    const sls = -zns * solar.s3 * (solar.z1 + solar.z3 - 14 - 6 * emsq);
+    const sghs = solar.s4 * zns * (solar.z31 + solar.z33 - 6);
+    let shs = -zns * solar.s2 * (solar.z21 + solar.z23);
+    if (inclo < 5.2359877e-2 || inclo > PI - 5.2359877e-2) shs = 0;
+    if (sinim !== 0) shs /= sinim;
+    const sgs = sghs - cosim * shs;
+
+    // Lunar terms
+    const dedt = ses + lunar.s1 * znl * lunar.s5;
+    const didt = sis + lunar.s2 * znl * (lunar.z11 + lunar.z13);
+    const dmdt = sls - znl * lunar.s3 * (lunar.z1 + lunar.z3 - 14 - 6 * emsq);
+    const sghl = lunar.s4 * znl * (lunar.z31 + lunar.z33 - 6);
+    let shll = -znl * lunar.s2 * (lunar.z21 + lunar.z23);
+    if (inclo < 5.2359877e-2 || inclo > PI - 5.2359877e-2) shll = 0;
+    let domdt = sgs + sghl;
+    let dnodt = shs;
+    if (sinim !== 0) {
+        domdt -= cosim / sinim * shll;
+        dnodt += shll / sinim;
+    }
+
+    Object.assign(satrec, { irez, dedt, didt, dmdt, domdt, dnodt, atime: 0, xli: 0, xni: 0, xlamo: 0, xfact: 0 });
+    if (irez === 0) return;
+
+    const theta = satrec.gsto % TWO_PI;
+    const aonv = Math.pow(nm / XKE, X2O3);
+
+    if (irez === 2) {
+        // Geopotential resonance of 12-hour orbits, evaluated at the epoch eccentricity
+        const cosisq = cosim * cosim;
+        const e = ecco, esq = satrec.eccsq, eoc = e * esq;
+        const g201 = -0.306 - (e - 0.64) * 0.440;
+        let g211, g310, g322, g410, g422, g520, g521, g532, g533;
+        if (e <= 0.65) {
+            g211 = 3.616 - 13.2470 * e + 16.2900 * esq;
+            g310 = -19.302 + 117.3900 * e - 228.4190 * esq + 156.5910 * eoc;
+            g322 = -18.9068 + 109.7927 * e - 214.6334 * esq + 146.5816 * eoc;
+            g410 = -41.122 + 242.6940 * e - 471.0940 * esq + 313.9530 * eoc;
+            g422 = -146.407 + 841.8800 * e - 1629.014 * esq + 1083.4350 * eoc;
+            g520 = -532.114 + 3017.977 * e - 5740.032 * esq + 3708.2760 * eoc;
+        } else {
+            g211 = -72.099 + 331.819 * e - 508.738 * esq + 266.724 * eoc;
+            g310 = -346.844 + 1582.851 * e - 2415.925 * esq + 1246.113 * eoc;
+            g322 = -342.585 + 1554.908 * e - 2366.899 * esq + 1215.972 * eoc;
+            g410 = -1052.797 + 4758.686 * e - 7193.992 * esq + 3651.957 * eoc;
+            g422 = -3581.690 + 16178.110 * e - 24462.770 * esq + 12422.520 * eoc;
+            g520 = e > 0.715
+                ? -5149.66 + 29936.92 * e - 54087.36 * esq + 31324.56 * eoc
+                : 1464.74 - 4664.75 * e + 3763.64 * esq;
+        }
+        if (e < 0.7) {
+            g533 = -919.22770 + 4988.6100 * e - 9064.7700 * esq + 5542.21 * eoc;
+            g521 = -822.71072 + 4568.6173 * e - 8491.4146 * esq + 5337.524 * eoc;
+            g532 = -853.66600 + 4690.2500 * e - 8624.7700 * esq + 5341.4 * eoc;
+        } else {
+            g533 = -37995.780 + 161616.52 * e - 229838.20 * esq + 109377.94 * eoc;
+            g521 = -51752.104 + 218913.95 * e - 309468.16 * esq + 146349.42 * eoc;
+            g532 = -40023.880 + 170470.89 * e - 242699.48 * esq + 115605.82 * eoc;
+        }
+
+        const sini2 = sinim * sinim;
+        const f220 = 0.75 * (1 + 2 * cosim + cosisq);
+        const f221 = 1.5 * sini2;
+        const f321 = 1.875 * sinim * (1 - 2 * cosim - 3 * cosisq);
+        const f322 = -1.875 * sinim * (1 + 2 * cosim - 3 * cosisq);
+        const f441 = 35 * sini2 * f220;
+        const f442 = 39.3750 * sini2 * sini2;
+        const f522 = 9.84375 * sinim * (sini2 * (1 - 2 * cosim - 5 * cosisq) + 0.33333333 * (-2 + 4 * cosim + 6 * cosisq));
+        const f523 = sinim * (4.92187512 * sini2 * (-2 - 4 * cosim + 10 * cosisq) + 6.56250012 * (1 + 2 * cosim - 3 * cosisq));
+        const f542 = 29.53125 * sinim * (2 - 8 * cosim + cosisq * (-12 + 8 * cosim + 10 * cosisq));
+        const f543 = 29.53125 * sinim * (-2 - 8 * cosim + cosisq * (12 + 8 * cosim - 10 * cosisq));
+
+        const ainv2 = aonv * aonv;
+        let temp1 = 3 * nm * nm * ainv2;
+        let temp = temp1 * root22;
+        satrec.d2201 = temp * f220 * g201;
+        satrec.d2211 = temp * f221 * g211;
+        temp1 *= aonv;
+        temp = temp1 * root32;
+        satrec.d3210 = temp * f321 * g310;
+        satrec.d3222 = temp * f322 * g322;
+        temp1 *= aonv;
+        temp = 2 * temp1 * root44;
+        satrec.d4410 = temp * f441 * g410;
+        satrec.d4422 = temp * f442 * g422;
+        temp1 *= aonv;
+        temp = temp1 * root52;
+        satrec.d5220 = temp * f522 * g520;
+        satrec.d5232 = temp * f523 * g532;
+        temp = 2 * temp1 * root54;
+        satrec.d5421 = temp * f542 * g521;
+        satrec.d5433 = temp * f543 * g533;
+        satrec.xlamo = (mo + nodeo + nodeo - theta - theta) % TWO_PI;
+        satrec.xfact = mdot + dmdt + 2 * (nodedot + dnodt - rptim) - no;
+    } else {
+        // Synchronous resonance
+        const g200 = 1 + emsq * (-2.5 + 0.8125 * emsq);
+        const g310 = 1 + 2 * emsq;
+        const g300 = 1 + emsq * (-6 + 6.60937 * emsq);
+        const f220 = 0.75 * (1 + cosim) * (1 + cosim);
+        const f311 = 0.9375 * sinim * sinim * (1 + 3 * cosim) - 0.75 * (1 + cosim);
+        const f330 = 1.875 * Math.pow(1 + cosim, 3);
+        const del1 = 3 * nm * nm * aonv * aonv;
+        satrec.del2 = 2 * del1 * f220 * g200 * q22;
+        satrec.del3 = 3 * del1 * f330 * g300 * q33 * aonv;
+        satrec.del1 = del1 * f311 * g310 * q31 * aonv;
+        satrec.xlamo = (mo + nodeo + argpo - theta) % TWO_PI;
+        satrec.xfact = mdot + xpidot - rptim + dmdt + domdt + dnodt - no;
+    }
+    satrec.xli = satrec.xlamo;
+    satrec.xni = no;
+}
+
+//Deep-space secular effects and resonance integration (720-minute steps, cached on satrec) at tsince
+function dspace(satrec, t, elements) {
+    const fasx2 = 0.13130908, fasx4 = 2.8843198, fasx6 = 0.37448087;
+    const g22 = 5.7686396, g32 = 0.95240898, g44 = 1.8014998, g52 = 1.0508330, g54 = 4.4108898;
+    const rptim = 0.0043752690880113;
+    const stepp = 720, stepn = -720, step2 = 259200;
+
+    let { em, argpm, inclm, mm, nodem } = elements;
+    em += satrec.dedt * t;
+    inclm += satrec.didt * t;
+    argpm += satrec.domdt * t;
+    nodem += satrec.dnodt * t;
+    mm += satrec.dmdt * t;
+    let nm = satrec.no;
+
+    if (satrec.irez !== 0) {
+        const theta = (satrec.gsto + t * rptim) % TWO_PI;
+        if (satrec.atime === 0 || t * satrec.atime <= 0 || Math.abs(t) < Math.abs(satrec.atime)) {
+            satrec.atime = 0;
+            satrec.xni = satrec.no;
+            satrec.xli = satrec.xlamo;
+        }
+        const delt = t > 0 ? stepp : stepn;
+
+        let xndt, xldot, xnddt, ft = 0;
+        for (;;) {
+            const { xli, xni } = satrec;
+            if (satrec.irez !== 2) {
+                xndt = satrec.del1 * Math.sin(xli - fasx2) + satrec.del2 * Math.sin(2 * (xli - fasx4))
+                    + satrec.del3 * Math.sin(3 * (xli - fasx6));
+                xldot = xni + satrec.xfact;
+                xnddt = (satrec.del1 * Math.cos(xli - fasx2) + 2 * satrec.del2 * Math.cos(2 * (xli - fasx4))
+                    + 3 * satrec.del3 * Math.cos(3 * (xli - fasx6))) * xldot;
+            } else {
+                const xomi = satrec.argpo + satrec.argpdot * satrec.atime;
+                const x2omi = xomi + xomi;
+                const x2li = xli + xli;
+                xndt = satrec.d2201 * Math.sin(x2omi + xli - g22) + satrec.d2211 * Math.sin(xli - g22)
+                    + satrec.d3210 * Math.sin(xomi + xli - g32) + satrec.d3222 * Math.sin(-xomi + xli - g32)
+                    + satrec.d4410 * Math.sin(x2omi + x2li - g44) + satrec.d4422 * Math.sin(x2li - g44)
+                    + satrec.d5220 * Math.sin(xomi + xli - g52) + satrec.d5232 * Math.sin(-xomi + xli - g52)
+                    + satrec.d5421 * Math.sin(xomi + x2li - g54) + satrec.d5433 * Math.sin(-xomi + x2li - g54);
+                xldot = xni + satrec.xfact;
+                xnddt = (satrec.d2201 * Math.cos(x2omi + xli - g22) + satrec.d2211 * Math.cos(xli - g22)
+                    + satrec.d3210 * Math.cos(xomi + xli - g32) + satrec.d3222 * Math.cos(-xomi + xli - g32)
+                    + satrec.d5220 * Math.cos(xomi + xli - g52) + satrec.d5232 * Math.cos(-xomi + xli - g52)
+                    + 2 * (satrec.d4410 * Math.cos(x2omi + x2li - g44) + satrec.d4422 * Math.cos(x2li - g44)
+                        + satrec.d5421 * Math.cos(xomi + x2li - g54) + satrec.d5433 * Math.cos(-xomi + x2li - g54))) * xldot;
+            }
+
+            if (Math.abs(t - satrec.atime) < stepp) {
+                ft = t - satrec.atime;
+                break;
+            }
+            satrec.xli = xli + xldot * delt + xndt * step2;
+            satrec.xni = xni + xndt * delt + xnddt * step2;
+            satrec.atime += delt;
+        }
+
+        nm = satrec.xni + xndt * ft + xnddt * ft * ft * 0.5;
+        const xl = satrec.xli + xldot * ft + xndt * ft * ft * 0.5;
+        mm = satrec.irez !== 1
+            ? xl - 2 * nodem + 2 * theta
+            : xl - nodem - argpm + theta;
+    }
+    return { em, argpm, inclm, mm, nodem, nm };
+}
+
+//Initialised propagator record of a parsed element set (see utils/tle.js)
+export function createSatrec(tle) {
+    const satrec = {
+        satelliteNumber: tle.satelliteNumber,
+        epochJD: tle.epochJD,
+        bstar: tle.bstar,
+        ecco: tle.eccentricity,
+        inclo: tle.inclination * DEG_TO_RAD,
+        nodeo: tle.raan * DEG_TO_RAD,
+        argpo: tle.argumentOfPerigee * DEG_TO_RAD,
+        mo: tle.meanAnomaly * DEG_TO_RAD,
+        noKozai: tle.meanMotion * TWO_PI / MINUTES_PER_DAY, // rad/min
+        error: 0
+    };
+    const epoch = tle.epochJD - 2433281.5; // days since 1949 December 31 00:00 UT
+
+    const init = initl(satrec.ecco, epoch, satrec.inclo, satrec.noKozai);
+    const { ao, con41, con42, cosio, cosio2, omeosq, posq, rp, rteosq, sinio } = init;
+    Object.assign(satrec, {
+        no: init.no,
+        con41,
+        gsto: init.gsto,
+        eccsq: init.eccsq,
+        method: 'n',
+        isimp: rp < 220 / EARTH_RADIUS_KM + 1 ? 1 : 0
+    });
+
+    if (omeosq < 0 && satrec.no < 0) {
+        satrec.error = 2;
+        return satrec;
+    }
+
+    // Atmospheric density parameters, adjusted for perigees below 156 km
+    let sfour = 78 / EARTH_RADIUS_KM + 1;
+    let qzms24 = Math.pow((120 - 78) / EARTH_RADIUS_KM, 4);
+    const perigee = (rp - 1) * EARTH_RADIUS_KM;
+    if (perigee < 156) {
+        sfour = perigee < 98 ? 20 : perigee - 78;
+        qzms24 = Math.pow((120 - sfour) / EARTH_RADIUS_KM, 4);
+        sfour = sfour / EARTH_RADIUS_KM + 1;
+    }
+
+    const { ecco, bstar, argpo, mo, no } = satrec;
+    const pinvsq = 1 / posq;
+    const tsi = 1 / (ao - sfour);
+    const eta = ao * ecco * tsi;
+    const etasq = eta * eta;
+    const eeta = ecco * eta;
+    const psisq = Math.abs(1 - etasq);
+    const coef = qzms24 * Math.pow(tsi, 4);
+    const coef1 = coef / Math.pow(psisq, 3.5);
+    const cc2 = coef1 * no * (ao * (1 + 1.5 * etasq + eeta * (4 + etasq))
+        + 0.375 * J2 * tsi / psisq * con41 * (8 + 3 * etasq * (8 + etasq)));
+    const cc1 = bstar * cc2;
+    const cc3 = ecco > 1e-4 ? -2 * coef * tsi * J3OJ2 * no * sinio / ecco : 0;
+    const x1mth2 = 1 - cosio2;
+    const cc4 = 2 * no * coef1 * ao * omeosq * (eta * (2 + 0.5 * etasq) + ecco * (0.5 + 2 * etasq)
+        - J2 * tsi / (ao * psisq) * (-3 * con41 * (1 - 2 * eeta + etasq * (1.5 - 0.5 * eeta))
+            + 0.75 * x1mth2 * (2 * etasq - eeta * (1 + etasq)) * Math.cos(2 * argpo)));
+    const cc5 = 2 * coef1 * ao * omeosq * (1 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+    const cosio4 = cosio2 * cosio2;
+    const temp1 = 1.5 * J2 * pinvsq * no;
+    const temp2 = 0.5 * temp1 * J2 * pinvsq;
+    const temp3 = -0.46875 * J4 * pinvsq * pinvsq * no;
+    const mdot = no + 0.5 * temp1 * rteosq * con41 + 0.0625 * temp2 * rteosq * (13 - 78 * cosio2 + 137 * cosio4);
+    const argpdot = -0.5 * temp1 * con42 + 0.0625 * temp2 * (7 - 114 * cosio2 + 395 * cosio4)
+        + temp3 * (3 - 36 * cosio2 + 49 * cosio4);
+    const xhdot1 = -temp1 * cosio;
+    const nodedot = xhdot1 + (0.5 * temp2 * (4 - 19 * cosio2) + 2 * temp3 * (3 - 7 * cosio2)) * cosio;
+    const xpidot = argpdot + nodedot;
+
+    Object.assign(satrec, {
+        eta, cc1, cc4, cc5, mdot, argpdot, nodedot, x1mth2,
+        omgcof: bstar * cc3 * Math.cos(argpo),
+        xmcof: ecco > 1e-4 ? -X2O3 * coef * bstar / eeta : 0,
+        nodecf: 3.5 * omeosq * xhdot1 * cc1,
+        t2cof: 1.5 * cc1,
+        xlcof: -0.25 * J3OJ2 * sinio * (3 + 5 * cosio) / (Math.abs(cosio + 1) > 1.5e-12 ? 1 + cosio : TEMP4),
+        aycof: -0.5 * J3OJ2 * sinio,
+        delmo: Math.pow(1 + eta * Math.cos(mo), 3),
+        sinmao: Math.sin(mo),
+        x7thm1: 7 * cosio2 - 1
+    });
+
+    if (TWO_PI / no >= DEEP_SPACE_PERIOD) {
+        satrec.method = 'd';
+        satrec.isimp = 1;
+        const com = dscom(epoch, ecco, argpo, 0, satrec.inclo, satrec.nodeo, no);
+        ['e3', 'ee2', 'se2', 'se3', 'sgh2', 'sgh3', 'sgh4', 'sh2', 'sh3', 'si2', 'si3', 'sl2', 'sl3', 'sl4',
+            'xgh2', 'xgh3', 'xgh4', 'xh2', 'xh3', 'xi2', 'xi3', 'xl2', 'xl3', 'xl4', 'zmol', 'zmos']
+            .forEach(key => { satrec[key] = com[key] });
+        dsinit(satrec, com, xpidot);
+    }
+
+    if (satrec.isimp !== 1) {
+        const cc1sq = cc1 * cc1;
+        const d2 = 4 * ao * tsi * cc1sq;
+        const temp = d2 * tsi * cc1 / 3;
+        const d3 = (17 * ao + sfour) * temp;
+        const d4 = 0.5 * temp * ao * tsi * (221 * ao + 31 * sfour) * cc1;
+        Object.assign(satrec, {
+            d2, d3, d4,
+            t3cof: d2 + 2 * cc1sq,
+            t4cof: 0.25 * (3 * d3 + cc1 * (12 * d2 + 10 * cc1sq)),
+            t5cof: 0.2 * (3 * d4 + 12 * cc1 * d3 + 6 * d2 * d2 + 15 * cc1sq * (2 * d2 + cc1sq))
+        });
+    }
+
+    sgp4(satrec, 0);
+    return satrec;
+}
+
+//TEME position (km) and velocity (km/s) tsince minutes after the element set epoch.
+//Returns null and sets satrec.error (see SGP4_ERRORS) when the elements cannot be propagated.
+export function sgp4(satrec, tsince) {
+    const t = tsince;
+    satrec.error = 0;
+
+    // Secular gravity and atmospheric drag
+    const xmdf = satrec.mo + satrec.mdot * t;
+    const argpdf = satrec.argpo + satrec.argpdot * t;
+    const nodedf = satrec.nodeo + satrec.nodedot * t;
+    let argpm = argpdf;
+    let mm = xmdf;
+    const t2 = t * t;
+    let nodem = nodedf + satrec.nodecf * t2;
+    let tempa = 1 - satrec.cc1 * t;
+    let tempe = satrec.bstar * satrec.cc4 * t;
+    let templ = satrec.t2cof * t2;
+
+    if (satrec.isimp !== 1) {
+        const delomg = satrec.omgcof * t;
+        const delm = satrec.xmcof * (Math.pow(1 + satrec.eta * Math.cos(xmdf), 3) - satrec.delmo);
+        const temp = delomg + delm;
+        mm = xmdf + temp;
+        argpm = argpdf - temp;
+        const t3 = t2 * t;
+        const t4 = t3 * t;
+        tempa = tempa - satrec.d2 * t2 - satrec.d3 * t3 - satrec.d4 * t4;
+        tempe += satrec.bstar * satrec.cc5 * (Math.sin(mm) - satrec.sinmao);
+        templ += satrec.t3cof * t3 + t4 * (satrec.t4cof + t * satrec.t5cof);
+    }
+
+    let nm = satrec.no;
+    let em = satrec.ecco;
+    let inclm = satrec.inclo;
+    if (satrec.method === 'd') {
+        ({ em, argpm, inclm, mm, nodem, nm } = dspace(satrec, t, { em, argpm, inclm, mm, nodem }));
+    }
+
+    if (nm <= 0) {
+        satrec.error = 2;
+        return null;
+    }
+    const am = Math.pow(XKE / nm, X2O3) * tempa * tempa;
+    nm = XKE / Math.pow(am, 1.5);
+    em -= tempe;
+    if (em >= 1 || em < -0.001) {
+        satrec.error = 1;
+        return null;
+    }
+    if (em < 1e-6) em = 1e-6;
+    mm += satrec.no * templ;
+    const xlm = (mm + argpm + nodem) % TWO_PI;
+    nodem %= TWO_PI;
+    argpm %= TWO_PI;
+    mm = (xlm - argpm - nodem) % TWO_PI;
+
+    // Lunar-solar periodics
+    let ep = em, xincp = inclm, argpp = argpm, nodep = nodem, mp = mm;
+    let sinip = Math.sin(inclm), cosip = Math.cos(inclm);
+    let { aycof, xlcof, con41, x1mth2, x7thm1 } = satrec;
+    if (satrec.method === 'd') {
+        ({ ep, inclp: xincp, nodep, argpp, mp } = dpper(satrec, t, { ep, inclp: xincp, nodep, argpp, mp }));
+        if (xincp < 0) {
+            xincp = -xincp;
+            nodep += PI;
+            argpp -= PI;
+        }
+        if (ep < 0 || ep > 1) {
+            satrec.error = 3;
+            return null;
+        }
+        sinip = Math.sin(xincp);
+        cosip = Math.cos(xincp);
+        aycof = -0.5 * J3OJ2 * sinip;
+        xlcof = -0.25 * J3OJ2 * sinip * (3 + 5 * cosip) / (Math.abs(cosip + 1) > 1.5e-12 ? 1 + cosip : TEMP4);
+    }
+
+    // Long-period periodics
+    const axnl = ep * Math.cos(argpp);
+    let temp = 1 / (am * (1 - ep * ep));
+    const aynl = ep * Math.sin(argpp) + temp * aycof;
+    const xl = mp + argpp + nodep + temp * xlcof * axnl;
+
+    // Kepler's equation in equinoctial form
+    const u = (xl - nodep) % TWO_PI;
+    let eo1 = u;
+    let tem5 = 9999.9;
+    let sineo1 = 0, coseo1 = 0;
+    for (let ktr = 1; Math.abs(tem5) >= 1e-12 && ktr <= 10; ktr++) {
+        sineo1 = Math.sin(eo1);
+        coseo1 = Math.cos(eo1);
+        tem5 = (u - aynl * coseo1 + axnl * sineo1 - eo1) / (1 - coseo1 * axnl - sineo1 * aynl);
+        if (Math.abs(tem5) >= 0.95) tem5 = tem5 > 0 ? 0.95 : -0.95;
+        eo1 += tem5;
+    }
+
+    // Short-period periodics
+    const ecose = axnl * coseo1 + aynl * sineo1;
+    const esine = axnl * sineo1 - aynl * coseo1;
+    const el2 = axnl * axnl + aynl * aynl;
+    const pl = am * (1 - el2);
+    if (pl < 0) {
+        satrec.error = 4;
+        return null;
+    }
+    const rl = am * (1 - ecose);
+    const rdotl = Math.sqrt(am) * esine / rl;
+    const rvdotl = Math.sqrt(pl) / rl;
+    const betal = Math.sqrt(1 - el2);
+    temp = esine / (1 + betal);
+    const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+    const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+    let su = Math.atan2(sinu, cosu);
+    const sin2u = (cosu + cosu) * sinu;
+    const cos2u = 1 - 2 * sinu * sinu;
+    temp = 1 / pl;
+    const temp1 = 0.5 * J2 * temp;
+    const temp2 = temp1 * temp;
+
+    if (satrec.method === 'd') {
+        const cosisq = cosip * cosip;
+        con41 = 3 * cosisq - 1;
+        x1mth2 = 1 - cosisq;
+        x7thm1 = 7 * cosisq - 1;
+    }
+    const mrt = rl * (1 - 1.5 * temp2 * betal * con41) + 0.5 * temp1 * x1mth2 * cos2u;
+    su -= 0.25 * temp2 * x7thm1 * sin2u;
+    const xnode = nodep + 1.5 * temp2 * cosip * sin2u;
+    const xinc = xincp + 1.5 * temp2 * cosip * sinip * cos2u;
+    const mvt = rdotl - nm * temp1 * x1mth2 * sin2u / XKE;
+    const rvdot = rvdotl + nm * temp1 * (x1mth2 * cos2u + 1.5 * con41) / XKE;
+
+    // Orientation vectors
+    const sinsu = Math.sin(su), cossu = Math.cos(su);
+    const snod = Math.sin(xnode), cnod = Math.cos(xnode);
+    const sini = Math.sin(xinc), cosi = Math.cos(xinc);
+    const xmx = -snod * cosi;
+    const xmy = cnod * cosi;
+    const ux = xmx * sinsu + cnod * cossu;
+    const uy = xmy * sinsu + snod * cossu;
+    const uz = sini * sinsu;
+    const vx = xmx * cossu - cnod * sinsu;
+    const vy = xmy * cossu - snod * sinsu;
+    const vz = sini * cossu;
+
+    if (mrt < 1) {
+        satrec.error = 6;
+        return null;
+    }
+    return {
+        position: { x: mrt * ux * EARTH_RADIUS_KM, y: mrt * uy * EARTH_RADIUS_KM, z: mrt * uz * EARTH_RADIUS_KM },
+        velocity: {
+            x: (mvt * ux + rvdot * vx) * VKM_PER_SEC,
+            y: (mvt * uy + rvdot * vy) * VKM_PER_SEC,
+            z: (mvt * uz + rvdot * vz) * VKM_PER_SEC
+        }
+    };
+}
+
+//TEME state of a satellite at a UTC MJD, or null when it cannot be propagated to that date
+export function propagateSatrec(satrec, MJD) {
+    return sgp4(satrec, (MJDToJD(MJD) - satrec.epochJD) * MINUTES_PER_DAY);
+}
@@ -0,0 +1,137 @@
+import { computeTransformMatrix, getSemiLatusRectum, isParabolic, JulianDateToTrueAnomaly, MU_SUN } from './orbits.js';
+import { cross, dot, norm, scale } from './vectors.js';
+
+// Conversions between orbitParams (a, e, inc, node, peri, ma, epoch; angles in radians) and heliocentric
+// ecliptic J2000 state vectors in AU and AU/day. These are plain ecliptic axes, not the Orrery scene axes.
+
+export const AU_KM = 149597870.7;
+export const DAY_S = 86400;
+export const AU_PER_DAY_TO_KM_S = AU_KM / DAY_S;
+
+const DEG_TO_RAD = Math.PI / 180;
+const SMALL = 1e-11; // below this a node vector or eccentricity vector is treated as undefined
+
+//Heliocentric position and velocity at JD. JD must use the same time system (JD or MJD) as orbitParams.epoch.
+export function elementsToStateVector(orbitParams, JD) {
+    const e = orbitParams.e;
+    const trueAnomaly = JulianDateToTrueAnomaly(orbitParams, JD);
+    const p = getSemiLatusRectum(orbitParams);
+    const matrix = computeTransformMatrix(orbitParams);
+
+    const cosTA = Math.cos(trueAnomaly);
+    const sinTA = Math.sin(trueAnomaly);
+    const radius = p / (1 + e * cosTA);
+    const speedFactor = Math.sqrt(MU_SUN / p);
+
+    // Perifocal frame: x towards perihelion, y along the direction of motion at perihelion
+    const rOrb = [radius * cosTA, radius * sinTA];
+    const vOrb = [-speedFactor * sinTA, speedFactor * (e + cosTA)];
+
+    const rotate = ([xOrb, yOrb]) => ({
+        x: matrix[0][0] * xOrb + matrix[0][1] * yOrb,
+        y: matrix[1][0] * xOrb + matrix[1][1] * yOrb,
+        z: matrix[2][0] * xOrb + matrix[2][1] * yOrb
+    });
+
+    return { position: rotate(rOrb), velocity: rotate(vOrb), trueAnomaly };
+}
+
+//Osculating elements of a heliocentric state vector at JD. The returned orbitParams use JD as epoch,
+//a < 0 for hyperbolic orbits (JPL convention) and carry q so parabolic orbits stay usable.
+export function stateVectorToElements(position, velocity, JD) {
+    const r = norm(position);
+    const v2 = dot(velocity, velocity);
+    const rDotV = dot(position, velocity);
+
+    const h = cross(position, velocity);
+    const hNorm = norm(h);
+    const nodeVector = { x: -h.y, y: h.x, z: 0 };
+    const nodeNorm = norm(nodeVector);
+
+    const eVector = {
+        x: ((v2 - MU_SUN / r) * position.x - rDotV * velocity.x) / MU_SUN,
+        y: ((v2 - MU_SUN / r) * position.y - rDotV * velocity.y) / MU_SUN,
+        z: ((v2 - MU_SUN / r) * position.z - rDotV * velocity.z) / MU_SUN
+    };
+    const e = norm(eVector);
+
+    const p = hNorm * hNorm / MU_SUN;
+    const q = p / (1 + e);
+    const energy = v2 / 2 - MU_SUN / r;
+    const a = isParabolic(e) ? Infinity : -MU_SUN / (2 * energy);
+
+    const inc = Math.acos(Math.max(-1, Math.min(1, h.z / hNorm)));
+    const node = nodeNorm > SMALL ? Math.atan2(nodeVector.y, nodeVector.x) : 0;
+
+    // Reference direction for the argument of perihelion and true anomaly: the ascending node,
+    // or the x axis for orbits lying in the ecliptic
+    const reference = nodeNorm > SMALL ? { x: Math.cos(node), y: Math.sin(node), z: 0 } : { x: 1, y: 0, z: 0 };
+    const inPlane = cross(h, reference);
+    const angleFromReference = (u) => Math.atan2(dot(u, inPlane) / hNorm, dot(u, reference));
+
+    let peri = 0;
+    let trueAnomaly;
+    if (e > SMALL) {
+        peri = angleFromReference(eVector);
+        const eDotR = dot(eVector, position);
+        trueAnomaly = Math.atan2(dot(cross(eVector, position), h) / hNorm, eDotR);
+    } else {
+        // Circular orbit: perihelion is undefined, so measure the anomaly from the reference direction
+        trueAnomaly = angleFromReference(position);
+    }
+
+    const normalize = (angle) => ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+
+    return {
+        epoch: JD,
+        a,
+        e,
+        q,
+        inc,
+        node: normalize(node),
+        peri: normalize(peri),
+        ma: trueToMeanAnomaly(trueAnomaly, e)
+    };
+}
+
+//Mean anomaly (radians) for a true anomaly, matching the conventions of JulianDateToTrueAnomaly
+export function trueToMeanAnomaly(trueAnomaly, e) {
+    const halfTan = Math.tan(trueAnomaly / 2);
+    if (isParabolic(e)) { return halfTan + halfTan ** 3 / 3 }
+    if (e > 1) {
+        const H = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * halfTan);
+        return e * Math.sinh(H) - H;
+    }
+    const E = 2 * Math.atan(Math.sqrt((1 - e) / (1 + e)) * halfTan);
+    const M = E - e * Math.sin(E);
+    return M < 0 ? M + 2 * Math.PI : M;
+}
+
+//Converts the orbitalData shape produced by DataService.processNEOData (angles in degrees, epoch as JD)
+//into orbitParams. Returns null when the record lacks the orbit shape; the epoch may still be missing.
+export function orbitalDataToOrbitParams(orbitalData) {
+    if (!orbitalData || !orbitalData.semiMajorAxis || !isFinite(orbitalData.eccentricity)) {
+        return null;
+    }
+    return {
+        epoch: orbitalData.epochOsculation,
+        a: orbitalData.semiMajorAxis,
+        e: orbitalData.eccentricity,
+        inc: orbitalData.inclination * DEG_TO_RAD,
+        node: orbitalData.longitudeOfAscendingNode * DEG_TO_RAD,
+        peri: orbitalData.argumentOfPeriapsis * DEG_TO_RAD,
+        ma: orbitalData.meanAnomaly * DEG_TO_RAD
+    };
+}
+
+//State vector of an orbitalData record in km and km/s, ready for SpaceObject.position/velocity
+export function orbitalDataToStateVector(orbitalData, JD) {
+    const orbitParams = orbitalDataToOrbitParams(orbitalData);
+    if (!orbitParams || !orbitParams.epoch) return null;
+
+    const { position, velocity } = elementsToStateVector(orbitParams, JD);
+    return {
+        position: scale(position, AU_KM),
+        velocity: scale(velocity, AU_PER_DAY_TO_KM_S)
+    };
+}
@@ -0,0 +1,80 @@
+import { LUNAR_DISTANCE_KM } from './geocentric.js';
+import { nextSolarLongitudeDate } from './meteorShowers.js';
+import { JDToMJD, MJDToJD, parseSentryDate, TDBToUTC, UTCToTDB } from './TimeUtils.js';
+
+// Notable dates for the Orrery timeline: close approaches and potential impact dates of the riskiest
+// NEOs and the peaks of the major annual meteor showers. Dates taken and returned are UTC Julian dates.
+
+export const TIMELINE_NEOS = 20; // riskiest NEOs (by Palermo rating) whose events are listed
+export const MAJOR_SHOWERS = ['QUA', 'LYR', 'ETA', 'SDA', 'PER', 'DRA', 'ORI', 'LEO', 'GEM', 'URS'];
+
+export const EVENT_KINDS = {
+    APPROACH: 'approach',
+    IMPACT: 'impact',
+    SHOWER: 'shower'
+};
+
+const SHOWER_REPEAT = 300; // days past a peak before the next one is searched
+
+const UTCToTDBJD = (JD) => MJDToJD(UTCToTDB(JDToMJD(JD)));
+const TDBToUTCJD = (JD) => MJDToJD(TDBToUTC(JDToMJD(JD)));
+
+//Riskiest NEOs first: highest Palermo rating, then highest impact probability
+function rankByRisk(neos) {
+    const risk = (neo) => [neo.extraParams?.['PS max'] ?? -99, neo.extraParams?.['IP max'] || 0];
+    return [...neos].sort((a, b) => risk(b)[0] - risk(a)[0] || risk(b)[1] - risk(a)[1]);
+}
+
+//Events between startJD and endJD (UTC) for NEOs [{ name, orbitParams (MJD epochs), extraParams }] and
+//shower activity entries from parseShowerActivity. Close approaches to Earth come from a
+//CloseApproachService. Resolves to [{ JD, kind, name, label }] in date order.
+export async function getTimelineEvents({ neos = [], showers = [] }, startJD, endJD, closeApproachService) {
+    if (!(endJD > startJD)) return [];
+    const events = [];
+    const riskiest = rankByRisk(neos).slice(0, TIMELINE_NEOS);
+
+    // Close approaches
+    for (const neo of riskiest) {
+        const approaches = await closeApproachService.findCloseApproaches(neo.orbitParams, JDToMJD(startJD), JDToMJD(endJD));
+        approaches.forEach(({ mjd, distance }) => {
+            events.push({
+                JD: MJDToJD(mjd),
+                kind: EVENT_KINDS.APPROACH,
+                name: neo.name,
+                label: `${neo.name} passes ${(distance / LUNAR_DISTANCE_KM).toFixed(1)} LD from Earth`
+            });
+        });
+    }
+
+    // Potential impacts listed by Sentry
+    riskiest.forEach(neo => {
+        const impactMJD = parseSentryDate(neo.extraParams?.impact);
+        if (!isFinite(impactMJD)) return;
+        const JD = MJDToJD(impactMJD);
+        if (JD < startJD || JD > endJD) return;
+        const probability = neo.extraParams['IP max'];
+        events.push({
+            JD,
+            kind: EVENT_KINDS.IMPACT,
+            name: neo.name,
+            label: `${neo.name} potential impact${probability ? ` (probability ${probability.toExponential(1)})` : ''}`
+        });
+    });
+
+    // Shower peaks, from the first solution listed for each major shower
+    MAJOR_SHOWERS.forEach(code => {
+        const shower = showers.find(entry => entry.code === code);
+        if (!shower) return;
+        const endTDB = UTCToTDBJD(endJD);
+        for (let JD = nextSolarLongitudeDate(shower.peak, UTCToTDBJD(startJD)); JD <= endTDB; JD = nextSolarLongitudeDate(shower.peak, JD + SHOWER_REPEAT)) {
+            events.push({
+                JD: TDBToUTCJD(JD),
+                kind: EVENT_KINDS.SHOWER,
+                name: shower.designation,
+                label: `${shower.designation} peak`
+            });
+        }
+    });
+
+    return events.sort((a, b) => a.JD - b.JD);
+}
@@ -0,0 +1,102 @@
+import { MJDToJD, unixTimeToMJD } from './TimeUtils.js';
+
+// NORAD two-line element sets (https://celestrak.org/columns/v04n03/). Angles are kept in degrees and
+// the mean motion in revolutions per day, as printed; utils/sgp4.js converts them for propagation.
+// Epochs are UTC.
+
+const MINUTES_PER_DAY = 1440;
+
+//Modulo-10 checksum of the first 68 columns: digits count their value, minus signs count 1
+export function tleChecksum(line) {
+    let sum = 0;
+    for (let i = 0; i < 68 && i < line.length; i++) {
+        const c = line[i];
+        if (c >= '0' && c <= '9') sum += c.charCodeAt(0) - 48;
+        else if (c === '-') sum += 1;
+    }
+    return sum % 10;
+}
+
+//Fields written with an implied leading decimal point and exponent, e.g. " 28098-4" = 0.28098e-4
+function parseImpliedDecimal(field) {
+    const match = /^\s*([+-]?)(\d+)([+-]\d)\s*$/.exec(field);
+    if (!match) return 0;
+    return parseFloat(`${match[1]}0.${match[2]}e${match[3]}`);
+}
+
+//UTC MJD of a TLE epoch field "YYDDD.DDDDDDDD" (two-digit years 57-99 are 19xx)
+export function parseTLEEpoch(field) {
+    const twoDigitYear = parseInt(field.slice(0, 2), 10);
+    const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+    const dayOfYear = parseFloat(field.slice(2));
+    return unixTimeToMJD(Date.UTC(year, 0, 1)) + dayOfYear - 1;
+}
+
+//One element set from its two lines (and optional name line).
+//Throws on malformed lines or checksum mismatches.
+export function parseTLE(line1, line2, name = null) {
+    line1 = line1.trimEnd();
+    line2 = line2.trimEnd();
+    if (line1.length < 69 || line2.length < 69 || line1[0] !== '1' || line2[0] !== '2') {
+        throw new Error('Malformed two-line element set');
+    }
+    [line1, line2].forEach((line, i) => {
+        if (tleChecksum(line) !== parseInt(line[68], 10)) {
+            throw new Error(`Checksum mismatch on TLE line ${i + 1}`);
+        }
+    });
+
+    const satelliteNumber = line1.slice(2, 7).trim();
+    if (line2.slice(2, 7).trim() !== satelliteNumber) {
+        throw new Error('TLE lines belong to different satellites');
+    }
+
+    const epochMJD = parseTLEEpoch(line1.slice(18, 32));
+    const meanMotion = parseFloat(line2.slice(52, 63));
+    return {
+        name: name ? name.replace(/^0\s+/, '').trim() : satelliteNumber,
+        satelliteNumber,
+        classification: line1[7],
+        internationalDesignator: line1.slice(9, 17).trim(),
+        epochMJD,
+        epochJD: MJDToJD(epochMJD),
+        meanMotionDot: parseFloat(line1.slice(33, 43)), // rev/day^2, halved as printed
+        meanMotionDDot: parseImpliedDecimal(line1.slice(44, 52)), // rev/day^3, divided by 6 as printed
+        bstar: parseImpliedDecimal(line1.slice(53, 61)), // 1/earth radii
+        elementSetNumber: parseInt(line1.slice(64, 68), 10),
+        inclination: parseFloat(line2.slice(8, 16)),
+        raan: parseFloat(line2.slice(17, 25)),
+        eccentricity: parseFloat(`0.${line2.slice(26, 33).trim()}`),
+        argumentOfPerigee: parseFloat(line2.slice(34, 42)),
+        meanAnomaly: parseFloat(line2.slice(43, 51)),
+        meanMotion, // rev/day
+        period: MINUTES_PER_DAY / meanMotion, // minutes
+        revolutionNumber: parseInt(line2.slice(63, 68), 10),
+        line1,
+        line2
+    };
+}
+
+//All element sets in a file of two-line (1/2) or three-line (name/1/2) entries.
+//Entries that fail to parse are skipped with a warning.
+export function parseTLEFile(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    const isElementLine = (line, number) => !!line && line.startsWith(`${number} `) && line.trimEnd().length >= 69;
+    const elementSets = [];
+    let name = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!isElementLine(lines[i], 1) || !isElementLine(lines[i + 1], 2)) {
+            name = lines[i];
+            continue;
+        }
+        try {
+            elementSets.push(parseTLE(lines[i], lines[i + 1], name));
+        } catch (error) {
+            console.warn(`Skipping element set ${name || lines[i].slice(2, 7)}:`, error.message);
+        }
+        name = null;
+        i++;
+    }
+    return elementSets;
+}
@@ -0,0 +1,195 @@
+import { getMeanMotion, isParabolic } from './orbits.js';
+import { elementsToStateVector } from './stateVectors.js';
+import { propagateOrbitNBody } from './nbody.js';
+
+// Monte Carlo propagation of orbit uncertainties. Virtual asteroids are drawn from a Gaussian
+// around the nominal orbitParams (radians), either from independent 1-sigma values or from a full
+// covariance matrix, and propagated like any other orbit. Sigmas and covariances use the units of
+// the data files: AU for a, degrees for angles.
+
+export const ELEMENT_ORDER = ['a', 'e', 'inc', 'node', 'peri', 'ma'];
+const ANGULAR_ELEMENTS = ['inc', 'node', 'peri', 'ma'];
+const DEG_TO_RAD = Math.PI / 180;
+const MAX_RESAMPLES = 100; // per virtual asteroid, for draws that land on an impossible orbit
+
+// MPC uncertainty parameter U: the along-track runoff predicted after a decade lies between
+// exp(k (U - 1)) and exp(k U) arcseconds, with k = ln(648000) / 9
+const CONDITION_CODE_STEP = Math.log(648000) / 9;
+const RUNOFF_SPAN = 3652.5; // days, the decade over which the runoff is defined
+
+// Keys of the JPL SBDB uncertainty columns carried in extraParams (see stream_parentbody.json)
+const SIGMA_KEYS = { a: 'sigma_a', e: 'sigma_e', inc: 'sigma_i', node: 'sigma_om', peri: 'sigma_w', ma: 'sigma_ma' };
+
+//{ sigmas } from SBDB-style extraParams, or null when no element has an uncertainty
+export function getElementUncertainty(extraParams) {
+    if (!extraParams) return null;
+    const sigmas = {};
+    let found = false;
+    ELEMENT_ORDER.forEach(element => {
+        const sigma = extraParams[SIGMA_KEYS[element]];
+        sigmas[element] = typeof sigma === 'number' && isFinite(sigma) && sigma > 0 ? sigma : 0;
+        found = found || sigmas[element] > 0;
+    });
+    return found ? { sigmas } : null;
+}
+
+//Approximate { sigmas } of an elliptic orbit from the MPC uncertainty parameter U (0-9, NeoWs
+//orbit_uncertainty), for sources without element sigmas or a covariance. The runoff at the centre of
+//the U bin is attributed to the mean motion, which gives sigma_a; sigma_ma is that drift over half the
+//observed arc, since the epoch lies within it. The other elements are taken as exact.
+//Returns null when U or the orbit is unusable.
+export function getConditionCodeUncertainty(orbitParams, conditionCode, dataArcDays = 0) {
+    if (!orbitParams || !(orbitParams.a > 0) || !(orbitParams.e < 1)) return null;
+    if (!Number.isInteger(conditionCode) || conditionCode < 0 || conditionCode > 9) return null;
+
+    const runoff = Math.exp(CONDITION_CODE_STEP * (conditionCode - 0.5)) / 3600; // degrees
+    const sigmaMeanMotion = runoff / RUNOFF_SPAN; // degrees/day
+    const meanMotion = getMeanMotion(orbitParams) / DEG_TO_RAD; // degrees/day
+    const sigmas = { a: 0, e: 0, inc: 0, node: 0, peri: 0, ma: 0 };
+    sigmas.a = 2 / 3 * orbitParams.a * sigmaMeanMotion / meanMotion;
+    sigmas.ma = dataArcDays > 0 ? sigmaMeanMotion * dataArcDays / 2 : 0;
+    return { sigmas };
+}
+
+//Seeded uniform generator (mulberry32), so a cloud is reproducible for the same seed
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function createGaussian(random) {
+    let spare = null;
+    return () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const u = 1 - random();
+        const v = random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        spare = radius * Math.sin(2 * Math.PI * v);
+        return radius * Math.cos(2 * Math.PI * v);
+    };
+}
+
+//Lower-triangular L with L L^T = matrix. Throws if the matrix is not positive definite.
+export function choleskyDecomposition(matrix) {
+    const n = matrix.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) { sum -= L[i][k] * L[j][k] }
+            if (i === j) {
+                if (sum <= 0) throw new Error('Covariance matrix is not positive definite');
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+    return L;
+}
+
+//Draws are only kept on an unambiguous conic: a > 0 for ellipses, a < 0 for hyperbolas
+function isPossibleOrbit(orbitParams) {
+    if (orbitParams.e < 0 || isParabolic(orbitParams.e)) return false;
+    return orbitParams.e < 1 ? orbitParams.a > 0 : orbitParams.a < 0;
+}
+
+//Draws virtual asteroids around a nominal orbit.
+//uncertainty: { sigmas: { a, e, inc, node, peri, ma } } or { covariance } (6x6 in ELEMENT_ORDER).
+//The nominal orbit is always the first sample. Returns orbitParams copies (radians, same epoch).
+export function sampleVirtualAsteroids(orbitParams, uncertainty, count, { seed = 1 } = {}) {
+    const gaussian = createGaussian(createRandom(seed));
+    const L = uncertainty.covariance
+        ? choleskyDecomposition(uncertainty.covariance)
+        : ELEMENT_ORDER.map((element, i) => ELEMENT_ORDER.map((_, j) => i === j ? (uncertainty.sigmas[element] || 0) : 0));
+
+    // The cached rotation and perihelion distance belong to the nominal elements only
+    const nominal = { ...orbitParams };
+    delete nominal.transformMatrix;
+    const samples = [{ ...nominal }];
+    delete nominal.q;
+
+    while (samples.length < count) {
+        let sample = null;
+        for (let attempt = 0; attempt < MAX_RESAMPLES && !sample; attempt++) {
+            const z = ELEMENT_ORDER.map(() => gaussian());
+            const candidate = { ...nominal };
+            ELEMENT_ORDER.forEach((element, i) => {
+                let offset = 0;
+                for (let k = 0; k <= i; k++) { offset += L[i][k] * z[k] }
+                candidate[element] += ANGULAR_ELEMENTS.includes(element) ? offset * DEG_TO_RAD : offset;
+            });
+            if (isPossibleOrbit(candidate)) sample = candidate;
+        }
+        if (!sample) {
+            console.warn('Could not draw a valid virtual asteroid; uncertainties too large for this orbit');
+            break;
+        }
+        samples.push(sample);
+    }
+    return samples;
+}
+
+//Heliocentric ecliptic positions (AU) of every sample at every JD: result[t][s].
+//With perturbers the samples are integrated numerically, otherwise propagated on Kepler orbits.
+//JDs must be in the same time system as the sample epochs.
+export function propagateVirtualAsteroids(samples, JDs, { perturbers = null, ...integratorOptions } = {}) {
+    const cloud = JDs.map(() => new Array(samples.length));
+    samples.forEach((sample, s) => {
+        if (perturbers) {
+            propagateOrbitNBody(sample, JDs, perturbers, integratorOptions)
+                .forEach((state, t) => { cloud[t][s] = state.position });
+        } else {
+            JDs.forEach((JD, t) => { cloud[t][s] = elementsToStateVector(sample, JD).position });
+        }
+    });
+    return cloud;
+}
+
+//Mean, per-axis and total 1-sigma spread of a set of positions.
+//positions is an array of { x, y, z } or a packed array of x, y, z triples.
+export function computeSpread(positions) {
+    const packed = typeof positions[0] === 'number';
+    const count = packed ? positions.length / 3 : positions.length;
+    const at = packed
+        ? (i) => ({ x: positions[i * 3], y: positions[i * 3 + 1], z: positions[i * 3 + 2] })
+        : (i) => positions[i];
+
+    const mean = { x: 0, y: 0, z: 0 };
+    for (let i = 0; i < count; i++) {
+        const p = at(i);
+        mean.x += p.x / count;
+        mean.y += p.y / count;
+        mean.z += p.z / count;
+    }
+
+    const variance = { x: 0, y: 0, z: 0 };
+    for (let i = 0; i < count; i++) {
+        const p = at(i);
+        variance.x += (p.x - mean.x) ** 2;
+        variance.y += (p.y - mean.y) ** 2;
+        variance.z += (p.z - mean.z) ** 2;
+    }
+    const dof = Math.max(1, count - 1);
+    const sigma = { x: Math.sqrt(variance.x / dof), y: Math.sqrt(variance.y / dof), z: Math.sqrt(variance.z / dof) };
+
+    return { mean, sigma, total: Math.sqrt(sigma.x ** 2 + sigma.y ** 2 + sigma.z ** 2) };
+}
+
+//Samples, propagates and summarises an uncertain orbit over a list of JDs.
+//Returns { samples, cloud, spread } with spread[t] = computeSpread(cloud[t]) in AU.
+export function propagateUncertainty(orbitParams, uncertainty, JDs, { count = 100, seed = 1, ...propagationOptions } = {}) {
+    const samples = sampleVirtualAsteroids(orbitParams, uncertainty, count, { seed });
+    const cloud = propagateVirtualAsteroids(samples, JDs, propagationOptions);
+    return { samples, cloud, spread: cloud.map(computeSpread) };
+}
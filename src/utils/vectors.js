@@ -0,0 +1,9 @@
+// Helpers for 3-vectors given as { x, y, z }, shared by the orbit utilities.
+
+export const add = (u, v) => ({ x: u.x + v.x, y: u.y + v.y, z: u.z + v.z });
+export const subtract = (u, v) => ({ x: u.x - v.x, y: u.y - v.y, z: u.z - v.z });
+export const scale = (u, factor) => ({ x: u.x * factor, y: u.y * factor, z: u.z * factor });
+export const dot = (u, v) => u.x * v.x + u.y * v.y + u.z * v.z;
+export const cross = (u, v) => ({ x: u.y * v.z - u.z * v.y, y: u.z * v.x - u.x * v.z, z: u.x * v.y - u.y * v.x });
+export const norm = (u) => Math.sqrt(dot(u, u));
+export const normalize = (u) => scale(u, 1 / norm(u));